@@ -4,6 +4,10 @@ import { dbConnection } from "./database/dbConnection.js";
 import jobRouter from "./routes/jobRoutes.js";
 import userRouter from "./routes/userRoutes.js";
 import applicationRouter from "./routes/applicationRoutes.js";
+import pipelineRouter from "./routes/pipelineRoutes.js";
+import emailTemplateRouter from "./routes/emailTemplateRoutes.js";
+import organizationRouter from "./routes/organizationRoutes.js";
+import candidateProfileRouter from "./routes/candidateProfileRoutes.js";
 import { config } from "dotenv";
 import cors from "cors";
 import { errorMiddleware, errorLogger } from "./middlewares/error.js";
@@ -67,6 +71,10 @@ app.use(
 app.use("/api/v1/user", userRouter);
 app.use("/api/v1/job", jobRouter);
 app.use("/api/v1/application", applicationRouter);
+app.use("/api/v1/pipeline", pipelineRouter);
+app.use("/api/v1/email-templates", emailTemplateRouter);
+app.use("/api/v1/organization", organizationRouter);
+app.use("/api/v1/candidate-profile", candidateProfileRouter);
 
 // Error handling
 app.use(errorLogger);
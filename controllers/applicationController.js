@@ -1,75 +1,112 @@
+import mongoose from "mongoose";
 import { Application } from "../models/applicationSchema.js";
 import { Job } from "../models/jobSchema.js";
 import { catchAsyncErrors } from "../middlewares/catchAsyncError.js";
 import ErrorHandler from "../middlewares/error.js";
-import { uploadToGridFS, getFileFromGridFS } from "../utils/gridfsStorage.js";
-import assistantService from "../utils/assistantService.js";
+import { openDownloadStream } from "../utils/gridfsStorage.js";
+import { inspectUpload } from "../utils/uploadValidation.js";
+import {
+  storeUpload,
+  statStoredFile,
+  openStoredFile,
+  getSignedDownloadUrl,
+  releaseStoredFile,
+} from "../utils/storage/index.js";
+import { purgeApplications } from "../utils/applicationCleanup.js";
+import {
+  inspectAttachments,
+  storeAttachments,
+  releaseAttachments,
+} from "../utils/attachments.js";
+import { sendStoredFile } from "../utils/fileStreaming.js";
+import { getResumePreview, PREVIEW_CONTENT_TYPE } from "../utils/resumePreview.js";
 import emailService from "../utils/emailService.js";
-
-const analyzeWithOpenAI = async (cvText, jobDescription) => {
-  try {
-    console.log('Starting OpenAI analysis...');
-    console.log('Input lengths - CV:', cvText.length, 'Job Description:', jobDescription.length);
-
-    const result = await assistantService.analyzeApplication(cvText, jobDescription);
-    
-    if (!result.success) {
-      throw new ErrorHandler(result.error || 'Analysis failed', 500);
-    }
-
-    // Parse out just the recruiter section for the analysis field
-    const recruiterSection = result.analysis.split(/2\.\s*CANDIDATE FEEDBACK EMAIL:|---/i)[0]
-      .replace(/1\.\s*INTERNAL RECRUITER ANALYSIS:/i, '')
-      .trim();
-
-    // Return with separated content
-    return {
-      success: true,
-      recruiterAnalysis: recruiterSection,    // Only recruiter section
-      candidateEmail: result.candidateEmail,  // Only candidate email
-      score: result.score
-    };
-  } catch (error) {
-    console.error('Error during analysis:', error);
-    throw error;
-  }
+import { runApplicationAnalysis } from "../utils/applicationAnalysis.js";
+import { enqueueAnalysis, getLatestAnalysisJob } from "../utils/analysisQueue.js";
+import {
+  getTieBreak,
+  shortlistSort,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+} from "../utils/shortlist.js";
+import { toCSV } from "../utils/csv.js";
+import { composeApplicationEmail } from "../utils/emailTemplates.js";
+import { getEmailHistory } from "../utils/emailOutbox.js";
+import {
+  getPipelineStages,
+  findStage,
+  currentStageKey,
+  canTransition,
+} from "../utils/pipeline.js";
+import {
+  scopeOfUser,
+  scopeOfJob,
+  scopeOfApplication,
+  applicationScopeFilter,
+} from "../utils/organizations.js";
+import { isEmployerSide } from "../middlewares/authorize.js";
+import { isAcceptingApplications } from "../utils/jobLifecycle.js";
+import { evaluateScreening } from "../utils/screening.js";
+import {
+  DUPLICATE_APPLICATION_MESSAGE,
+  activeApplicationFilter,
+  checkApplicationRules,
+} from "../utils/applicationRules.js";
+import {
+  PROFILE_CONTACT_FIELDS,
+  getCandidateProfile,
+  attachProfileResume,
+} from "../utils/candidateProfile.js";
+
+// Knockout results, stage notes, the AI analysis and requirement coverage
+// are for the employer's eyes only
+const HIDDEN_FROM_JOB_SEEKER = [
+  "stageHistory",
+  "screening.knockouts",
+  "analysis",
+  "structuredAnalysis",
+  "requirementMatch",
+];
+
+const forJobSeeker = (application) => {
+  const view = application.toObject();
+  HIDDEN_FROM_JOB_SEEKER.forEach((field) => {
+    const path = field.split(".");
+    const key = path.pop();
+    const parent = path.reduce((value, name) => value?.[name], view);
+    if (parent) delete parent[key];
+  });
+  return view;
 };
+
 export const postApplication = catchAsyncErrors(async (req, res, next) => {
   try {
-    // Role validation
-    const { role } = req.user;
-    if (role === "Employer") {
-      return next(
-        new ErrorHandler("Employer not allowed to access this resource.", 400)
-      );
+    // Extract request data
+    const { coverLetter, jobId, useProfile } = req.body;
+
+    // Applying with the stored profile fills in any contact details and the
+    // resume that the request leaves out
+    const fromProfile = useProfile === true || useProfile === "true";
+    const profile = fromProfile
+      ? await getCandidateProfile(req.user._id, { withResumeText: true })
+      : null;
+    if (fromProfile && !profile) {
+      return next(new ErrorHandler("Please create your candidate profile first.", 400));
     }
+    const { name, email, phone, address } = Object.fromEntries(
+      PROFILE_CONTACT_FIELDS.map((field) => [field, req.body[field] || profile?.[field]])
+    );
 
     // File validation
-    if (!req.files || Object.keys(req.files).length === 0) {
+    const resume = req.files?.resume;
+    if (!resume && !profile?.resume?.public_id) {
       return next(new ErrorHandler("Resume File Required!", 400));
     }
-
-    const { resume } = req.files;
-    const allowedFormats = [
-      "application/pdf",
-      "image/png",
-      "image/jpeg",
-      "image/webp",
-    ];
-    if (!allowedFormats.includes(resume.mimetype)) {
-      return next(
-        new ErrorHandler(
-          "Invalid file type. Please upload a PDF, PNG, JPEG, or WEBP file.",
-          400
-        )
-      );
-    }
-
-    // Upload file
-    const uploadedFile = await uploadToGridFS(resume);
-
-    // Extract request data
-    const { name, email, coverLetter, phone, address, jobId } = req.body;
+    // Type, PDF safety and malware checks on the file's actual bytes
+    const inspectedResume = resume && (await inspectUpload(resume));
+    // Named attachments (portfolio, certificate, ...), checked the same way
+    const attachmentUploads = await inspectAttachments(req.files || {});
 
     const applicantID = {
       user: req.user._id,
@@ -85,31 +122,8 @@ export const postApplication = catchAsyncErrors(async (req, res, next) => {
     if (!jobDetails) {
       return next(new ErrorHandler("Job not found!", 404));
     }
-
-    // Get OpenAI analysis
-    let aiAnalysisResult;
-    try {
-      aiAnalysisResult = await analyzeWithOpenAI(
-        coverLetter,
-        jobDetails.description
-      );
-      console.log("AI Analysis Result:", aiAnalysisResult);
-
-      if (!aiAnalysisResult.success) {
-        console.warn("AI analysis unsuccessful, using fallback");
-        aiAnalysisResult = {
-          recruiterAnalysis: "Analysis pending manual review.",
-          candidateEmail: "Thank you for your application. It is currently under review.",
-          score: 0
-        };
-      }
-    } catch (analysisError) {
-      console.error("AI analysis failed:", analysisError);
-      aiAnalysisResult = {
-        recruiterAnalysis: "Analysis failed - manual review required.",
-        candidateEmail: "Thank you for your application. Our team will review it shortly.",
-        score: 0
-      };
+    if (!isAcceptingApplications(jobDetails)) {
+      return next(new ErrorHandler("This job is no longer accepting applications.", 400));
     }
 
     const employerID = {
@@ -118,184 +132,294 @@ export const postApplication = catchAsyncErrors(async (req, res, next) => {
     };
 
     // Field validation
-    if (
-      !name ||
-      !email ||
-      !coverLetter ||
-      !phone ||
-      !address ||
-      !applicantID ||
-      !employerID ||
-      !resume
-    ) {
+    if (!name || !email || !applicantID || !employerID) {
       return next(new ErrorHandler("Please fill all fields.", 400));
     }
+    // Per-job required fields, duplicates and applicant limits; checked
+    // before anything is stored or analyzed
+    await checkApplicationRules(
+      jobDetails,
+      req.user._id,
+      { coverLetter, phone, address },
+      attachmentUploads.map(({ kind }) => kind)
+    );
+    const { answers: screeningAnswers, screening } = evaluateScreening(
+      jobDetails.screeningQuestions,
+      req.body.screeningAnswers
+    );
 
-    // Create application
-    const application = await Application.create({
-      // Basic info
-      name,
-      email,
-      coverLetter,
-      phone,
-      address,
-      applicantID,
-      employerID,
-
-      // Resume info
-      resume: {
-        public_id: uploadedFile.fileId,
-        url: `/api/v1/application/resume/${uploadedFile.fileId}`,
-        contentType: resume.mimetype,
-        originalName: resume.name,
-        size: resume.size,
-      },
-
-      // AI Analysis results - stored separately
-      analysis: aiAnalysisResult.recruiterAnalysis,     // For recruiter view
-      candidateEmail: aiAnalysisResult.candidateEmail,  // For candidate feedback
-      emailSent: false,
-      matchScore: aiAnalysisResult.score,
-      jobId: jobDetails._id,
-
-      // Text analysis
-      textAnalysis: {
-        coverLetterAnalysis: {
-          sentiment: "Neutral",
-          keyPoints: analyzeCoverLetter(coverLetter),
-          professionalTone: calculateProfessionalTone(coverLetter),
-        },
-        resumeAnalysis: {
-          experience: [],
-          skills: extractSkills(coverLetter),
-          education: [],
+    // An uploaded file overrides the profile resume; the profile resume is
+    // copied so the application keeps it even if the profile changes
+    let storedResume;
+    if (resume) {
+      const uploadedFile = await storeUpload(resume, inspectedResume);
+      storedResume = {
+        resume: {
+          public_id: uploadedFile.fileId,
+          storage: uploadedFile.storage,
+          url: `/api/v1/application/resume/${uploadedFile.fileId}`,
+          contentType: uploadedFile.contentType,
+          originalName: resume.name,
+          size: uploadedFile.size,
+          checksum: uploadedFile.checksum,
         },
-        overallAnalysis: {
-          strengths: identifyStrengths(coverLetter),
-          improvements: [],
-          recommendations: generateRecommendations(),
-        },
-      },
-    });
+      };
+    } else {
+      storedResume = await attachProfileResume(profile);
+    }
+
+    // The id is needed up front for the attachment download URLs
+    const applicationId = new mongoose.Types.ObjectId();
+    let attachments;
+    try {
+      attachments = await storeAttachments(attachmentUploads, applicationId);
+    } catch (storeError) {
+      await releaseStoredFile(storedResume.resume).catch(() => {});
+      throw storeError;
+    }
+
+    // New applications start in the first stage of the employer's pipeline.
+    // A reject knockout moves them straight on to the rejected stage.
+    const stages = await getPipelineStages(scopeOfJob(jobDetails));
+    const [entryStage] = stages;
+    const stageHistory = [{ from: null, to: entryStage.key, changedBy: req.user._id }];
+    const rejectedStage = screening.status === "rejected"
+      && stages.find(({ terminal, outcome }) => terminal && outcome === "rejected");
+    if (rejectedStage) {
+      stageHistory.push({
+        from: entryStage.key,
+        to: rejectedStage.key,
+        note: `Auto-rejected by screening: ${screening.knockouts
+          .filter(({ action }) => action === "reject")
+          .map(({ prompt }) => prompt)
+          .join("; ")}`.slice(0, 500),
+      });
+    }
+
+    // Create application. The unique index on (job, applicant) catches a
+    // duplicate submitted concurrently with this one.
+    let application;
+    try {
+      application = await Application.create({
+        _id: applicationId,
+
+        // Basic info
+        name,
+        email,
+        coverLetter,
+        phone,
+        address,
+        applicantID,
+        employerID,
+        organization: jobDetails.organization,
+
+        // Resume info (and its text, when it came from the profile)
+        ...storedResume,
+        attachments,
+
+        // The background queue extracts the resume and fills in
+        // textAnalysis, analysis, candidateEmail and matchScore later
+        analysisStatus: "pending",
+        emailSent: false,
+        matchScore: 0,
+        jobId: jobDetails._id,
+
+        screeningAnswers,
+        screening,
+
+        stage: (rejectedStage || entryStage).key,
+        stageChangedAt: new Date(),
+        stageHistory,
+      });
+    } catch (createError) {
+      // The references to the stored files are not needed after all
+      await releaseStoredFile(storedResume.resume).catch(() => {});
+      await releaseAttachments(attachments);
+      if (createError.code === 11000) {
+        return next(new ErrorHandler(DUPLICATE_APPLICATION_MESSAGE, 409));
+      }
+      throw createError;
+    }
+
+    try {
+      await enqueueAnalysis(application._id);
+    } catch (queueError) {
+      console.error("Failed to queue analysis:", queueError);
+      application.analysisStatus = "failed";
+      application.analysisError = "Could not queue analysis";
+      await application.save();
+    }
 
     // Send response
     res.status(200).json({
       success: true,
       message: "Application Submitted!",
-      application,
+      application: forJobSeeker(application),
     });
   } catch (error) {
     console.error("Full error details:", error);
-    next(new ErrorHandler(error.message, 500));
+    next(error instanceof ErrorHandler ? error : new ErrorHandler(error.message, 500));
   }
 });
+// Redirects to a short-lived signed URL when the storage driver has them,
+// otherwise streams the file with Range and conditional GET support
 export const getResume = catchAsyncErrors(async (req, res, next) => {
-  try {
-    const { fileId } = req.params;
+  // Loaded and checked by authorize("resume:read")
+  const { resume } = req.application;
 
-    const { buffer, metadata, contentType } = await getFileFromGridFS(fileId);
-
-    if (!buffer || !metadata) {
-      return next(new ErrorHandler("Resume not found", 404));
-    }
+  const signed = await getSignedDownloadUrl(resume, {
+    filename: resume.originalName || "resume.pdf",
+    contentType: resume.contentType || "application/pdf",
+  });
+  if (signed) {
+    res.setHeader("Cache-Control", "no-store");
+    return res.redirect(302, signed.url);
+  }
 
-    const application = await Application.findOne({
-      "resume.public_id": fileId,
-    });
-    if (!application) {
-      return next(new ErrorHandler("Application not found", 404));
-    }
+  const file = await statStoredFile(resume);
+  await sendStoredFile(req, res, file, {
+    openStream: (range) => openStoredFile(resume, file, range),
+    // Identical uploads share a file, so the application's own name comes first
+    filename: resume.originalName || file.metadata?.originalName || "resume.pdf",
+    contentType: file.metadata?.contentType || resume.contentType || "application/pdf",
+  });
+});
 
-    const finalContentType =
-      contentType || application.resume.contentType || "application/pdf";
+// One of the application's attachments, served like the resume
+export const getAttachment = catchAsyncErrors(async (req, res, next) => {
+  // Loaded and checked by authorize("application:read")
+  const attachment = req.application.attachments?.find(({ _id }) =>
+    _id.equals(req.params.attachmentId)
+  );
+  if (!attachment) {
+    return next(new ErrorHandler("Attachment not found", 404));
+  }
 
-    res.setHeader("Content-Type", finalContentType);
-    res.setHeader(
-      "Content-Disposition",
-      `inline; filename="${metadata.metadata?.originalName || application.resume.originalName || "resume.pdf"}"`
-    );
-    res.setHeader("Content-Length", buffer.length);
-
-    console.log("Resume retrieved:", {
-      fileId,
-      contentType: finalContentType,
-      size: buffer.length,
-      filename:
-        metadata.metadata?.originalName || application.resume.originalName,
-    });
+  const signed = await getSignedDownloadUrl(attachment, {
+    filename: attachment.originalName,
+    contentType: attachment.contentType,
+  });
+  if (signed) {
+    res.setHeader("Cache-Control", "no-store");
+    return res.redirect(302, signed.url);
+  }
 
-    res.send(buffer);
-  } catch (error) {
-    console.error("Error in getResume:", error);
+  const file = await statStoredFile(attachment);
+  await sendStoredFile(req, res, file, {
+    openStream: (range) => openStoredFile(attachment, file, range),
+    filename: attachment.originalName || file.metadata?.originalName,
+    contentType: file.metadata?.contentType || attachment.contentType,
+  });
+});
 
-    if (error.code === "ERR_HTTP_INVALID_HEADER_VALUE") {
-      return next(new ErrorHandler("Invalid file metadata", 500));
-    }
+// Thumbnail of the resume's first page (or the image), ?size=small|medium|large
+export const getResumePreviewImage = catchAsyncErrors(async (req, res, next) => {
+  const preview = await getResumePreview(req.application.resume, req.query.size);
 
-    next(new ErrorHandler("Error retrieving resume", 500));
-  }
+  await sendStoredFile(req, res, preview, {
+    openStream: (range) => openDownloadStream(preview, range, "previews"),
+    filename: preview.filename,
+    contentType: PREVIEW_CONTENT_TYPE,
+    cacheControl: "private, max-age=86400",
+  });
 });
 
+export const previewFeedbackEmail = catchAsyncErrors(async (req, res, next) => {
+  const { application } = req;
+  const { outcome, customEmail, subject, body } = req.body;
 
+  const email = await composeApplicationEmail(application, {
+    outcome,
+    customEmail,
+    subject,
+    body,
+    sender: req.user._id,
+  });
 
-export const sendFeedbackEmail = catchAsyncErrors(async (req, res, next) => {
-  const { applicationId } = req.params;
-  const { customEmail } = req.body;
-
-  console.log('Received feedback request:', {
-    applicationId,
-    hasCustomEmail: !!customEmail
+  res.status(200).json({
+    success: true,
+    preview: {
+      to: application.email,
+      subject: email.subject,
+      message: email.message,
+      html: email.html,
+      outcome: email.outcome,
+      source: email.source,
+      stage: email.stage,
+      unknownPlaceholders: email.unknownPlaceholders,
+    },
   });
+});
 
-  const application = await Application.findById(applicationId);
-  if (!application) {
-    return next(new ErrorHandler("Application not found!", 404));
+export const sendFeedbackEmail = catchAsyncErrors(async (req, res, next) => {
+  const { customEmail, outcome, subject } = req.body;
+
+  const { application } = req;
+  const email = await composeApplicationEmail(application, {
+    outcome,
+    customEmail,
+    subject,
+    sender: req.user._id,
+  });
+  if (email.unknownPlaceholders.length) {
+    return next(
+      new ErrorHandler(
+        `Email contains unknown placeholder(s): ${email.unknownPlaceholders.join(", ")}.`,
+        400
+      )
+    );
   }
 
-  try {
-    // Get associated job details for better context
-    const job = await Job.findById(application.jobId);
-    const jobTitle = job ? job.title : 'Position';
+  // Delivery happens in the background (utils/emailOutbox.js); the
+  // application is marked emailSent once the message has actually gone out
+  const emailMessage = await emailService.sendFeedbackEmail(application, email, req.user._id);
 
-    // Send email using emailService
-    await emailService.sendFeedbackEmail(application, customEmail, jobTitle);
+  res.status(202).json({
+    success: true,
+    message: "Feedback email queued for delivery",
+    emailId: emailMessage._id,
+    outcome: email.outcome,
+    source: email.source
+  });
+});
 
-    // Update application status
-    application.emailSent = true;
-    application.sentEmail = customEmail || application.candidateEmail;
-    await application.save();
+export const getEmailHistoryForApplication = catchAsyncErrors(async (req, res, next) => {
+  const messages = await getEmailHistory(req.application._id);
 
-    res.status(200).json({
-      success: true,
-      message: "Feedback email sent successfully"
-    });
-  } catch (error) {
-    console.error('Email sending error:', error);
-    next(new ErrorHandler("Failed to send feedback email", 500));
-  }
+  res.status(200).json({
+    success: true,
+    emails: messages.map((message) => ({
+      _id: message._id,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      category: message.category,
+      outcome: message.metadata?.outcome || null,
+      status: message.status,
+      attempts: message.attempts,
+      maxAttempts: message.maxAttempts,
+      nextAttemptAt: message.status === "queued" ? message.runAt : undefined,
+      lastError: message.lastError,
+      messageId: message.messageId,
+      transport: message.transport,
+      sentAt: message.sentAt,
+      createdAt: message.createdAt,
+    })),
+  });
 });
 export const regenerateFeedback = catchAsyncErrors(async (req, res, next) => {
   const { applicationId } = req.params;
 
   try {
-    // Find the application
-    const application = await Application.findById(applicationId);
+    // Reload with the stored resume and attachment texts, which are not
+    // selected by default
+    const application = await Application.findById(applicationId).select("+resumeText +attachmentTexts");
     if (!application) {
       return next(new ErrorHandler("Application not found!", 404));
     }
 
-    console.log('Found application:', {
-      id: application._id,
-      employerId: application.employerID.user,
-      jobId: application.jobId
-    });
-
     // Find job - using let so we can reassign
     let jobForAnalysis = await Job.findById(application.jobId);
-    console.log('Job lookup result:', {
-      searchId: application.jobId,
-      found: !!jobForAnalysis
-    });
 
     if (!jobForAnalysis) {
       // If original job not found, try to find the latest active job
@@ -307,35 +431,23 @@ export const regenerateFeedback = catchAsyncErrors(async (req, res, next) => {
       if (!jobForAnalysis) {
         return next(new ErrorHandler("No active jobs found for analysis", 404));
       }
-
-      console.log('Using latest job for analysis:', {
-        jobId: jobForAnalysis._id,
-        title: jobForAnalysis.title
-      });
     }
 
     // Get new AI analysis
     try {
-      const aiAnalysisResult = await analyzeWithOpenAI(
-        application.coverLetter, 
-        jobForAnalysis.description
-      );
-      
-      if (!aiAnalysisResult.success) {
-        return next(new ErrorHandler("Failed to generate new analysis", 500));
-      }
-
-      // Update application with new analysis
-      const updates = {
-        analysis: aiAnalysisResult.recruiterAnalysis,
-        candidateEmail: aiAnalysisResult.candidateEmail,
-        matchScore: aiAnalysisResult.score,
-        emailSent: false
-      };
+      const updates = await runApplicationAnalysis(application, jobForAnalysis);
 
       const updatedApplication = await Application.findByIdAndUpdate(
         applicationId,
-        { $set: updates },
+        {
+          $set: {
+            ...updates,
+            analysisStatus: "completed",
+            analyzedAt: new Date(),
+            emailSent: false
+          },
+          $unset: { analysisError: "" }
+        },
         { new: true }
       );
 
@@ -347,9 +459,12 @@ export const regenerateFeedback = catchAsyncErrors(async (req, res, next) => {
         success: true,
         message: "Feedback regenerated successfully",
         analysis: {
-          recruiterAnalysis: aiAnalysisResult.recruiterAnalysis,
-          candidateEmail: aiAnalysisResult.candidateEmail,
-          score: aiAnalysisResult.score
+          recruiterAnalysis: updates.analysis,
+          candidateEmail: updates.candidateEmail,
+          candidateEmailSubject: updates.candidateEmailSubject,
+          score: updates.matchScore,
+          structured: updates.structuredAnalysis,
+          requirementMatch: updates.requirementMatch
         }
       });
 
@@ -367,42 +482,159 @@ export const regenerateFeedback = catchAsyncErrors(async (req, res, next) => {
     return next(new ErrorHandler(error.message || "Failed to regenerate feedback", 500));
   }
 });
-export const employerGetAllApplications = catchAsyncErrors(async (req, res, next) => {
-  const { role } = req.user;
-  if (role === "Job Seeker") {
-    return next(new ErrorHandler("Job Seeker not allowed to access this resource.", 400));
+export const getAnalysisStatus = catchAsyncErrors(async (req, res, next) => {
+  const { application } = req;
+  const isEmployer = isEmployerSide(req.relations);
+
+  const queueJob = await getLatestAnalysisJob(application._id);
+
+  // Applications submitted before the queue existed were analyzed inline
+  const analysisStatus = application.analysisStatus || "completed";
+
+  res.status(200).json({
+    success: true,
+    applicationId: application._id,
+    analysisStatus,
+    analyzedAt: application.analyzedAt,
+    ...(analysisStatus === "completed" && {
+      matchScore: application.matchScore,
+      requirementCoverage: application.requirementMatch?.coverage ?? null,
+    }),
+    job: queueJob
+      ? {
+          status: queueJob.status,
+          attempts: queueJob.attempts,
+          maxAttempts: queueJob.maxAttempts,
+          nextAttemptAt: queueJob.status === "queued" ? queueJob.runAt : undefined,
+          // Error details are for the recruiter, not the candidate
+          ...(isEmployer && { lastError: queueJob.lastError || application.analysisError }),
+        }
+      : null,
+  });
+});
+
+export const changeApplicationStage = catchAsyncErrors(async (req, res, next) => {
+  const { application } = req;
+  const { stage, note } = req.body;
+  if (!stage) {
+    return next(new ErrorHandler("Please provide the stage to move to.", 400));
   }
-  
+  if (note && String(note).length > 500) {
+    return next(new ErrorHandler("Stage notes cannot exceed 500 characters.", 400));
+  }
+  if (application.withdrawn) {
+    return next(new ErrorHandler("This application was withdrawn by the candidate.", 400));
+  }
+
+  const stages = await getPipelineStages(scopeOfApplication(application));
+  const from = currentStageKey(application, stages);
+  if (!findStage(stages, stage)) {
+    return next(new ErrorHandler(`Unknown stage "${stage}".`, 400));
+  }
+  if (!canTransition(stages, from, stage)) {
+    const allowed = findStage(stages, from)?.next || [];
+    return next(
+      new ErrorHandler(
+        `Cannot move from "${from}" to "${stage}". Allowed: ${allowed.join(", ") || "none"}.`,
+        422
+      )
+    );
+  }
+
+  // The stage in the filter guards against two recruiters moving the same
+  // candidate at once
+  const changedAt = new Date();
+  const updated = await Application.findOneAndUpdate(
+    {
+      _id: application._id,
+      stage: application.stage ?? null,
+    },
+    {
+      $set: { stage, stageChangedAt: changedAt },
+      $push: {
+        stageHistory: { from, to: stage, changedBy: req.user._id, changedAt, note },
+      },
+    },
+    { new: true, runValidators: true }
+  ).select("stage stageChangedAt stageHistory");
+
+  if (!updated) {
+    return next(
+      new ErrorHandler("The application was moved by someone else. Reload and try again.", 409)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Application moved to ${findStage(stages, stage).label}.`,
+    stage: updated.stage,
+    stageChangedAt: updated.stageChangedAt,
+    stageHistory: updated.stageHistory,
+  });
+});
+
+export const getStageHistory = catchAsyncErrors(async (req, res, next) => {
+  const application = await req.application.populate("stageHistory.changedBy", "name");
+  const isEmployer = isEmployerSide(req.relations);
+
+  const stages = await getPipelineStages(scopeOfApplication(application));
+  const label = (key) => findStage(stages, key)?.label || key;
+
+  res.status(200).json({
+    success: true,
+    stage: currentStageKey(application, stages),
+    stageChangedAt: application.stageChangedAt || application.createdAt,
+    // Who moved the candidate and why is internal to the employer
+    history: application.stageHistory.map((entry) => ({
+      from: entry.from,
+      fromLabel: entry.from ? label(entry.from) : null,
+      to: entry.to,
+      toLabel: label(entry.to),
+      changedAt: entry.changedAt,
+      ...(isEmployer && {
+        changedBy: entry.changedBy,
+        note: entry.note,
+      }),
+    })),
+  });
+});
+
+export const employerGetAllApplications = catchAsyncErrors(async (req, res, next) => {
   // Add pagination
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
+  // Organization members see the whole team's applications as well as any
+  // for jobs they posted before joining
+  const personal = applicationScopeFilter({ employer: req.user._id });
+  const filter = req.membership
+    ? { $or: [applicationScopeFilter(scopeOfUser(req.user, req.membership)), personal] }
+    : personal;
+  if (["passed", "flagged", "rejected"].includes(req.query.screening)) {
+    filter["screening.status"] = req.query.screening;
+  }
+  if (req.query.stage) {
+    // Applications from before pipelines existed count as the first stage
+    const stages = await getPipelineStages(scopeOfUser(req.user, req.membership));
+    filter.stage = req.query.stage === stages[0].key
+      ? { $in: [req.query.stage, null] }
+      : String(req.query.stage);
+  }
+
   // Get total count for pagination
-  const totalCount = await Application.countDocuments({
-    "employerID.user": req.user._id,
-  });
+  const totalCount = await Application.countDocuments(filter);
 
   // Add field selection and pagination - now including candidateEmail
-  const applications = await Application.find({
-    "employerID.user": req.user._id,
-  })
+  const applications = await Application.find(filter)
     .select(
-      "name email phone address coverLetter resume analysis candidateEmail matchScore createdAt emailSent sentEmail"
+      "name email phone address coverLetter resume attachments analysis structuredAnalysis candidateEmail candidateEmailSubject matchScore requirementMatch analysisStatus stage stageChangedAt screeningAnswers screening withdrawn withdrawnAt createdAt emailSent sentEmail"
     )
     .sort({ createdAt: -1 })
     .skip(skip)
     .limit(limit)
     .lean(); // Convert to plain JS object for better performance
 
-  // Log what's being sent
-  console.log('Sending applications with data:', applications.map(app => ({
-    id: app._id,
-    hasAnalysis: !!app.analysis,
-    hasCandidateEmail: !!app.candidateEmail,
-    matchScore: app.matchScore
-  })));
-
   res.status(200).json({
     success: true,
     applications,
@@ -412,54 +644,166 @@ export const employerGetAllApplications = catchAsyncErrors(async (req, res, next
   });
 });
 
-export const jobseekerGetAllApplications = catchAsyncErrors(async (req, res, next) => {
-  const { role } = req.user;
-  if (role === "Employer") {
-    return next(
-      new ErrorHandler("Employer not allowed to access this resource.", 400)
-    );
+const SHORTLIST_FIELDS =
+  "name email phone matchScore rankScore requirementMatch analysisStatus structuredAnalysis.summary createdAt";
+const SHORTLIST_MAX_LIMIT = 100;
+const SHORTLIST_EXPORT_LIMIT = 5000;
+
+const SHORTLIST_CSV_COLUMNS = [
+  { header: "Rank", value: (app, index) => index + 1 },
+  { header: "Name", value: (app) => app.name },
+  { header: "Email", value: (app) => app.email },
+  { header: "Phone", value: (app) => app.phone },
+  { header: "Rank Score", value: (app) => app.rankScore },
+  { header: "Match Score", value: (app) => app.matchScore },
+  { header: "Requirement Coverage", value: (app) => app.requirementMatch?.coverage },
+  { header: "Required Missing", value: (app) => app.requirementMatch?.requiredMissing },
+  {
+    header: "Missing Requirements",
+    value: (app) => (app.requirementMatch?.missing || []).map(({ name }) => name).join("; "),
+  },
+  { header: "Analysis Status", value: (app) => app.analysisStatus || "completed" },
+  { header: "Applied At", value: (app) => app.createdAt },
+  { header: "Application ID", value: (app) => app._id },
+];
+
+const parseThreshold = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0 || number > 100) {
+    throw new ErrorHandler(`${name} must be a number between 0 and 100.`, 400);
   }
+  return number;
+};
 
+export const getJobShortlist = catchAsyncErrors(async (req, res, next) => {
+  const { job } = req;
+
+  const minScore = parseThreshold(req.query.minScore, "minScore");
+  const minCoverage = parseThreshold(req.query.minCoverage, "minCoverage");
+  const tieBreak = getTieBreak(req.query.tieBreak);
+  const exportCsv = req.query.format === "csv";
+  const limit = exportCsv
+    ? SHORTLIST_EXPORT_LIMIT
+    : Math.min(SHORTLIST_MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || 20));
+
+  const filter = activeApplicationFilter({ jobId: job._id });
+  // Pending and failed analyses have no meaningful score to rank on
+  if (req.query.includeUnanalyzed !== "true") {
+    filter.analysisStatus = { $nin: ["pending", "processing", "failed"] };
+  }
+  if (minScore !== undefined) filter.matchScore = { $gte: minScore };
+  if (minCoverage !== undefined) filter["requirementMatch.coverage"] = { $gte: minCoverage };
+
+  const conditions = [filter];
+  if (req.query.cursor && !exportCsv) {
+    conditions.push(afterCursor(decodeCursor(req.query.cursor, tieBreak), tieBreak));
+  }
+
+  const applications = await Application.find(
+    conditions.length > 1 ? { $and: conditions } : filter
+  )
+    .select(SHORTLIST_FIELDS)
+    .sort(shortlistSort(tieBreak))
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = applications.length > limit;
+  const shortlist = applications.slice(0, limit);
+
+  if (exportCsv) {
+    const filename = `shortlist-${job._id}-${new Date().toISOString().slice(0, 10)}.csv`;
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    if (hasMore) {
+      res.setHeader("X-Shortlist-Truncated", "true");
+    }
+    return res.status(200).send(toCSV(shortlist, SHORTLIST_CSV_COLUMNS));
+  }
+
+  res.status(200).json({
+    success: true,
+    job: { _id: job._id, title: job.title },
+    shortlist,
+    count: shortlist.length,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(shortlist[shortlist.length - 1], tieBreak) : null,
+  });
+});
+
+export const jobseekerGetAllApplications = catchAsyncErrors(async (req, res, next) => {
   const { _id } = req.user;
   
   // Enhanced populate configuration
   const applications = await Application.find({ "applicantID.user": _id })
+    .select(HIDDEN_FROM_JOB_SEEKER.map((field) => `-${field}`).join(" "))
     .populate({
       path: 'jobId',
       select: 'title location city country fixedSalary salaryFrom salaryTo', // Specify the fields we need
       model: 'Job' // Explicitly specify the model
     })
     .sort({ createdAt: -1 });
-  
-  // Add debug logging
-  console.log('Applications query result:', JSON.stringify({
-    count: applications.length,
-    sample: applications[0] ? {
-      id: applications[0]._id,
-      jobId: applications[0].jobId,
-      hasJobDetails: !!applications[0].jobId
-    } : null
-  }, null, 2));
+
+  // Resolve stage labels against each employer's (or organization's) pipeline
+  const pipelineKey = (application) => {
+    const scope = scopeOfApplication(application);
+    return (scope.organization || scope.employer).toString();
+  };
+  const pipelines = new Map();
+  for (const application of applications) {
+    if (!pipelines.has(pipelineKey(application))) {
+      pipelines.set(
+        pipelineKey(application),
+        await getPipelineStages(scopeOfApplication(application))
+      );
+    }
+  }
+  const withStages = applications.map((application) => {
+    const stages = pipelines.get(pipelineKey(application));
+    const key = currentStageKey(application, stages);
+    const stage = findStage(stages, key);
+    return {
+      ...application.toObject(),
+      currentStage: {
+        key,
+        label: stage?.label || key,
+        terminal: Boolean(stage?.terminal),
+        changedAt: application.stageChangedAt || application.createdAt,
+      },
+    };
+  });
 
   res.status(200).json({
     success: true,
-    applications,
+    applications: withStages,
   });
 });
+// Withdrawing keeps the application on record for the employer and frees
+// the seeker to apply to the job again
+export const withdrawApplication = catchAsyncErrors(async (req, res, next) => {
+  const { application } = req;
+  if (application.withdrawn) {
+    return next(new ErrorHandler("Application is already withdrawn.", 400));
+  }
+  const { reason } = req.body;
+  if (reason && String(reason).length > 500) {
+    return next(new ErrorHandler("Withdraw reason cannot exceed 500 characters.", 400));
+  }
+
+  await Application.updateOne(
+    { _id: application._id },
+    { $set: { withdrawn: true, withdrawnAt: new Date(), withdrawReason: reason } }
+  );
+  res.status(200).json({
+    success: true,
+    message: "Application Withdrawn!",
+  });
+});
+
 export const jobseekerDeleteApplication = catchAsyncErrors(
   async (req, res, next) => {
-    const { role } = req.user;
-    if (role === "Employer") {
-      return next(
-        new ErrorHandler("Employer not allowed to access this resource.", 400)
-      );
-    }
-    const { id } = req.params;
-    const application = await Application.findById(id);
-    if (!application) {
-      return next(new ErrorHandler("Application not found!", 404));
-    }
-    await application.deleteOne();
+    // Also drops its queued analysis and its reference to the resume file
+    await purgeApplications({ _id: req.application._id });
     res.status(200).json({
       success: true,
       message: "Application Deleted!",
@@ -467,98 +811,21 @@ export const jobseekerDeleteApplication = catchAsyncErrors(
   }
 );
 
-// Helper functions for text analysis
-const analyzeCoverLetter = (coverLetter) => {
-  const keyPoints = [];
-  const sentences = coverLetter.split(/[.!?]+/);
-
-  sentences.forEach((sentence) => {
-    if (
-      sentence.toLowerCase().includes("experience") ||
-      sentence.toLowerCase().includes("skill") ||
-      sentence.toLowerCase().includes("project") ||
-      sentence.toLowerCase().includes("achieved")
-    ) {
-      keyPoints.push(sentence.trim());
-    }
-  });
-
-  return keyPoints.slice(0, 3);
-};
-
-const calculateProfessionalTone = (text) => {
-  const professionalWords = [
-    "professional",
-    "experience",
-    "skill",
-    "achieve",
-    "develop",
-    "manage",
-    "lead",
-  ];
-  const words = text.toLowerCase().split(/\s+/);
-
-  const professionalCount = words.filter((word) =>
-    professionalWords.some((pWord) => word.includes(pWord))
-  ).length;
-
-  return Math.min(100, (professionalCount / words.length) * 100);
-};
-
-const extractSkills = (text) => {
-  const commonSkills = [
-    "javascript",
-    "python",
-    "react",
-    "node",
-    "management",
-    "leadership",
-    "communication",
-  ];
-  const skills = [];
-
-  commonSkills.forEach((skill) => {
-    if (text.toLowerCase().includes(skill)) {
-      skills.push(skill);
-    }
-  });
-
-  return skills;
-};
-
-const identifyStrengths = (text) => {
-  const strengths = [];
-  const strengthIndicators = {
-    experience: "Relevant experience",
-    education: "Strong educational background",
-    communication: "Good communication skills",
-    leadership: "Leadership qualities",
-  };
-
-  Object.entries(strengthIndicators).forEach(([key, value]) => {
-    if (text.toLowerCase().includes(key)) {
-      strengths.push(value);
-    }
-  });
-
-  return strengths;
-};
-
-const generateRecommendations = () => {
-  return [
-    "Consider adding more specific examples of project achievements",
-    "Include quantifiable results where possible",
-    "Highlight relevant technical skills",
-  ];
-};
-
 export default {
   postApplication,
   getResume,
+  getResumePreviewImage,
+  getAttachment,
   sendFeedbackEmail,
   regenerateFeedback,
   employerGetAllApplications,
   jobseekerGetAllApplications,
   jobseekerDeleteApplication,
-  sendFeedbackEmail,
+  withdrawApplication,
+  getAnalysisStatus,
+  getJobShortlist,
+  changeApplicationStage,
+  getStageHistory,
+  previewFeedbackEmail,
+  getEmailHistoryForApplication,
 };
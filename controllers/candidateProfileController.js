@@ -0,0 +1,152 @@
+import { catchAsyncErrors } from "../middlewares/catchAsyncError.js";
+import ErrorHandler from "../middlewares/error.js";
+import { CandidateProfile } from "../models/candidateProfileSchema.js";
+import { openDownloadStream } from "../utils/gridfsStorage.js";
+import { statStoredFile, openStoredFile, getSignedDownloadUrl } from "../utils/storage/index.js";
+import { sendStoredFile } from "../utils/fileStreaming.js";
+import { inspectUpload } from "../utils/uploadValidation.js";
+import { getResumePreview, PREVIEW_CONTENT_TYPE } from "../utils/resumePreview.js";
+import {
+  normalizeSkills,
+  parseProfileResume,
+  replaceProfileResume,
+  removeProfileResume,
+  getCandidateProfile as findCandidateProfile,
+} from "../utils/candidateProfile.js";
+
+const EDITABLE_FIELDS = ["name", "email", "phone", "address", "headline"];
+
+// Profiles are created on first write; until then the account's details
+// are offered as a starting point
+export const getCandidateProfile = catchAsyncErrors(async (req, res, next) => {
+  const profile = await findCandidateProfile(req.user._id);
+  res.status(200).json({
+    success: true,
+    exists: Boolean(profile),
+    profile: profile || {
+      user: req.user._id,
+      name: req.user.name,
+      email: req.user.email,
+      phone: req.user.phone,
+      skills: [],
+    },
+  });
+});
+
+export const updateCandidateProfile = catchAsyncErrors(async (req, res, next) => {
+  const updates = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  }
+  // Sending skills pins them; "auto" goes back to the ones parsed from the resume
+  if (req.body.skills !== undefined) {
+    if (req.body.skills === "auto") {
+      const current = await findCandidateProfile(req.user._id, { withResumeText: true });
+      updates.skills = parseProfileResume(current?.resumeText || "").skills;
+      updates.skillsSource = "extracted";
+    } else {
+      updates.skills = normalizeSkills(req.body.skills);
+      updates.skillsSource = "manual";
+    }
+  }
+  if (!Object.keys(updates).length) {
+    return next(new ErrorHandler("Please provide profile fields to update.", 400));
+  }
+
+  const profile = await CandidateProfile.findOneAndUpdate(
+    { user: req.user._id },
+    { $set: updates },
+    { new: true, upsert: true, runValidators: true }
+  );
+  res.status(200).json({
+    success: true,
+    message: "Profile Updated!",
+    profile,
+  });
+});
+
+export const uploadProfileResume = catchAsyncErrors(async (req, res, next) => {
+  if (!req.files || !req.files.resume) {
+    return next(new ErrorHandler("Resume File Required!", 400));
+  }
+  const { resume } = req.files;
+  // Checked before a new profile is created for it
+  const inspected = await inspectUpload(resume);
+
+  const profile =
+    (await findCandidateProfile(req.user._id, { withResumeText: true })) ||
+    new CandidateProfile({
+      user: req.user._id,
+      name: req.user.name,
+      email: req.user.email,
+      phone: req.user.phone,
+    });
+  await replaceProfileResume(profile, resume, inspected);
+
+  const saved = profile.toObject();
+  delete saved.resumeText;
+  res.status(200).json({
+    success: true,
+    message: "Resume Uploaded!",
+    profile: saved,
+    resumeTextLength: profile.resumeText?.length || 0,
+  });
+});
+
+export const deleteProfileResume = catchAsyncErrors(async (req, res, next) => {
+  const profile = await findCandidateProfile(req.user._id);
+  if (!profile?.resume?.public_id) {
+    return next(new ErrorHandler("No resume stored on your profile.", 404));
+  }
+  await removeProfileResume(profile);
+  res.status(200).json({
+    success: true,
+    message: "Resume Removed!",
+  });
+});
+
+export const getProfileResume = catchAsyncErrors(async (req, res, next) => {
+  const profile = await findCandidateProfile(req.user._id);
+  if (!profile?.resume?.public_id) {
+    return next(new ErrorHandler("Resume not found", 404));
+  }
+  const { resume } = profile;
+  const filename = resume.originalName || "resume.pdf";
+
+  const signed = await getSignedDownloadUrl(resume, { filename, contentType: resume.contentType });
+  if (signed) {
+    res.setHeader("Cache-Control", "no-store");
+    return res.redirect(302, signed.url);
+  }
+
+  const file = await statStoredFile(resume);
+  await sendStoredFile(req, res, file, {
+    openStream: (range) => openStoredFile(resume, file, range),
+    filename,
+    contentType: file.metadata?.contentType || resume.contentType,
+  });
+});
+
+export const getProfileResumePreview = catchAsyncErrors(async (req, res, next) => {
+  const profile = await findCandidateProfile(req.user._id);
+  if (!profile?.resume?.public_id) {
+    return next(new ErrorHandler("Resume not found", 404));
+  }
+  const preview = await getResumePreview(profile.resume, req.query.size);
+
+  await sendStoredFile(req, res, preview, {
+    openStream: (range) => openDownloadStream(preview, range, "previews"),
+    filename: preview.filename,
+    contentType: PREVIEW_CONTENT_TYPE,
+    cacheControl: "private, max-age=86400",
+  });
+});
+
+export default {
+  getCandidateProfile,
+  updateCandidateProfile,
+  uploadProfileResume,
+  deleteProfileResume,
+  getProfileResume,
+  getProfileResumePreview,
+};
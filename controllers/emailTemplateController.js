@@ -0,0 +1,64 @@
+import { catchAsyncErrors } from "../middlewares/catchAsyncError.js";
+import ErrorHandler from "../middlewares/error.js";
+import { EmailTemplate } from "../models/emailTemplateSchema.js";
+import {
+  EMAIL_OUTCOMES,
+  TEMPLATE_PLACEHOLDERS,
+  getEmailTemplate,
+  validateTemplate,
+} from "../utils/emailTemplates.js";
+import { scopeOfUser, scopeQuery } from "../utils/organizations.js";
+
+const checkOutcome = (outcome) => {
+  if (!EMAIL_OUTCOMES.includes(outcome)) {
+    throw new ErrorHandler(`Email outcome must be one of: ${EMAIL_OUTCOMES.join(", ")}.`, 400);
+  }
+};
+
+export const getEmailTemplates = catchAsyncErrors(async (req, res, next) => {
+  // Members of an organization share its templates
+  const scope = scopeOfUser(req.user, req.membership);
+  const templates = await Promise.all(
+    EMAIL_OUTCOMES.map((outcome) => getEmailTemplate(scope, outcome))
+  );
+
+  res.status(200).json({
+    success: true,
+    templates,
+    placeholders: TEMPLATE_PLACEHOLDERS,
+  });
+});
+
+export const updateEmailTemplate = catchAsyncErrors(async (req, res, next) => {
+  const { outcome } = req.params;
+  checkOutcome(outcome);
+  const { subject, body } = req.body;
+  validateTemplate({ subject, body });
+
+  const template = await EmailTemplate.findOneAndUpdate(
+    { ...scopeQuery(scopeOfUser(req.user, req.membership)), outcome },
+    { $set: { subject, body, updatedBy: req.user._id } },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Email Template Updated!",
+    template,
+  });
+});
+
+export const resetEmailTemplate = catchAsyncErrors(async (req, res, next) => {
+  const { outcome } = req.params;
+  checkOutcome(outcome);
+  const scope = scopeOfUser(req.user, req.membership);
+  await EmailTemplate.deleteOne({ ...scopeQuery(scope), outcome });
+
+  res.status(200).json({
+    success: true,
+    message: "Email template reset to default.",
+    template: await getEmailTemplate(scope, outcome),
+  });
+});
+
+export default { getEmailTemplates, updateEmailTemplate, resetEmailTemplate };
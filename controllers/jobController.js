@@ -1,22 +1,76 @@
 import { catchAsyncErrors } from "../middlewares/catchAsyncError.js";
 import { Job } from "../models/jobSchema.js";
 import ErrorHandler from "../middlewares/error.js";
+import { extractRequirements, normalizeRequirements } from "../utils/jobRequirements.js";
+import { scopeOfUser, jobScopeFilter } from "../utils/organizations.js";
+import {
+  JOB_SEARCH_MAX_LIMIT,
+  getJobSort,
+  salaryBounds,
+  buildJobFilter,
+  jobSearchSort,
+  encodeJobCursor,
+  decodeJobCursor,
+  afterJobCursor,
+} from "../utils/jobSearch.js";
+import { currentStatus, resolveLifecycle } from "../utils/jobLifecycle.js";
+import { normalizeApplicationRules } from "../utils/applicationRules.js";
+import { normalizeScreeningQuestions } from "../utils/screening.js";
+import { purgeApplications } from "../utils/applicationCleanup.js";
 
+// "auto" (or nothing) derives requirements from the description; anything
+// else is treated as an employer-edited set
+const resolveRequirements = (requirements, description) =>
+  !requirements || requirements === "auto"
+    ? extractRequirements(description)
+    : normalizeRequirements(requirements);
+
+// Knockout rules tell which answers flag or reject a candidate, so only
+// the people who manage a job see them
+const PUBLIC_JOB_PROJECTION = { "screeningQuestions.knockout": 0 };
+
+const withoutKnockouts = (job) => {
+  const { screeningQuestions, ...rest } = job.toObject();
+  return {
+    ...rest,
+    screeningQuestions: screeningQuestions?.map(({ knockout, ...question }) => question),
+  };
+};
+
+// Public job search: ?q= full-text, category/country/city/minSalary/maxSalary
+// filters, sort, limit and cursor (see utils/jobSearch.js)
 export const getAllJobs = catchAsyncErrors(async (req, res, next) => {
-  const jobs = await Job.find({ expired: false });
+  const { filter, hasQuery } = buildJobFilter(req.query);
+  const sort = getJobSort(req.query.sort, hasQuery);
+  const limit = Math.min(JOB_SEARCH_MAX_LIMIT, Math.max(1, parseInt(req.query.limit) || 20));
+
+  const cursor = req.query.cursor ? decodeJobCursor(req.query.cursor, sort) : null;
+  const offset = cursor?.offset || 0;
+  const conditions = cursor && !sort.offset ? { $and: [filter, afterJobCursor(cursor, sort)] } : filter;
+
+  const query = Job.find(conditions, {
+    ...PUBLIC_JOB_PROJECTION,
+    ...(hasQuery && { score: { $meta: "textScore" } }),
+  })
+    .sort(jobSearchSort(sort))
+    .limit(limit + 1);
+  if (offset) query.skip(offset);
+  const results = await query.lean();
+
+  const hasMore = results.length > limit;
+  const jobs = results.slice(0, limit);
   res.status(200).json({
     success: true,
     jobs,
+    count: jobs.length,
+    hasMore,
+    nextCursor: hasMore
+      ? encodeJobCursor(jobs[jobs.length - 1], sort, offset + limit)
+      : null,
   });
 });
 
 export const postJob = catchAsyncErrors(async (req, res, next) => {
-  const { role } = req.user;
-  if (role === "Job Seeker") {
-    return next(
-      new ErrorHandler("Job Seeker not allowed to access this resource.", 400)
-    );
-  }
   const {
     title,
     description,
@@ -27,6 +81,12 @@ export const postJob = catchAsyncErrors(async (req, res, next) => {
     fixedSalary,
     salaryFrom,
     salaryTo,
+    requirements,
+    status,
+    publishAt,
+    closesAt,
+    applicationRules,
+    screeningQuestions,
   } = req.body;
 
   if (!title || !description || !category || !country || !city || !location) {
@@ -48,7 +108,9 @@ export const postJob = catchAsyncErrors(async (req, res, next) => {
     );
   }
   const postedBy = req.user._id;
+  const lifecycle = resolveLifecycle({ status, publishAt, closesAt });
   const job = await Job.create({
+    ...lifecycle,
     title,
     description,
     category,
@@ -58,7 +120,14 @@ export const postJob = catchAsyncErrors(async (req, res, next) => {
     fixedSalary,
     salaryFrom,
     salaryTo,
+    requirements: resolveRequirements(requirements, description),
+    applicationRules:
+      applicationRules === undefined ? undefined : normalizeApplicationRules(applicationRules),
+    screeningQuestions:
+      screeningQuestions === undefined ? undefined : normalizeScreeningQuestions(screeningQuestions),
     postedBy,
+    // Jobs posted by organization members belong to the organization
+    organization: req.membership?.organization._id,
   });
   res.status(200).json({
     success: true,
@@ -68,32 +137,72 @@ export const postJob = catchAsyncErrors(async (req, res, next) => {
 });
 
 export const getMyJobs = catchAsyncErrors(async (req, res, next) => {
-  const { role } = req.user;
-  if (role === "Job Seeker") {
-    return next(
-      new ErrorHandler("Job Seeker not allowed to access this resource.", 400)
-    );
-  }
-  const myJobs = await Job.find({ postedBy: req.user._id });
+  // Members also see their organization's jobs
+  const personal = jobScopeFilter({ employer: req.user._id });
+  const myJobs = await Job.find(
+    req.membership
+      ? { $or: [jobScopeFilter(scopeOfUser(req.user, req.membership)), personal] }
+      : personal
+  );
   res.status(200).json({
     success: true,
     myJobs,
   });
 });
 
+// Fields an employer may change. Ownership (postedBy, organization), the
+// derived salary bounds and the lifecycle bookkeeping are maintained here
+const UPDATABLE_JOB_FIELDS = [
+  "title",
+  "description",
+  "category",
+  "country",
+  "city",
+  "location",
+  "fixedSalary",
+  "salaryFrom",
+  "salaryTo",
+  "requirements",
+  "applicationRules",
+  "screeningQuestions",
+];
+
 export const updateJob = catchAsyncErrors(async (req, res, next) => {
-  const { role } = req.user;
-  if (role === "Job Seeker") {
-    return next(
-      new ErrorHandler("Job Seeker not allowed to access this resource.", 400)
+  const { id } = req.params;
+  let { job } = req;
+  const updates = Object.fromEntries(
+    UPDATABLE_JOB_FIELDS.filter((field) => req.body[field] !== undefined).map((field) => [
+      field,
+      req.body[field],
+    ])
+  );
+  // Lifecycle fields are validated together against the current state
+  const { status, publishAt, closesAt, expired } = req.body;
+  Object.assign(updates, resolveLifecycle({ status, publishAt, closesAt, expired }, job));
+  if (updates.requirements !== undefined) {
+    updates.requirements = resolveRequirements(
+      updates.requirements,
+      updates.description || job.description
     );
+  } else if (
+    updates.description &&
+    updates.description !== job.description &&
+    job.requirements?.source !== "manual"
+  ) {
+    // Keep extracted requirements in step with the description; manual ones
+    // are left alone until the employer edits them
+    updates.requirements = extractRequirements(updates.description);
   }
-  const { id } = req.params;
-  let job = await Job.findById(id);
-  if (!job) {
-    return next(new ErrorHandler("OOPS! Job not found.", 404));
+  if (updates.screeningQuestions !== undefined) {
+    updates.screeningQuestions = normalizeScreeningQuestions(updates.screeningQuestions);
+  }
+  if (updates.applicationRules !== undefined) {
+    updates.applicationRules = normalizeApplicationRules(updates.applicationRules);
+  }
+  if (["fixedSalary", "salaryFrom", "salaryTo"].some((field) => field in updates)) {
+    Object.assign(updates, salaryBounds({ ...job.toObject(), ...updates }));
   }
-  job = await Job.findByIdAndUpdate(id, req.body, {
+  job = await Job.findByIdAndUpdate(id, updates, {
     new: true,
     runValidators: true,
     useFindAndModify: false,
@@ -104,35 +213,37 @@ export const updateJob = catchAsyncErrors(async (req, res, next) => {
   });
 });
 
+// Applications to the job go with it, along with their resume files
 export const deleteJob = catchAsyncErrors(async (req, res, next) => {
-  const { role } = req.user;
-  if (role === "Job Seeker") {
-    return next(
-      new ErrorHandler("Job Seeker not allowed to access this resource.", 400)
-    );
-  }
-  const { id } = req.params;
-  const job = await Job.findById(id);
-  if (!job) {
-    return next(new ErrorHandler("OOPS! Job not found.", 404));
-  }
-  await job.deleteOne();
+  await purgeApplications({ jobId: req.job._id });
+  await req.job.deleteOne();
   res.status(200).json({
     success: true,
     message: "Job Deleted!",
   });
 });
 
+// Drafts, scheduled jobs and knockout rules are only visible to the people
+// who manage the job
+const managesJob = (job, user, membership) =>
+  String(job.postedBy) === String(user._id) ||
+  Boolean(
+    job.organization &&
+      membership &&
+      String(membership.organization._id) === String(job.organization)
+  );
+
 export const getSingleJob = catchAsyncErrors(async (req, res, next) => {
   const { id } = req.params;
   try {
     const job = await Job.findById(id);
-    if (!job) {
+    const manages = job && managesJob(job, req.user, req.membership);
+    if (!job || (currentStatus(job) === "draft" && !manages)) {
       return next(new ErrorHandler("Job not found.", 404));
     }
     res.status(200).json({
       success: true,
-      job,
+      job: manages ? job : withoutKnockouts(job),
     });
   } catch (error) {
     return next(new ErrorHandler(`Invalid ID / CastError`, 404));
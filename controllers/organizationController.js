@@ -0,0 +1,301 @@
+import crypto from "crypto";
+import { catchAsyncErrors } from "../middlewares/catchAsyncError.js";
+import ErrorHandler from "../middlewares/error.js";
+import { Organization, ORGANIZATION_ROLES } from "../models/organizationSchema.js";
+import { Job } from "../models/jobSchema.js";
+import { Application } from "../models/applicationSchema.js";
+import { Pipeline } from "../models/pipelineSchema.js";
+import { EmailTemplate } from "../models/emailTemplateSchema.js";
+import { hashToken, ORG_ADMIN_ROLES } from "../utils/organizations.js";
+import emailService from "../utils/emailService.js";
+
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+const sameId = (a, b) => Boolean(a && b && a.toString() === b.toString());
+
+const checkRole = (role) => {
+  if (!ORGANIZATION_ROLES.includes(role) || role === "owner") {
+    throw new ErrorHandler(
+      `Role must be one of: ${ORGANIZATION_ROLES.filter((r) => r !== "owner").join(", ")}.`,
+      400
+    );
+  }
+};
+
+// Admins may manage recruiters and hiring managers; only the owner manages admins
+const checkCanAssign = (membership, role) => {
+  if (role === "admin" && membership.role !== "owner") {
+    throw new ErrorHandler("Only the organization owner can manage admins.", 403);
+  }
+};
+
+const findMember = (organization, userId) => {
+  const member = organization.members.find(({ user }) => sameId(user._id || user, userId));
+  if (!member) {
+    throw new ErrorHandler("Member not found in this organization.", 404);
+  }
+  return member;
+};
+
+const isPending = (invitation) =>
+  !invitation.acceptedAt && !invitation.revokedAt && invitation.expiresAt > new Date();
+
+export const createOrganization = catchAsyncErrors(async (req, res, next) => {
+  if (req.membership) {
+    return next(new ErrorHandler("You already belong to an organization.", 409));
+  }
+  const { name } = req.body;
+  if (!name) {
+    return next(new ErrorHandler("Please provide the organization name.", 400));
+  }
+
+  const organization = await Organization.create({
+    name,
+    createdBy: req.user._id,
+    members: [{ user: req.user._id, role: "owner" }],
+  });
+
+  // The founder's existing jobs, applications and hiring settings move
+  // into the organization so the team starts from them
+  const employer = req.user._id;
+  const scope = { organization: organization._id };
+  await Promise.all([
+    Job.updateMany({ postedBy: employer, organization: null }, { $set: scope }),
+    Application.updateMany(
+      { "employerID.user": employer, organization: null },
+      { $set: scope }
+    ),
+    Pipeline.updateMany({ employer }, { $set: scope, $unset: { employer: 1 } }),
+    EmailTemplate.updateMany({ employer }, { $set: scope, $unset: { employer: 1 } }),
+  ]);
+
+  res.status(201).json({
+    success: true,
+    message: "Organization Created!",
+    organization,
+  });
+});
+
+export const getMyOrganization = catchAsyncErrors(async (req, res, next) => {
+  const organization = await Organization.findById(req.membership.organization._id)
+    .populate("members.user", "name email");
+  const isAdmin = ORG_ADMIN_ROLES.includes(req.membership.role);
+
+  res.status(200).json({
+    success: true,
+    organization: {
+      _id: organization._id,
+      name: organization.name,
+      createdAt: organization.createdAt,
+      members: organization.members,
+      // Invitations are only shown to those who can manage them
+      invitations: isAdmin ? organization.invitations.filter(isPending) : undefined,
+    },
+    role: req.membership.role,
+  });
+});
+
+export const updateOrganization = catchAsyncErrors(async (req, res, next) => {
+  const { name } = req.body;
+  if (!name) {
+    return next(new ErrorHandler("Please provide the organization name.", 400));
+  }
+  const organization = await Organization.findByIdAndUpdate(
+    req.membership.organization._id,
+    { $set: { name } },
+    { new: true, runValidators: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Organization Updated!",
+    organization,
+  });
+});
+
+export const inviteMember = catchAsyncErrors(async (req, res, next) => {
+  const { email, role } = req.body;
+  if (!email || !role) {
+    return next(new ErrorHandler("Please provide email and role.", 400));
+  }
+  checkRole(role);
+  checkCanAssign(req.membership, role);
+
+  const organizationId = req.membership.organization._id;
+  const normalizedEmail = String(email).trim().toLowerCase();
+  const members = await Organization.findById(organizationId)
+    .select("members")
+    .populate("members.user", "email");
+  if (members.members.some(({ user }) => user?.email === normalizedEmail)) {
+    return next(new ErrorHandler("This user is already a member.", 409));
+  }
+
+  // A new invitation to the same address replaces any pending one. Token
+  // hashes are not loaded, so invitations are only ever updated in place.
+  await Organization.updateOne(
+    { _id: organizationId },
+    { $set: { "invitations.$[pending].revokedAt": new Date() } },
+    {
+      arrayFilters: [
+        { "pending.email": normalizedEmail, "pending.acceptedAt": null, "pending.revokedAt": null },
+      ],
+    }
+  );
+
+  const organization = await Organization.findById(organizationId);
+
+  const token = crypto.randomBytes(32).toString("hex");
+  organization.invitations.push({
+    email: normalizedEmail,
+    role,
+    tokenHash: hashToken(token),
+    invitedBy: req.user._id,
+    expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+  });
+  await organization.save();
+  const invitation = organization.invitations[organization.invitations.length - 1];
+
+  const link = `${process.env.FRONTEND_URL}/invitations/${token}`;
+  await emailService.queueEmail({
+    to: normalizedEmail,
+    subject: `You're invited to join ${organization.name}`,
+    message:
+      `${req.user.name} invited you to join ${organization.name} as ${role.replace("_", " ")}.\n\n` +
+      `Accept the invitation here: ${link}\n\n` +
+      `This link expires on ${invitation.expiresAt.toUTCString()}.`,
+    category: "invitation",
+    metadata: { organization: organization._id, invitation: invitation._id },
+    createdBy: req.user._id,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Invitation Sent!",
+    invitation: {
+      _id: invitation._id,
+      email: invitation.email,
+      role: invitation.role,
+      expiresAt: invitation.expiresAt,
+    },
+  });
+});
+
+export const acceptInvitation = catchAsyncErrors(async (req, res, next) => {
+  const { token } = req.body;
+  if (!token) {
+    return next(new ErrorHandler("Please provide the invitation token.", 400));
+  }
+  if (req.membership) {
+    return next(new ErrorHandler("You already belong to an organization.", 409));
+  }
+
+  const tokenHash = hashToken(String(token));
+  const organization = await Organization.findOne({ "invitations.tokenHash": tokenHash })
+    .select("+invitations.tokenHash");
+  const invitation = organization?.invitations.find((i) => i.tokenHash === tokenHash);
+  if (!invitation || !isPending(invitation)) {
+    return next(new ErrorHandler("Invitation is invalid or has expired.", 400));
+  }
+  if (invitation.email !== req.user.email.toLowerCase()) {
+    return next(new ErrorHandler("This invitation was sent to a different email.", 403));
+  }
+
+  invitation.acceptedAt = new Date();
+  invitation.acceptedBy = req.user._id;
+  organization.members.push({ user: req.user._id, role: invitation.role });
+  await organization.save();
+
+  res.status(200).json({
+    success: true,
+    message: `Joined ${organization.name}!`,
+    organization: { _id: organization._id, name: organization.name },
+    role: invitation.role,
+  });
+});
+
+export const revokeInvitation = catchAsyncErrors(async (req, res, next) => {
+  const organization = await Organization.findById(req.membership.organization._id);
+  const invitation = organization.invitations.id(req.params.invitationId);
+  if (!invitation || !isPending(invitation)) {
+    return next(new ErrorHandler("Pending invitation not found.", 404));
+  }
+  checkCanAssign(req.membership, invitation.role);
+
+  await Organization.updateOne(
+    { _id: organization._id, "invitations._id": invitation._id },
+    { $set: { "invitations.$.revokedAt": new Date() } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Invitation Revoked!",
+  });
+});
+
+export const changeMemberRole = catchAsyncErrors(async (req, res, next) => {
+  const { role } = req.body;
+  checkRole(role);
+  const organization = await Organization.findById(req.membership.organization._id);
+  const member = findMember(organization, req.params.userId);
+  if (member.role === "owner") {
+    return next(new ErrorHandler("The owner's role cannot be changed.", 400));
+  }
+  checkCanAssign(req.membership, member.role);
+  checkCanAssign(req.membership, role);
+
+  member.role = role;
+  await organization.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Member Role Updated!",
+    member,
+  });
+});
+
+export const removeMember = catchAsyncErrors(async (req, res, next) => {
+  const organization = await Organization.findById(req.membership.organization._id);
+  const member = findMember(organization, req.params.userId);
+  if (member.role === "owner") {
+    return next(new ErrorHandler("The owner cannot be removed.", 400));
+  }
+  checkCanAssign(req.membership, member.role);
+
+  organization.members.pull({ user: member.user });
+  await organization.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Member Removed!",
+  });
+});
+
+// Jobs and applications stay with the organization when a member leaves
+export const leaveOrganization = catchAsyncErrors(async (req, res, next) => {
+  if (req.membership.role === "owner") {
+    return next(
+      new ErrorHandler("The owner cannot leave the organization.", 400)
+    );
+  }
+  await Organization.updateOne(
+    { _id: req.membership.organization._id },
+    { $pull: { members: { user: req.user._id } } }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "You left the organization.",
+  });
+});
+
+export default {
+  createOrganization,
+  getMyOrganization,
+  updateOrganization,
+  inviteMember,
+  acceptInvitation,
+  revokeInvitation,
+  changeMemberRole,
+  removeMember,
+  leaveOrganization,
+};
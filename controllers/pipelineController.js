@@ -0,0 +1,93 @@
+import { catchAsyncErrors } from "../middlewares/catchAsyncError.js";
+import ErrorHandler from "../middlewares/error.js";
+import { Pipeline } from "../models/pipelineSchema.js";
+import { Application } from "../models/applicationSchema.js";
+import {
+  DEFAULT_PIPELINE_STAGES,
+  normalizePipelineStages,
+  getPipelineStages,
+} from "../utils/pipeline.js";
+import {
+  scopeOfUser,
+  scopeQuery,
+  applicationScopeFilter,
+} from "../utils/organizations.js";
+
+// Stages that still hold applications cannot be dropped from a pipeline
+const findStagesInUse = async (scope, keys) => {
+  const inUse = await Application.aggregate([
+    { $match: { ...applicationScopeFilter(scope), stage: { $nin: keys } } },
+    { $group: { _id: "$stage", count: { $sum: 1 } } },
+  ]);
+  // Applications without a stage sit in the first stage, whatever it is
+  return inUse.filter(({ _id }) => _id);
+};
+
+// Members of an organization share its pipeline
+export const getPipeline = catchAsyncErrors(async (req, res, next) => {
+  const scope = scopeOfUser(req.user, req.membership);
+  const pipeline = await Pipeline.findOne(scopeQuery(scope));
+  res.status(200).json({
+    success: true,
+    isDefault: !pipeline,
+    organization: scope.organization,
+    stages: pipeline ? pipeline.stages : await getPipelineStages(scope),
+    updatedAt: pipeline?.updatedAt,
+  });
+});
+
+export const updatePipeline = catchAsyncErrors(async (req, res, next) => {
+  const stages = normalizePipelineStages(req.body.stages);
+  const scope = scopeOfUser(req.user, req.membership);
+
+  const inUse = await findStagesInUse(scope, stages.map(({ key }) => key));
+  if (inUse.length) {
+    return next(
+      new ErrorHandler(
+        `Cannot remove stages that still hold applications: ${inUse
+          .map(({ _id, count }) => `${_id} (${count})`)
+          .join(", ")}.`,
+        409
+      )
+    );
+  }
+
+  const pipeline = await Pipeline.findOneAndUpdate(
+    scopeQuery(scope),
+    { $set: { stages, updatedBy: req.user._id } },
+    { new: true, upsert: true, runValidators: true }
+  );
+
+  res.status(200).json({
+    success: true,
+    message: "Pipeline Updated!",
+    stages: pipeline.stages,
+  });
+});
+
+export const resetPipeline = catchAsyncErrors(async (req, res, next) => {
+  const scope = scopeOfUser(req.user, req.membership);
+  const inUse = await findStagesInUse(
+    scope,
+    DEFAULT_PIPELINE_STAGES.map(({ key }) => key)
+  );
+  if (inUse.length) {
+    return next(
+      new ErrorHandler(
+        `Move applications out of custom stages before resetting: ${inUse
+          .map(({ _id, count }) => `${_id} (${count})`)
+          .join(", ")}.`,
+        409
+      )
+    );
+  }
+
+  await Pipeline.deleteOne(scopeQuery(scope));
+  res.status(200).json({
+    success: true,
+    message: "Pipeline reset to default stages.",
+    stages: await getPipelineStages(scope),
+  });
+});
+
+export default { getPipeline, updatePipeline, resetPipeline };
@@ -1,7 +1,70 @@
 import { catchAsyncErrors } from "../middlewares/catchAsyncError.js";
 import { User } from "../models/userSchema.js";
 import ErrorHandler from "../middlewares/error.js";
-import { sendToken } from "../utils/jwtToken.js";
+import { sendToken, sendSessionTokens, clearTokenCookies } from "../utils/jwtToken.js";
+import {
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSessions,
+  listActiveSessions,
+} from "../utils/sessions.js";
+import emailService from "../utils/emailService.js";
+import { deleteUserAccount } from "../utils/accountDeletion.js";
+import validator from "validator";
+import jwt from "jsonwebtoken";
+
+const ACCOUNT_EMAILS = {
+  verification: {
+    subject: "Verify your email address",
+    path: "verify-email",
+    category: "verification",
+    message: (name, link) =>
+      `Hi ${name},\n\nPlease confirm your email address by opening the link below:\n${link}\n\n` +
+      "The link expires in 24 hours.",
+  },
+  reset: {
+    subject: "Reset your password",
+    path: "password/reset",
+    category: "password_reset",
+    message: (name, link) =>
+      `Hi ${name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\n` +
+      "The link expires in 15 minutes. If you did not ask for this, you can ignore this email.",
+  },
+  emailChange: {
+    subject: "Confirm your new email address",
+    path: "email/confirm",
+    category: "email_change",
+    recipient: (user) => user.pendingEmail,
+    message: (name, link) =>
+      `Hi ${name},\n\nPlease confirm this address for your account by opening the link below:\n${link}\n\n` +
+      "The link expires in 24 hours. Until then your account keeps its current email.",
+  },
+};
+
+// Issues a fresh single-use token (replacing any earlier one) and emails its link
+const sendAccountEmail = async (user, type) => {
+  const token = user.createAccountToken(type);
+  await user.save({ validateBeforeSave: false });
+
+  const { subject, path, category, recipient, message } = ACCOUNT_EMAILS[type];
+  const link = `${process.env.FRONTEND_URL}/${path}/${token}`;
+  await emailService.queueEmail({
+    to: recipient ? recipient(user) : user.email,
+    subject,
+    message: message(user.name, link),
+    category,
+    createdBy: user._id,
+  });
+};
+
+const checkNewPassword = (password, confirmPassword) => {
+  if (!password || !confirmPassword) {
+    throw new ErrorHandler("Please provide the new password and its confirmation.", 400);
+  }
+  if (password !== confirmPassword) {
+    throw new ErrorHandler("Passwords do not match.", 400);
+  }
+};
 
 export const register = catchAsyncErrors(async (req, res, next) => {
   const { name, email, phone, password, role } = req.body;
@@ -19,7 +82,14 @@ export const register = catchAsyncErrors(async (req, res, next) => {
     password,
     role,
   });
-  sendToken(user, 201, res, "User Registered!");
+  try {
+    await sendAccountEmail(user, "verification");
+  } catch (error) {
+    // Registration still succeeds; the user can request another email
+    console.error("Failed to queue verification email:", error);
+  }
+  user.password = undefined;
+  await sendToken(user, 201, req, res, "User Registered!");
 });
 
 export const login = catchAsyncErrors(async (req, res, next) => {
@@ -40,19 +110,35 @@ export const login = catchAsyncErrors(async (req, res, next) => {
       new ErrorHandler(`User with provided email and ${role} not found!`, 404)
     );
   }
-  sendToken(user, 201, res, "User Logged In!");
+  user.password = undefined;
+  await sendToken(user, 201, req, res, "User Logged In!");
 });
 
+// The session id carried by an authentic access token, expired or not
+const accessTokenSessionId = (req) => {
+  const token = req.cookies.token || req.headers.authorization?.split(" ")[1];
+  if (!token) return null;
+  try {
+    return jwt.verify(token, process.env.JWT_SECRET_KEY, { ignoreExpiration: true }).sid || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Not behind isAuthenticated: access tokens are short-lived, and logging out
+// must still end the session once they have expired. The session comes from
+// the refresh token, or else from the access token; the cookies are cleared
+// either way.
 export const logout = catchAsyncErrors(async (req, res, next) => {
-  res
+  const session = await findSessionByRefreshToken(
+    req.cookies.refreshToken || req.body?.refreshToken
+  );
+  const sessionId = session?._id || accessTokenSessionId(req);
+  if (sessionId) {
+    await revokeSessions({ _id: sessionId }, "logout");
+  }
+  clearTokenCookies(res)
     .status(201)
-    .cookie("token", "", {
-      httpOnly: true,
-      expires: new Date(Date.now()),
-      httpOnly: true,
-    secure: true,
-    sameSite: "None",
-    })
     .json({
       success: true,
       message: "Logged Out Successfully.",
@@ -66,4 +152,280 @@ export const getUser = catchAsyncErrors((req, res, next) => {
     success: true,
     user,
   });
-});
\ No newline at end of file
+});
+
+export const requestEmailVerification = catchAsyncErrors(async (req, res, next) => {
+  if (req.user.emailVerified) {
+    return next(new ErrorHandler("Email is already verified.", 400));
+  }
+  await sendAccountEmail(req.user, "verification");
+  res.status(200).json({
+    success: true,
+    message: `Verification email sent to ${req.user.email}.`,
+  });
+});
+
+export const verifyEmail = catchAsyncErrors(async (req, res, next) => {
+  const { token } = req.body;
+  if (!token) {
+    return next(new ErrorHandler("Please provide the verification token.", 400));
+  }
+  const user = await User.findByAccountToken("verification", token);
+  if (!user) {
+    return next(new ErrorHandler("Verification link is invalid or has expired.", 400));
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.clearAccountToken("verification");
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Email Verified!",
+  });
+});
+
+export const forgotPassword = catchAsyncErrors(async (req, res, next) => {
+  const { email } = req.body;
+  if (!email) {
+    return next(new ErrorHandler("Please provide your email.", 400));
+  }
+  const user = await User.findOne({ email: String(email) });
+  if (user) {
+    await sendAccountEmail(user, "reset");
+  }
+  // Same answer either way so the endpoint cannot be used to probe for accounts
+  res.status(200).json({
+    success: true,
+    message: "If an account exists for that email, a reset link has been sent.",
+  });
+});
+
+export const resetPassword = catchAsyncErrors(async (req, res, next) => {
+  const { token, password, confirmPassword } = req.body;
+  if (!token) {
+    return next(new ErrorHandler("Please provide the reset token.", 400));
+  }
+  checkNewPassword(password, confirmPassword);
+
+  const user = await User.findByAccountToken("reset", token);
+  if (!user) {
+    return next(new ErrorHandler("Reset link is invalid or has expired.", 400));
+  }
+
+  user.password = password;
+  user.clearAccountToken("reset");
+  await revokeSessions({ user: user._id }, "password_change");
+  // Receiving the reset email proves the address belongs to the user
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+  user.password = undefined;
+
+  await sendToken(user, 200, req, res, "Password Reset Successfully!");
+});
+
+// Ends every session, including the caller's, which gets a fresh one
+export const changePassword = catchAsyncErrors(async (req, res, next) => {
+  const { currentPassword, newPassword, confirmPassword } = req.body;
+  if (!currentPassword) {
+    return next(new ErrorHandler("Please provide your current password.", 400));
+  }
+  checkNewPassword(newPassword, confirmPassword);
+
+  const user = await User.findById(req.user._id).select("+password");
+  if (!(await user.comparePassword(currentPassword))) {
+    return next(new ErrorHandler("Current password is incorrect.", 400));
+  }
+  if (await user.comparePassword(newPassword)) {
+    return next(new ErrorHandler("New password must differ from the current one.", 400));
+  }
+
+  user.password = newPassword;
+  await user.save();
+  await revokeSessions({ user: user._id }, "password_change");
+  user.password = undefined;
+
+  await sendToken(user, 200, req, res, "Password Changed!");
+});
+
+// Trades a refresh token (cookie or body) for a new access and refresh token
+export const refreshSession = catchAsyncErrors(async (req, res, next) => {
+  const presented = req.cookies.refreshToken || req.body.refreshToken;
+  if (!presented) {
+    return next(new ErrorHandler("Please provide a refresh token.", 401));
+  }
+  const { session, refreshToken } = await rotateSession(presented);
+
+  const user = await User.findById(session.user);
+  if (!user) {
+    await revokeSessions({ _id: session._id }, "user");
+    return next(new ErrorHandler("User not found", 401));
+  }
+  sendSessionTokens(user, session, refreshToken, 200, res, "Session Refreshed!");
+});
+
+export const getSessions = catchAsyncErrors(async (req, res, next) => {
+  const sessions = await listActiveSessions(req.user._id);
+  res.status(200).json({
+    success: true,
+    sessions: sessions.map((session) => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(req.authSession._id),
+    })),
+  });
+});
+
+export const revokeSession = catchAsyncErrors(async (req, res, next) => {
+  const { modifiedCount } = await revokeSessions(
+    { _id: req.params.sessionId, user: req.user._id },
+    "user"
+  );
+  if (!modifiedCount) {
+    return next(new ErrorHandler("Session not found.", 404));
+  }
+  if (req.authSession._id.equals(req.params.sessionId)) {
+    clearTokenCookies(res);
+  }
+  res.status(200).json({
+    success: true,
+    message: "Session Revoked!",
+  });
+});
+
+// ?exceptCurrent=true keeps the caller signed in
+export const revokeAllSessions = catchAsyncErrors(async (req, res, next) => {
+  const exceptCurrent = req.query.exceptCurrent === "true";
+  const filter = { user: req.user._id };
+  if (exceptCurrent) {
+    filter._id = { $ne: req.authSession._id };
+  }
+  const { modifiedCount } = await revokeSessions(filter, "user");
+  if (!exceptCurrent) {
+    clearTokenCookies(res);
+  }
+  res.status(200).json({
+    success: true,
+    message: `${modifiedCount} session(s) revoked.`,
+    revoked: modifiedCount,
+  });
+});
+
+// Only name and phone change here; email has its own confirmation flow
+export const updateProfile = catchAsyncErrors(async (req, res, next) => {
+  const updates = {};
+  for (const field of ["name", "phone"]) {
+    if (req.body[field] !== undefined) updates[field] = req.body[field];
+  }
+  if (!Object.keys(updates).length) {
+    return next(new ErrorHandler("Please provide a name or phone to update.", 400));
+  }
+
+  const user = await User.findByIdAndUpdate(
+    req.user._id,
+    { $set: updates },
+    { new: true, runValidators: true }
+  );
+  res.status(200).json({
+    success: true,
+    message: "Profile Updated!",
+    user,
+  });
+});
+
+export const requestEmailChange = catchAsyncErrors(async (req, res, next) => {
+  const { email, password } = req.body;
+  if (!email || !password) {
+    return next(new ErrorHandler("Please provide the new email and your password.", 400));
+  }
+  const newEmail = String(email).trim();
+  if (!validator.isEmail(newEmail)) {
+    return next(new ErrorHandler("Please provide a valid Email!", 400));
+  }
+  if (newEmail.toLowerCase() === req.user.email.toLowerCase()) {
+    return next(new ErrorHandler("That is already your email.", 400));
+  }
+  if (await User.exists({ email: newEmail })) {
+    return next(new ErrorHandler("Email already registered!", 409));
+  }
+
+  const user = await User.findById(req.user._id).select("+password");
+  if (!(await user.comparePassword(password))) {
+    return next(new ErrorHandler("Password is incorrect.", 400));
+  }
+
+  user.pendingEmail = newEmail;
+  await sendAccountEmail(user, "emailChange");
+  // Let the current address know, in case the request was not theirs
+  await emailService.queueEmail({
+    to: user.email,
+    subject: "Email change requested",
+    message:
+      `Hi ${user.name},\n\nA request was made to change your account email to ${newEmail}. ` +
+      "If this was not you, change your password now.",
+    category: "security",
+    createdBy: user._id,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `Confirmation email sent to ${newEmail}.`,
+  });
+});
+
+export const confirmEmailChange = catchAsyncErrors(async (req, res, next) => {
+  const { token } = req.body;
+  if (!token) {
+    return next(new ErrorHandler("Please provide the confirmation token.", 400));
+  }
+  const user = await User.findByAccountToken("emailChange", token);
+  if (!user || !user.pendingEmail) {
+    return next(new ErrorHandler("Confirmation link is invalid or has expired.", 400));
+  }
+  // The address may have been registered since the change was requested
+  if (await User.exists({ email: user.pendingEmail, _id: { $ne: user._id } })) {
+    return next(new ErrorHandler("Email already registered!", 409));
+  }
+
+  user.email = user.pendingEmail;
+  user.pendingEmail = undefined;
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.clearAccountToken("emailChange");
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Email Updated!",
+    email: user.email,
+  });
+});
+
+// See utils/accountDeletion.js for what is removed with the account
+export const deleteAccount = catchAsyncErrors(async (req, res, next) => {
+  const { password } = req.body;
+  if (!password) {
+    return next(new ErrorHandler("Please provide your password.", 400));
+  }
+  const user = await User.findById(req.user._id).select("+password");
+  if (!(await user.comparePassword(password))) {
+    return next(new ErrorHandler("Password is incorrect.", 400));
+  }
+
+  const deleted = await deleteUserAccount(user);
+  clearTokenCookies(res)
+    .status(200)
+    .json({
+      success: true,
+      message: "Account Deleted.",
+      deleted,
+    });
+});
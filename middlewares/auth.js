@@ -1,5 +1,7 @@
 // middlewares/auth.js
 import { User } from "../models/userSchema.js";
+import { Session } from "../models/sessionSchema.js";
+import { isActive } from "../utils/sessions.js";
 import { catchAsyncErrors } from "./catchAsyncError.js";
 import ErrorHandler from "./error.js";
 import jwt from "jsonwebtoken";
@@ -14,16 +16,29 @@ export const isAuthenticated = catchAsyncErrors(async (req, res, next) => {
     return next(new ErrorHandler("Please login to access this resource", 401));
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(authToken, process.env.JWT_SECRET_KEY);
-    req.user = await User.findById(decoded.id);
-
-    if (!req.user) {
-      return next(new ErrorHandler("User not found", 401));
-    }
-
-    next();
+    decoded = jwt.verify(authToken, process.env.JWT_SECRET_KEY);
   } catch (error) {
     return next(new ErrorHandler("Invalid or expired token", 401));
   }
-});
\ No newline at end of file
+
+  // Every access token belongs to a session; revoked sessions end at once
+  const session = decoded.sid && (await Session.findById(decoded.sid));
+  if (!isActive(session) || !session.user.equals(decoded.id)) {
+    return next(new ErrorHandler("Session expired. Please login again.", 401));
+  }
+
+  req.user = await User.findById(decoded.id);
+  if (!req.user) {
+    return next(new ErrorHandler("User not found", 401));
+  }
+
+  // Tokens issued before a password change no longer authenticate
+  if (req.user.changedPasswordAfter(decoded.iat)) {
+    return next(new ErrorHandler("Password was changed. Please login again.", 401));
+  }
+
+  req.authSession = session;
+  next();
+});
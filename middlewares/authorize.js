@@ -0,0 +1,212 @@
+// middlewares/authorize.js
+import mongoose from "mongoose";
+import { catchAsyncErrors } from "./catchAsyncError.js";
+import ErrorHandler from "./error.js";
+import { Job } from "../models/jobSchema.js";
+import { Application } from "../models/applicationSchema.js";
+import { loadMembership, ORG_ADMIN_ROLES, ORG_RECRUITING_ROLES } from "../utils/organizations.js";
+
+export const ROLES = {
+  EMPLOYER: "Employer",
+  JOB_SEEKER: "Job Seeker",
+};
+
+const sameId = (a, b) => Boolean(a && b && a.toString() === b.toString());
+
+// Members relate to their organization's jobs and applications as
+// "org:<role>"; documents outside an organization have a single owner
+const orgRelations = (organization, membership) =>
+  organization && membership && sameId(organization, membership.organization._id)
+    ? [`org:${membership.role}`]
+    : [];
+
+const ORG_ADMINS = ORG_ADMIN_ROLES.map((role) => `org:${role}`);
+const ORG_RECRUITERS = ORG_RECRUITING_ROLES.map((role) => `org:${role}`);
+const ORG_MEMBERS = [...ORG_RECRUITERS, "org:hiring_manager"];
+
+/**
+ * Resources a policy can guard. `load` fetches the document named by a
+ * route parameter (or several, of which the first the user may access
+ * counts), `relationsOf` lists how the signed-in user relates to it and
+ * `attachAs` is where the document is left on req.
+ */
+const RESOURCES = {
+  job: {
+    param: "id",
+    attachAs: "job",
+    notFound: "OOPS! Job not found.",
+    load: (id) => (mongoose.isValidObjectId(id) ? Job.findById(id) : null),
+    relationsOf: (job, user, membership) =>
+      job.organization
+        ? orgRelations(job.organization, membership)
+        : sameId(job.postedBy, user._id) ? ["owner"] : [],
+  },
+  application: {
+    param: "applicationId",
+    attachAs: "application",
+    notFound: "Application not found!",
+    load: (id) => (mongoose.isValidObjectId(id) ? Application.findById(id) : null),
+    relationsOf: (application, user, membership) => [
+      ...(sameId(application.applicantID?.user, user._id) ? ["applicant"] : []),
+      ...(application.organization
+        ? orgRelations(application.organization, membership)
+        : sameId(application.employerID?.user, user._id) ? ["employer"] : []),
+    ],
+  },
+  // Resumes are reached by their stored file id, which applications with
+  // identical resumes share
+  resume: {
+    param: "fileId",
+    attachAs: "application",
+    notFound: "Resume not found",
+    load: (fileId) => Application.find({ "resume.public_id": String(fileId) }),
+    relationsOf: (...args) => RESOURCES.application.relationsOf(...args),
+  },
+};
+
+/**
+ * Every guarded action in one table: which roles may call it, which
+ * organization roles members need (orgRoles; employers outside an
+ * organization are not restricted by it), whether an organization is
+ * required at all, and for actions on a single resource, which relations to
+ * it are required.
+ */
+export const POLICIES = {
+  // Users
+  "user:self": {},
+
+  // Jobs
+  "job:create": { roles: [ROLES.EMPLOYER], orgRoles: ORG_RECRUITING_ROLES },
+  "job:listOwn": { roles: [ROLES.EMPLOYER] },
+  "job:read": {},
+  "job:update": {
+    roles: [ROLES.EMPLOYER],
+    resource: "job",
+    relations: ["owner", ...ORG_RECRUITERS],
+  },
+  "job:delete": {
+    roles: [ROLES.EMPLOYER],
+    resource: "job",
+    relations: ["owner", ...ORG_ADMINS],
+  },
+  "job:shortlist": {
+    roles: [ROLES.EMPLOYER],
+    resource: "job",
+    param: "jobId",
+    relations: ["owner", ...ORG_MEMBERS],
+  },
+
+  // Applications
+  "application:create": { roles: [ROLES.JOB_SEEKER] },
+  "application:listForEmployer": { roles: [ROLES.EMPLOYER] },
+  "application:listForJobSeeker": { roles: [ROLES.JOB_SEEKER] },
+  "application:withdraw": {
+    roles: [ROLES.JOB_SEEKER],
+    resource: "application",
+    param: "id",
+    relations: ["applicant"],
+  },
+  "application:read": {
+    resource: "application",
+    relations: ["applicant", "employer", ...ORG_MEMBERS],
+  },
+  // Hiring managers may move candidates but not email them or rerun analysis
+  "application:move": {
+    roles: [ROLES.EMPLOYER],
+    resource: "application",
+    relations: ["employer", ...ORG_MEMBERS],
+  },
+  "application:review": {
+    roles: [ROLES.EMPLOYER],
+    resource: "application",
+    relations: ["employer", ...ORG_RECRUITERS],
+  },
+  "resume:read": {
+    resource: "resume",
+    relations: ["applicant", "employer", ...ORG_MEMBERS],
+  },
+
+  // Job seekers' own profile
+  "candidateProfile:manage": { roles: [ROLES.JOB_SEEKER] },
+
+  // Employer settings, shared by an organization's members
+  "pipeline:read": { roles: [ROLES.EMPLOYER] },
+  "pipeline:manage": { roles: [ROLES.EMPLOYER], orgRoles: ORG_ADMIN_ROLES },
+  "emailTemplate:read": { roles: [ROLES.EMPLOYER] },
+  "emailTemplate:manage": { roles: [ROLES.EMPLOYER], orgRoles: ORG_RECRUITING_ROLES },
+
+  // Organizations
+  "organization:create": { roles: [ROLES.EMPLOYER] },
+  "organization:join": { roles: [ROLES.EMPLOYER] },
+  "organization:read": { roles: [ROLES.EMPLOYER], membership: true },
+  "organization:leave": { roles: [ROLES.EMPLOYER], membership: true },
+  "organization:manage": {
+    roles: [ROLES.EMPLOYER],
+    membership: true,
+    orgRoles: ORG_ADMIN_ROLES,
+  },
+};
+
+// True when the relations give employer-side access (not just the applicant's)
+export const isEmployerSide = (relations = []) =>
+  relations.some((relation) => relation === "employer" || relation.startsWith("org:"));
+
+/**
+ * Route guard for a policy in POLICIES. Runs after isAuthenticated, rejects
+ * the request with 403 (or 404 for a missing resource) and otherwise leaves
+ * the user's organization membership on req.membership, the loaded document
+ * on req (see attachAs) and the user's relations to it on req.relations.
+ */
+export const authorize = (policyName) => {
+  const policy = POLICIES[policyName];
+  if (!policy) {
+    throw new Error(`Unknown authorization policy "${policyName}"`);
+  }
+  const resource = policy.resource && RESOURCES[policy.resource];
+
+  return catchAsyncErrors(async (req, res, next) => {
+    if (!req.user) {
+      return next(new ErrorHandler("Please login to access this resource", 401));
+    }
+
+    if (policy.roles && !policy.roles.includes(req.user.role)) {
+      return next(
+        new ErrorHandler(`${req.user.role} not allowed to access this resource.`, 403)
+      );
+    }
+
+    const membership = req.user.role === ROLES.EMPLOYER ? await loadMembership(req) : null;
+    req.membership = membership;
+    if (policy.membership && !membership) {
+      return next(new ErrorHandler("You are not a member of an organization.", 404));
+    }
+    if (policy.orgRoles && membership && !policy.orgRoles.includes(membership.role)) {
+      return next(
+        new ErrorHandler(
+          `Your organization role (${membership.role}) does not allow this action.`,
+          403
+        )
+      );
+    }
+
+    if (!resource) return next();
+
+    const loaded = await resource.load(req.params[policy.param || resource.param]);
+    const documents = [].concat(loaded || []);
+    if (!documents.length) {
+      return next(new ErrorHandler(resource.notFound, 404));
+    }
+
+    for (const document of documents) {
+      const relations = resource.relationsOf(document, req.user, membership);
+      if (policy.relations.some((relation) => relations.includes(relation))) {
+        req[resource.attachAs] = document;
+        req.relations = relations;
+        return next();
+      }
+    }
+    next(new ErrorHandler("Not allowed to access this resource.", 403));
+  });
+};
+
+export default authorize;
@@ -0,0 +1,128 @@
+// migrateStorage.js
+//
+// Copies resumes and application attachments stored in GridFS to another
+// storage driver and points the applications and candidate profiles at it. Files keep their ids, so
+// resume URLs do not change.
+//
+//   node migrateStorage.js [--to s3|local] [--dry-run] [--delete-source]
+//
+// --to defaults to STORAGE_DRIVER. GridFS copies are kept unless
+// --delete-source is given. Safe to re-run: migrated files are skipped.
+import mongoose from "mongoose";
+import { Application } from "./models/applicationSchema.js";
+import { CandidateProfile } from "./models/candidateProfileSchema.js";
+import { StoredFile } from "./models/storedFileSchema.js";
+import { initGridFS } from "./utils/gridfsStorage.js";
+import { getStorageDriver, transferStoredFile, driverFor } from "./utils/storage/index.js";
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({
+  path: path.join(__dirname, `config/${process.env.NODE_ENV || 'development'}.env`)
+});
+
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+const dryRun = args.includes('--dry-run');
+const deleteSource = args.includes('--delete-source');
+
+const inGridFS = {
+  'resume.public_id': { $exists: true, $ne: null },
+  'resume.storage': { $in: [null, 'gridfs'] },
+};
+const attachmentsInGridFS = {
+  attachments: { $elemMatch: { storage: { $in: [null, 'gridfs'] } } },
+};
+
+// Identical uploads share a file, so files are migrated once each and
+// every document pointing at one is moved along with it
+const migrateFiles = async (target) => {
+  const summary = { files: 0, applications: 0, profiles: 0, attachments: 0, failed: 0 };
+  const fileIds = [...new Set([
+    ...(await Application.distinct('resume.public_id', inGridFS)),
+    ...(await CandidateProfile.distinct('resume.public_id', inGridFS)),
+    ...(await Application.aggregate([
+      { $match: attachmentsInGridFS },
+      { $unwind: '$attachments' },
+      { $match: { 'attachments.storage': { $in: [null, 'gridfs'] } } },
+      { $group: { _id: '$attachments.public_id' } },
+    ])).map(({ _id }) => _id),
+  ])];
+  console.log(`\n${fileIds.length} file(s) in GridFS`);
+
+  for (const fileId of fileIds) {
+    const ref = { public_id: fileId, storage: 'gridfs' };
+    try {
+      if (dryRun) {
+        console.log(`Would migrate file ${fileId}`);
+        summary.files += 1;
+        continue;
+      }
+      await transferStoredFile(ref, target);
+
+      const filter = { ...inGridFS, 'resume.public_id': fileId };
+      const update = { $set: { 'resume.storage': target.name } };
+      const [applications, profiles, attachments] = await Promise.all([
+        Application.updateMany(filter, update),
+        CandidateProfile.updateMany(filter, update),
+        Application.updateMany(
+          { 'attachments.public_id': fileId },
+          { $set: { 'attachments.$[a].storage': target.name } },
+          { arrayFilters: [{ 'a.public_id': fileId, 'a.storage': { $in: [null, 'gridfs'] } }] }
+        ),
+        StoredFile.updateOne({ fileId }, { $set: { storage: target.name } }),
+      ]);
+      if (deleteSource) {
+        await driverFor(ref).delete(fileId);
+      }
+      summary.files += 1;
+      summary.applications += applications.modifiedCount;
+      summary.profiles += profiles.modifiedCount;
+      summary.attachments += attachments.modifiedCount;
+      console.log(`Migrated file ${fileId}`);
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`Failed to migrate file ${fileId}:`, error.message);
+    }
+  }
+  return summary;
+};
+
+const migrateStorage = async () => {
+  let failed = 0;
+  try {
+    const target = getStorageDriver(option('--to'));
+    if (target.name === 'gridfs') {
+      throw new Error('Choose a target other than gridfs with --to or STORAGE_DRIVER');
+    }
+
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI, {
+      dbName: "MERN_JOB_SEEKING_WEBAPP"
+    });
+    initGridFS();
+    console.log('Connected to MongoDB successfully');
+    console.log(`Migrating GridFS files to "${target.name}"${dryRun ? ' (dry run)' : ''}`);
+
+    const summary = await migrateFiles(target);
+    failed = summary.failed;
+
+    console.log('\nMigration summary:', summary);
+  } catch (error) {
+    failed += 1;
+    console.error('Migration failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(failed ? 1 : 0);
+  }
+};
+
+console.log('Starting storage migration...');
+migrateStorage();
@@ -14,7 +14,64 @@ dotenv.config({
   path: path.join(__dirname, `config/${process.env.NODE_ENV || 'development'}.env`)
 });
 
+// Applications from before the schema had timestamps take their creation
+// time from their ObjectId, which the shortlist and emails sort and print by
+const backfillApplicationTimestamps = async () => {
+  const result = await Application.updateMany(
+    { createdAt: { $exists: false } },
+    [{ $set: { createdAt: { $toDate: "$_id" }, updatedAt: { $toDate: "$_id" } } }],
+    { timestamps: false }
+  );
+  console.log(`Backfilled createdAt on ${result.modifiedCount} applications`);
+};
+
 const migrateMissingJobIds = async () => {
+  // Find all applications without jobId
+  const applications = await Application.find({ jobId: { $exists: false } });
+  
+  console.log(`Found ${applications.length} applications without jobId`);
+
+  for (const app of applications) {
+    // Find the job posted by the employer
+    const job = await Job.findOne({ 
+      postedBy: app.employerID.user,
+      createdAt: { $lt: app.createdAt }  // Job must have been created before the application
+    }).sort({ createdAt: -1 });  // Get the most recent job if multiple exist
+
+    if (job) {
+      app.jobId = job._id;
+      await app.save();
+      console.log(`Updated application ${app._id} with jobId ${job._id}`);
+    } else {
+      console.log(`Could not find matching job for application ${app._id}`);
+    }
+  }
+};
+
+// Applications analyzed before ranking existed rank on their matchScore
+const backfillRankScores = async () => {
+  const result = await Application.updateMany(
+    { rankScore: { $exists: false } },
+    [{ $set: { rankScore: { $ifNull: ["$matchScore", 0] } } }]
+  );
+  console.log(`Backfilled rankScore on ${result.modifiedCount} applications`);
+};
+
+// Jobs posted before salary search existed have no salary bounds; new and
+// updated jobs get them from the Job pre-save hook and updateJob
+const backfillSalaryBounds = async () => {
+  const result = await Job.updateMany({ salaryMin: { $exists: false } }, [
+    {
+      $set: {
+        salaryMin: { $ifNull: ["$fixedSalary", "$salaryFrom"] },
+        salaryMax: { $ifNull: ["$fixedSalary", { $ifNull: ["$salaryTo", "$salaryFrom"] }] },
+      },
+    },
+  ]);
+  console.log(`Backfilled salary bounds on ${result.modifiedCount} jobs`);
+};
+
+const migrate = async () => {
   try {
     // Connect to MongoDB
     console.log('Connecting to MongoDB...');
@@ -23,26 +80,11 @@ const migrateMissingJobIds = async () => {
     });
     console.log('Connected to MongoDB successfully');
 
-    // Find all applications without jobId
-    const applications = await Application.find({ jobId: { $exists: false } });
-    
-    console.log(`Found ${applications.length} applications without jobId`);
-
-    for (const app of applications) {
-      // Find the job posted by the employer
-      const job = await Job.findOne({ 
-        postedBy: app.employerID.user,
-        createdAt: { $lt: app.createdAt }  // Job must have been created before the application
-      }).sort({ createdAt: -1 });  // Get the most recent job if multiple exist
-
-      if (job) {
-        app.jobId = job._id;
-        await app.save();
-        console.log(`Updated application ${app._id} with jobId ${job._id}`);
-      } else {
-        console.log(`Could not find matching job for application ${app._id}`);
-      }
-    }
+    // Every step is safe to re-run
+    await backfillApplicationTimestamps();
+    await migrateMissingJobIds();
+    await backfillRankScores();
+    await backfillSalaryBounds();
 
     console.log('Migration completed successfully');
   } catch (error) {
@@ -56,4 +98,4 @@ const migrateMissingJobIds = async () => {
 
 // Run the migration
 console.log('Starting migration...');
-migrateMissingJobIds();
\ No newline at end of file
+migrate();
\ No newline at end of file
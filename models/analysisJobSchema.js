@@ -0,0 +1,47 @@
+// models/analysisJobSchema.js
+import mongoose from "mongoose";
+
+const analysisJobSchema = new mongoose.Schema(
+  {
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "dead"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 5,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: Date,
+    lockedBy: String,
+    lastError: String,
+    failures: [
+      {
+        attempt: Number,
+        message: String,
+        at: Date,
+      },
+    ],
+    completedAt: Date,
+    deadAt: Date,
+  },
+  { timestamps: true }
+);
+
+analysisJobSchema.index({ status: 1, runAt: 1 });
+analysisJobSchema.index({ application: 1, createdAt: -1 });
+
+export const AnalysisJob = mongoose.model("AnalysisJob", analysisJobSchema);
@@ -14,23 +14,26 @@ const applicationSchema = new mongoose.Schema({
     required: [true, "Please enter your Email!"],
     validate: [validator.isEmail, "Please provide a valid Email!"],
   },
+  // Required unless the job's applicationRules make them optional
+  // (checked in utils/applicationRules.js)
   coverLetter: {
     type: String,
-    required: [true, "Please provide a cover letter!"],
   },
   phone: {
     type: Number,
-    required: [true, "Please enter your Phone Number!"],
   },
   address: {
     type: String,
-    required: [true, "Please enter your Address!"],
   },
   resume: {
     public_id: {
       type: String, 
       required: true,
     },
+    // Storage driver holding the file (utils/storage); unset means GridFS
+    storage: {
+      type: String,
+    },
     url: {
       type: String, 
       required: true,
@@ -42,10 +45,63 @@ const applicationSchema = new mongoose.Schema({
       type: String,
       required: true,
     },
+    // SHA-256 of the stored bytes
+    checksum: {
+      type: String,
+    },
+    uploadDate: {
+      type: Date,
+      default: Date.now
+    }
+  },
+  // Text extracted from the stored resume (pdf-parse / OCR)
+  resumeText: {
+    type: String,
+    select: false,
+  },
+  // Further documents, stored like the resume (see utils/attachments.js)
+  attachments: [{
+    kind: {
+      type: String,
+      enum: ["portfolio", "certificate", "transcript", "reference_letter", "other"],
+      required: true,
+    },
+    public_id: {
+      type: String,
+      required: true,
+    },
+    storage: {
+      type: String,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      required: true,
+    },
+    contentType: {
+      type: String,
+      required: true,
+    },
+    size: Number,
+    checksum: {
+      type: String,
+    },
     uploadDate: {
       type: Date,
       default: Date.now
     }
+  }],
+  // Text extracted from each attachment, keyed by its _id
+  attachmentTexts: {
+    type: [{
+      _id: false,
+      attachment: mongoose.Schema.Types.ObjectId,
+      text: String
+    }],
+    select: false,
   },
   jobId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -65,6 +121,11 @@ const applicationSchema = new mongoose.Schema({
       required: true,
     },
   },
+  // Copied from the job so the whole hiring team can see the application
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
   employerID: {
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -77,14 +138,48 @@ const applicationSchema = new mongoose.Schema({
       required: true,
     },
   },
+  analysisStatus: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+  },
+  analysisError: {
+    type: String,
+    required: false
+  },
+  analyzedAt: {
+    type: Date
+  },
+  // LLM provider that produced the analysis (see utils/llmProviders)
+  analysisProvider: {
+    type: String,
+    required: false
+  },
+  // Plain-text rendering of structuredAnalysis for the recruiter view
   analysis: {
     type: String,
     required: false
   },
+  // Validated AI output, see utils/analysisSchema.js
+  structuredAnalysis: {
+    version: String,
+    score: Number,
+    summary: String,
+    strengths: [String],
+    gaps: [String],
+    recommendations: [String],
+    candidateEmail: {
+      subject: String,
+      body: String
+    }
+  },
   candidateEmail: {
     type: String,
     required: false
   },
+  candidateEmailSubject: {
+    type: String,
+    required: false
+  },
   emailSent: {
     type: Boolean,
     default: false
@@ -93,11 +188,106 @@ const applicationSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  sentEmailSubject: {
+    type: String
+  },
+  // Template outcome the sent email was based on (null for AI or custom)
+  sentEmailOutcome: {
+    type: String,
+    enum: ["received", "rejected", "interview_invite", "offer", null]
+  },
   matchScore: {
     type: Number,
     required: true,
     default: 0,
   },
+  // Current hiring pipeline stage (a key from the employer's pipeline)
+  stage: {
+    type: String,
+  },
+  stageChangedAt: {
+    type: Date,
+  },
+  stageHistory: [{
+    _id: false,
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User"
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    note: {
+      type: String,
+      maxLength: 500
+    }
+  }],
+  // Answers to the job's screening questions, with the prompt as asked
+  screeningAnswers: [{
+    _id: false,
+    question: mongoose.Schema.Types.ObjectId,
+    prompt: String,
+    type: {
+      type: String
+    },
+    value: mongoose.Schema.Types.Mixed
+  }],
+  screening: {
+    status: {
+      type: String,
+      enum: ['passed', 'flagged', 'rejected'],
+    },
+    knockouts: [{
+      _id: false,
+      question: mongoose.Schema.Types.ObjectId,
+      prompt: String,
+      action: String
+    }]
+  },
+  // Set when the seeker withdraws; the application stays visible to the
+  // employer but no longer blocks a new one for the same job
+  withdrawn: {
+    type: Boolean,
+    default: false,
+  },
+  withdrawnAt: Date,
+  withdrawReason: {
+    type: String,
+    maxLength: 500,
+  },
+  // matchScore blended with requirement coverage, used by the job shortlist
+  rankScore: {
+    type: Number,
+    default: 0,
+  },
+  // Coverage of the job's structured requirements, next to the AI matchScore
+  requirementMatch: {
+    coverage: Number,
+    met: [{
+      _id: false,
+      type: { type: String },
+      name: String,
+      weight: Number,
+      required: Boolean,
+      detail: String
+    }],
+    missing: [{
+      _id: false,
+      type: { type: String },
+      name: String,
+      weight: Number,
+      required: Boolean,
+      detail: String
+    }],
+    requiredMissing: Number,
+    evaluatedAt: Date
+  },
   textAnalysis: {
     coverLetterAnalysis: {
       sentiment: {
@@ -105,6 +295,11 @@ const applicationSchema = new mongoose.Schema({
         enum: ['Positive', 'Neutral', 'Negative'],
         default: 'Neutral'
       },
+      // -1 (negative) .. 1 (positive), see utils/nlp/sentiment.js
+      sentimentScore: {
+        type: Number,
+        default: 0
+      },
       keyPoints: [{
         type: String
       }],
@@ -118,7 +313,12 @@ const applicationSchema = new mongoose.Schema({
     resumeAnalysis: {
       experience: [{
         role: String,
+        organization: String,
         duration: String,
+        startDate: Date,
+        endDate: Date,
+        current: Boolean,
+        months: Number,
         skills: [String]
       }],
       skills: [{
@@ -127,8 +327,17 @@ const applicationSchema = new mongoose.Schema({
       education: [{
         degree: String,
         institution: String,
-        year: String
-      }]
+        year: String,
+        level: String
+      }],
+      totalExperienceMonths: {
+        type: Number,
+        default: 0
+      },
+      highestEducationLevel: {
+        type: String,
+        default: 'none'
+      }
     },
     overallAnalysis: {
       strengths: [{
@@ -142,11 +351,21 @@ const applicationSchema = new mongoose.Schema({
       }]
     }
   }
-});
+}, { timestamps: true });
 applicationSchema.index({ "employerID.user": 1 });
 applicationSchema.index({ "applicantID.user": 1 });
 applicationSchema.index({ jobId: 1 });
 applicationSchema.index({ createdAt: -1 });
 applicationSchema.index({ matchScore: -1 });
+applicationSchema.index({ jobId: 1, rankScore: -1, createdAt: 1, _id: 1 });
 applicationSchema.index({ "resume.public_id": 1 });
+applicationSchema.index({ "attachments.public_id": 1 });
+// One active application per seeker and job; withdrawn ones are left out
+// so the seeker can reapply
+applicationSchema.index(
+  { jobId: 1, "applicantID.user": 1 },
+  { unique: true, partialFilterExpression: { withdrawn: false } }
+);
+applicationSchema.index({ "employerID.user": 1, stage: 1 });
+applicationSchema.index({ organization: 1, createdAt: -1 });
 export const Application = mongoose.model("Application", applicationSchema);
\ No newline at end of file
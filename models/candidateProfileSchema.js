@@ -0,0 +1,90 @@
+// models/candidateProfileSchema.js
+import mongoose from "mongoose";
+import validator from "validator";
+
+// A job seeker's reusable application details: contact fields, a default
+// resume in GridFS and what utils/candidateProfile.js parsed out of it.
+const candidateProfileSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    name: {
+      type: String,
+      trim: true,
+      minLength: [3, "Name must contain at least 3 Characters!"],
+      maxLength: [30, "Name cannot exceed 30 Characters!"],
+    },
+    email: {
+      type: String,
+      trim: true,
+      validate: [validator.isEmail, "Please provide a valid Email!"],
+    },
+    phone: Number,
+    address: {
+      type: String,
+      trim: true,
+      maxLength: [200, "Address cannot exceed 200 Characters!"],
+    },
+    headline: {
+      type: String,
+      trim: true,
+      maxLength: [120, "Headline cannot exceed 120 Characters!"],
+    },
+    resume: {
+      public_id: String,
+      storage: String,
+      url: String,
+      originalName: String,
+      contentType: String,
+      size: Number,
+      checksum: String,
+      uploadDate: Date,
+    },
+    // Text extracted from the resume; copied onto applications that use it
+    resumeText: {
+      type: String,
+      select: false,
+    },
+    skills: [String],
+    // "manual" once the seeker edits their skills; re-parsing keeps them
+    skillsSource: {
+      type: String,
+      enum: ["extracted", "manual"],
+      default: "extracted",
+    },
+    experience: [{
+      role: String,
+      organization: String,
+      duration: String,
+      startDate: Date,
+      endDate: Date,
+      current: Boolean,
+      months: Number,
+      skills: [String],
+    }],
+    education: [{
+      degree: String,
+      institution: String,
+      year: String,
+      level: String,
+    }],
+    totalExperienceMonths: {
+      type: Number,
+      default: 0,
+    },
+    highestEducationLevel: {
+      type: String,
+      default: "none",
+    },
+    parsedAt: Date,
+  },
+  { timestamps: true }
+);
+
+candidateProfileSchema.index({ "resume.public_id": 1 });
+
+export const CandidateProfile = mongoose.model("CandidateProfile", candidateProfileSchema);
@@ -0,0 +1,82 @@
+// models/emailMessageSchema.js
+import mongoose from "mongoose";
+
+// One outbound email. Doubles as the outbox queue entry (see
+// utils/emailOutbox.js) and as the delivery log once it has been sent.
+const emailMessageSchema = new mongoose.Schema(
+  {
+    to: {
+      type: String,
+      required: true,
+    },
+    cc: String,
+    subject: {
+      type: String,
+      required: true,
+    },
+    text: {
+      type: String,
+      required: true,
+    },
+    html: String,
+    // What the email is about, e.g. "feedback"; used to update the
+    // related record once the email has been delivered
+    category: {
+      type: String,
+      default: "general",
+    },
+    application: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Application",
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Queue bookkeeping
+    status: {
+      type: String,
+      enum: ["queued", "processing", "completed", "dead"],
+      default: "queued",
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      default: 6,
+    },
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: Date,
+    lockedBy: String,
+    lastError: String,
+    failures: [
+      {
+        attempt: Number,
+        message: String,
+        at: Date,
+      },
+    ],
+    completedAt: Date,
+    deadAt: Date,
+
+    // Delivery details
+    messageId: String,
+    transport: String,
+    sentAt: Date,
+  },
+  { timestamps: true }
+);
+
+emailMessageSchema.index({ status: 1, runAt: 1 });
+emailMessageSchema.index({ application: 1, createdAt: -1 });
+
+export const EmailMessage = mongoose.model("EmailMessage", emailMessageSchema);
@@ -0,0 +1,48 @@
+import mongoose from "mongoose";
+
+// Employer- or organization-edited email for one pipeline outcome. Outcomes
+// without a stored template fall back to DEFAULT_EMAIL_TEMPLATES in
+// utils/emailTemplates.js.
+const emailTemplateSchema = new mongoose.Schema(
+  {
+    employer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    outcome: {
+      type: String,
+      enum: ["received", "rejected", "interview_invite", "offer"],
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: [true, "Please provide an email subject!"],
+      maxLength: [200, "Email subject cannot exceed 200 characters!"],
+    },
+    body: {
+      type: String,
+      required: [true, "Please provide an email body!"],
+      maxLength: [10000, "Email body cannot exceed 10000 characters!"],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+emailTemplateSchema.index(
+  { employer: 1, outcome: 1 },
+  { unique: true, partialFilterExpression: { employer: { $exists: true } } }
+);
+emailTemplateSchema.index(
+  { organization: 1, outcome: 1 },
+  { unique: true, partialFilterExpression: { organization: { $exists: true } } }
+);
+
+export const EmailTemplate = mongoose.model("EmailTemplate", emailTemplateSchema);
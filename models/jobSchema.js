@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { salaryBounds } from "../utils/jobSearch.js";
 
 const jobSchema = new mongoose.Schema({
   title: {
@@ -45,10 +46,29 @@ const jobSchema = new mongoose.Schema({
     minLength: [4, "Salary must contain at least 4 digits"],
     maxLength: [9, "Salary cannot exceed 9 digits"],
   },
+  // Fixed or ranged salary as one range, for search (see utils/jobSearch.js)
+  salaryMin: Number,
+  salaryMax: Number,
+  // Kept in step with status: true for drafts and closed jobs
   expired: {
     type: Boolean,
     default: false,
   },
+  // Lifecycle (see utils/jobLifecycle.js): drafts with a publishAt are
+  // published by the scheduler, open jobs close at closesAt
+  status: {
+    type: String,
+    enum: ["draft", "published", "closed"],
+    default: "published",
+  },
+  publishAt: Date,
+  closesAt: Date,
+  publishedAt: Date,
+  closedAt: Date,
+  closedReason: {
+    type: String,
+    enum: ["manual", "deadline", null],
+  },
   jobPostedOn: {
     type: Date,
     default: Date.now,
@@ -58,6 +78,115 @@ const jobSchema = new mongoose.Schema({
     ref: "User",
     required: true,
   },
+  // Jobs posted by organization members belong to the organization
+  organization: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Organization",
+    index: true,
+  },
+  // Questions candidates answer when applying (see utils/screening.js)
+  screeningQuestions: [
+    {
+      prompt: { type: String, required: true, maxLength: 300 },
+      type: {
+        type: String,
+        enum: ["yes_no", "multiple_choice", "numeric", "text"],
+        required: true,
+      },
+      required: { type: Boolean, default: true },
+      options: [String],
+      min: Number,
+      max: Number,
+      // An answer matching the rule flags the candidate or rejects them
+      knockout: {
+        action: { type: String, enum: ["flag", "reject"] },
+        answer: Boolean,
+        options: { type: [String], default: undefined },
+        min: Number,
+        max: Number,
+      },
+    },
+  ],
+  // Per-job application rules (see utils/applicationRules.js)
+  applicationRules: {
+    maxApplicants: {
+      type: Number,
+      min: 1,
+    },
+    // Which of coverLetter, phone and address are required; all when unset
+    requiredFields: {
+      type: [String],
+      enum: ["coverLetter", "phone", "address"],
+      default: undefined,
+    },
+    allowReapply: {
+      type: Boolean,
+      default: true,
+    },
+    // Attachment kinds every application must include (utils/attachments.js)
+    requiredDocuments: {
+      type: [String],
+      enum: ["portfolio", "certificate", "transcript", "reference_letter", "other"],
+      default: undefined,
+    },
+  },
+  // Structured requirements, extracted from the description unless an
+  // employer edits them (see utils/jobRequirements.js)
+  requirements: {
+    skills: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        weight: { type: Number, min: 1, max: 5, default: 3 },
+        required: { type: Boolean, default: true },
+      },
+    ],
+    minYearsExperience: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    educationLevel: {
+      type: String,
+      enum: ["none", "high_school", "diploma", "associate", "bachelor", "master", "phd"],
+      default: "none",
+    },
+    languages: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        required: { type: Boolean, default: true },
+      },
+    ],
+    source: {
+      type: String,
+      enum: ["extracted", "manual"],
+      default: "extracted",
+    },
+    extractedAt: Date,
+  },
 });
 
+jobSchema.pre("save", function (next) {
+  if (this.isModified("fixedSalary") || this.isModified("salaryFrom") || this.isModified("salaryTo")) {
+    this.set(salaryBounds(this));
+  }
+  next();
+});
+
+// Job search: full-text over title and description, plus the filter and
+// sort combinations of GET /job/getall
+jobSchema.index(
+  { title: "text", description: "text" },
+  { weights: { title: 5, description: 1 }, name: "job_text_search" }
+);
+jobSchema.index({ expired: 1, jobPostedOn: -1, _id: -1 });
+jobSchema.index({ expired: 1, category: 1, jobPostedOn: -1, _id: -1 });
+jobSchema.index({ expired: 1, country: 1, city: 1, jobPostedOn: -1, _id: -1 });
+jobSchema.index({ expired: 1, salaryMax: -1, _id: -1 });
+jobSchema.index({ expired: 1, salaryMin: 1, _id: 1 });
+// Scheduler sweeps
+jobSchema.index({ status: 1, publishAt: 1 });
+jobSchema.index({ expired: 1, closesAt: 1 });
+
 export const Job = mongoose.model("Job", jobSchema);
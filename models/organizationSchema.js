@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+import validator from "validator";
+
+export const ORGANIZATION_ROLES = ["owner", "admin", "recruiter", "hiring_manager"];
+
+const memberSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    role: {
+      type: String,
+      enum: ORGANIZATION_ROLES,
+      required: true,
+    },
+    joinedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    validate: [validator.isEmail, "Please provide a valid Email!"],
+  },
+  role: {
+    type: String,
+    enum: ORGANIZATION_ROLES.filter((role) => role !== "owner"),
+    required: true,
+  },
+  // Only a SHA-256 hash of the invitation token is stored
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  acceptedAt: Date,
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const organizationSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Please provide the organization name!"],
+      trim: true,
+      minLength: [2, "Organization name must contain at least 2 Characters!"],
+      maxLength: [100, "Organization name cannot exceed 100 Characters!"],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    members: [memberSchema],
+    invitations: [invitationSchema],
+  },
+  { timestamps: true }
+);
+
+// A user belongs to at most one organization
+organizationSchema.index({ "members.user": 1 }, { unique: true });
+organizationSchema.index({ "invitations.tokenHash": 1 });
+
+export const Organization = mongoose.model("Organization", organizationSchema);
@@ -0,0 +1,71 @@
+import mongoose from "mongoose";
+
+const stageSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      match: [/^[a-z][a-z0-9_]{0,31}$/, "Stage keys must be lowercase letters, digits or underscores."],
+    },
+    label: {
+      type: String,
+      required: true,
+      maxLength: [50, "Stage labels cannot exceed 50 characters."],
+    },
+    // Stages a candidate may be moved to from this one
+    next: [String],
+    // Terminal stages end the process; outcome tells hired from rejected
+    terminal: {
+      type: Boolean,
+      default: false,
+    },
+    outcome: {
+      type: String,
+      enum: ["hired", "rejected", null],
+      default: null,
+    },
+    // Email template drafted for candidates entering this stage
+    email: {
+      type: String,
+      enum: ["received", "rejected", "interview_invite", "offer", null],
+      default: null,
+    },
+  },
+  { _id: false }
+);
+
+// One hiring pipeline per organization, or per employer for employers
+// outside an organization. Without one, DEFAULT_PIPELINE_STAGES from
+// utils/pipeline.js apply.
+const pipelineSchema = new mongoose.Schema(
+  {
+    employer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    organization: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Organization",
+    },
+    stages: {
+      type: [stageSchema],
+      validate: [(stages) => stages.length >= 2, "A pipeline needs at least two stages."],
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+pipelineSchema.index(
+  { employer: 1 },
+  { unique: true, partialFilterExpression: { employer: { $exists: true } } }
+);
+pipelineSchema.index(
+  { organization: 1 },
+  { unique: true, partialFilterExpression: { organization: { $exists: true } } }
+);
+
+export const Pipeline = mongoose.model("Pipeline", pipelineSchema);
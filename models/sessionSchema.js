@@ -0,0 +1,46 @@
+// models/sessionSchema.js
+import mongoose from "mongoose";
+
+// One signed-in device. Access tokens name their session, so revoking it
+// ends the session at once; the refresh token is rotated on every use and
+// only the hash of the current one is kept (see utils/sessions.js).
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    rotations: {
+      type: Number,
+      default: 0,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: ["logout", "user", "password_change", "reuse_detected"],
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: -1 });
+// Expired sessions are purged by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const Session = mongoose.model("Session", sessionSchema);
@@ -0,0 +1,37 @@
+// models/storedFileSchema.js
+import mongoose from "mongoose";
+
+// One stored resume file, shared by every application and profile that
+// uploaded the same bytes. refCount counts the documents pointing at it;
+// the file is deleted when the last one lets go (see utils/storage).
+const storedFileSchema = new mongoose.Schema(
+  {
+    fileId: {
+      type: String,
+      required: true,
+    },
+    storage: {
+      type: String,
+      required: true,
+    },
+    // SHA-256 of the stored bytes
+    checksum: {
+      type: String,
+      required: true,
+    },
+    contentType: String,
+    size: Number,
+    refCount: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+storedFileSchema.index({ fileId: 1 }, { unique: true });
+storedFileSchema.index({ checksum: 1, storage: 1 });
+storedFileSchema.index({ refCount: 1 });
+
+export const StoredFile = mongoose.model("StoredFile", storedFileSchema);
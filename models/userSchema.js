@@ -2,6 +2,11 @@ import mongoose from "mongoose";
 import validator from "validator";
 import bcrypt from "bcrypt";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -30,19 +35,63 @@ const userSchema = new mongoose.Schema({
     required: [true, "Please select a role"],
     enum: ["Job Seeker", "Employer"],
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: Date,
+  // Account tokens are single-use; only their SHA-256 hashes are stored
+  emailVerificationToken: {
+    type: String,
+    select: false,
+  },
+  emailVerificationExpire: {
+    type: Date,
+    select: false,
+  },
+  resetPasswordToken: {
+    type: String,
+    select: false,
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false,
+  },
+  // A new address only replaces email once its owner confirms it
+  pendingEmail: {
+    type: String,
+    validate: [validator.isEmail, "Please provide a valid Email!"],
+  },
+  emailChangeToken: {
+    type: String,
+    select: false,
+  },
+  emailChangeExpire: {
+    type: Date,
+    select: false,
+  },
+  passwordChangedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now,
   },
 });
 
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
+userSchema.index({ resetPasswordToken: 1 }, { sparse: true });
+userSchema.index({ emailChangeToken: 1 }, { sparse: true });
+
 
 //ENCRYPTING THE PASSWORD WHEN THE USER REGISTERS OR MODIFIES HIS PASSWORD
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
-    next();
+    return next();
   }
   this.password = await bcrypt.hash(this.password, 10);
+  if (!this.isNew) {
+    // Backdated a second so a token issued right after the change stays valid
+    this.passwordChangedAt = new Date(Date.now() - 1000);
+  }
 });
 
 //COMPARING THE USER PASSWORD ENTERED BY USER WITH THE USER SAVED PASSWORD
@@ -50,10 +99,58 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-//GENERATING A JWT TOKEN WHEN A USER REGISTERS OR LOGINS, IT DEPENDS ON OUR CODE THAT WHEN DO WE NEED TO GENERATE THE JWT TOKEN WHEN THE USER LOGIN OR REGISTER OR FOR BOTH. 
-userSchema.methods.getJWTToken = function () {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET_KEY, {
-    expiresIn: process.env.JWT_EXPIRES,
+//ACCESS TOKENS ARE SHORT-LIVED AND NAME THE SESSION THEY BELONG TO, SO REVOKING THE SESSION (utils/sessions.js) ENDS THEM TOO.
+userSchema.methods.getJWTToken = function (sessionId) {
+  return jwt.sign({ id: this._id, sid: sessionId }, process.env.JWT_SECRET_KEY, {
+    expiresIn: process.env.ACCESS_TOKEN_EXPIRES || "15m",
+  });
+};
+
+//TRUE WHEN THE PASSWORD WAS CHANGED AFTER A JWT WAS ISSUED (iat IS IN SECONDS)
+userSchema.methods.changedPasswordAfter = function (issuedAt) {
+  if (!this.passwordChangedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > issuedAt;
+};
+
+//GENERATING A SINGLE-USE TOKEN FOR EMAIL VERIFICATION OR PASSWORD RESET. THE RAW TOKEN IS EMAILED, ONLY ITS HASH IS SAVED.
+const ACCOUNT_TOKENS = {
+  verification: {
+    field: "emailVerificationToken",
+    expireField: "emailVerificationExpire",
+    ttl: 24 * 60 * 60 * 1000,
+  },
+  reset: {
+    field: "resetPasswordToken",
+    expireField: "resetPasswordExpire",
+    ttl: 15 * 60 * 1000,
+  },
+  emailChange: {
+    field: "emailChangeToken",
+    expireField: "emailChangeExpire",
+    ttl: 24 * 60 * 60 * 1000,
+  },
+};
+
+userSchema.methods.createAccountToken = function (type) {
+  const { field, expireField, ttl } = ACCOUNT_TOKENS[type];
+  const token = crypto.randomBytes(32).toString("hex");
+  this[field] = hashToken(token);
+  this[expireField] = new Date(Date.now() + ttl);
+  return token;
+};
+
+userSchema.methods.clearAccountToken = function (type) {
+  const { field, expireField } = ACCOUNT_TOKENS[type];
+  this[field] = undefined;
+  this[expireField] = undefined;
+};
+
+//FINDING THE USER HOLDING AN UNEXPIRED TOKEN OF THE GIVEN TYPE
+userSchema.statics.findByAccountToken = function (type, token) {
+  const { field, expireField } = ACCOUNT_TOKENS[type];
+  return this.findOne({
+    [field]: hashToken(String(token)),
+    [expireField]: { $gt: new Date() },
   });
 };
 
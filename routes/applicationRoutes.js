@@ -6,19 +6,38 @@ import {
   jobseekerGetAllApplications,
   postApplication,
   getResume,
+  getResumePreviewImage,
+  getAttachment,
   regenerateFeedback,  // Add this import
   sendFeedbackEmail,
+  getAnalysisStatus,
+  getJobShortlist,
+  changeApplicationStage,
+  getStageHistory,
+  previewFeedbackEmail,
+  getEmailHistoryForApplication,
+  withdrawApplication,
 } from "../controllers/applicationController.js";
 import { isAuthenticated } from "../middlewares/auth.js";
+import { authorize } from "../middlewares/authorize.js";
 
 const router = express.Router();
 
-router.post("/post", isAuthenticated, postApplication);
-router.get("/employer/getall", isAuthenticated, employerGetAllApplications);
-router.get("/jobseeker/getall", isAuthenticated, jobseekerGetAllApplications);
-router.delete("/delete/:id", isAuthenticated, jobseekerDeleteApplication);
-router.get("/resume/:fileId", isAuthenticated, getResume);
-router.post("/regenerate-feedback/:applicationId", isAuthenticated, regenerateFeedback);  // Add this route
-router.post("/send-feedback/:applicationId", isAuthenticated, sendFeedbackEmail);
+router.post("/post", isAuthenticated, authorize("application:create"), postApplication);
+router.get("/employer/getall", isAuthenticated, authorize("application:listForEmployer"), employerGetAllApplications);
+router.get("/jobseeker/getall", isAuthenticated, authorize("application:listForJobSeeker"), jobseekerGetAllApplications);
+router.delete("/delete/:id", isAuthenticated, authorize("application:withdraw"), jobseekerDeleteApplication);
+router.put("/withdraw/:id", isAuthenticated, authorize("application:withdraw"), withdrawApplication);
+router.get("/resume/:fileId", isAuthenticated, authorize("resume:read"), getResume);
+router.get("/resume/:fileId/preview", isAuthenticated, authorize("resume:read"), getResumePreviewImage);
+router.get("/:applicationId/attachments/:attachmentId", isAuthenticated, authorize("application:read"), getAttachment);
+router.post("/regenerate-feedback/:applicationId", isAuthenticated, authorize("application:review"), regenerateFeedback);  // Add this route
+router.post("/send-feedback/:applicationId", isAuthenticated, authorize("application:review"), sendFeedbackEmail);
+router.post("/email-preview/:applicationId", isAuthenticated, authorize("application:review"), previewFeedbackEmail);
+router.get("/email-history/:applicationId", isAuthenticated, authorize("application:review"), getEmailHistoryForApplication);
+router.get("/analysis-status/:applicationId", isAuthenticated, authorize("application:read"), getAnalysisStatus);
+router.get("/job/:jobId/shortlist", isAuthenticated, authorize("job:shortlist"), getJobShortlist);
+router.put("/stage/:applicationId", isAuthenticated, authorize("application:move"), changeApplicationStage);
+router.get("/stage-history/:applicationId", isAuthenticated, authorize("application:read"), getStageHistory);
 
 export default router;
\ No newline at end of file
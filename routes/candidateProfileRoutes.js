@@ -0,0 +1,23 @@
+// routes/candidateProfileRoutes.js
+import express from "express";
+import {
+  getCandidateProfile,
+  updateCandidateProfile,
+  uploadProfileResume,
+  deleteProfileResume,
+  getProfileResume,
+  getProfileResumePreview,
+} from "../controllers/candidateProfileController.js";
+import { isAuthenticated } from "../middlewares/auth.js";
+import { authorize } from "../middlewares/authorize.js";
+
+const router = express.Router();
+
+router.get("/", isAuthenticated, authorize("candidateProfile:manage"), getCandidateProfile);
+router.put("/", isAuthenticated, authorize("candidateProfile:manage"), updateCandidateProfile);
+router.get("/resume", isAuthenticated, authorize("candidateProfile:manage"), getProfileResume);
+router.get("/resume/preview", isAuthenticated, authorize("candidateProfile:manage"), getProfileResumePreview);
+router.put("/resume", isAuthenticated, authorize("candidateProfile:manage"), uploadProfileResume);
+router.delete("/resume", isAuthenticated, authorize("candidateProfile:manage"), deleteProfileResume);
+
+export default router;
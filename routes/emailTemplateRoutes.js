@@ -0,0 +1,17 @@
+// routes/emailTemplateRoutes.js
+import express from "express";
+import {
+  getEmailTemplates,
+  updateEmailTemplate,
+  resetEmailTemplate,
+} from "../controllers/emailTemplateController.js";
+import { isAuthenticated } from "../middlewares/auth.js";
+import { authorize } from "../middlewares/authorize.js";
+
+const router = express.Router();
+
+router.get("/", isAuthenticated, authorize("emailTemplate:read"), getEmailTemplates);
+router.put("/:outcome", isAuthenticated, authorize("emailTemplate:manage"), updateEmailTemplate);
+router.delete("/:outcome", isAuthenticated, authorize("emailTemplate:manage"), resetEmailTemplate);
+
+export default router;
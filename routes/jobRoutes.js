@@ -8,14 +8,15 @@ import {
   updateJob,
 } from "../controllers/jobController.js";
 import { isAuthenticated } from "../middlewares/auth.js";
+import { authorize } from "../middlewares/authorize.js";
 
 const router = express.Router();
 
 router.get("/getall", getAllJobs);
-router.post("/post", isAuthenticated, postJob);
-router.get("/getmyjobs", isAuthenticated, getMyJobs);
-router.put("/update/:id", isAuthenticated, updateJob);
-router.delete("/delete/:id", isAuthenticated, deleteJob);
-router.get("/:id", isAuthenticated, getSingleJob);
+router.post("/post", isAuthenticated, authorize("job:create"), postJob);
+router.get("/getmyjobs", isAuthenticated, authorize("job:listOwn"), getMyJobs);
+router.put("/update/:id", isAuthenticated, authorize("job:update"), updateJob);
+router.delete("/delete/:id", isAuthenticated, authorize("job:delete"), deleteJob);
+router.get("/:id", isAuthenticated, authorize("job:read"), getSingleJob);
 
 export default router;
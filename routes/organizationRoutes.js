@@ -0,0 +1,44 @@
+// routes/organizationRoutes.js
+import express from "express";
+import {
+  createOrganization,
+  getMyOrganization,
+  updateOrganization,
+  inviteMember,
+  acceptInvitation,
+  revokeInvitation,
+  changeMemberRole,
+  removeMember,
+  leaveOrganization,
+} from "../controllers/organizationController.js";
+import { isAuthenticated } from "../middlewares/auth.js";
+import { authorize } from "../middlewares/authorize.js";
+
+const router = express.Router();
+
+router.post("/", isAuthenticated, authorize("organization:create"), createOrganization);
+router.get("/me", isAuthenticated, authorize("organization:read"), getMyOrganization);
+router.put("/me", isAuthenticated, authorize("organization:manage"), updateOrganization);
+router.post("/invitations", isAuthenticated, authorize("organization:manage"), inviteMember);
+router.post("/invitations/accept", isAuthenticated, authorize("organization:join"), acceptInvitation);
+router.delete(
+  "/invitations/:invitationId",
+  isAuthenticated,
+  authorize("organization:manage"),
+  revokeInvitation
+);
+router.put(
+  "/members/:userId",
+  isAuthenticated,
+  authorize("organization:manage"),
+  changeMemberRole
+);
+router.delete(
+  "/members/:userId",
+  isAuthenticated,
+  authorize("organization:manage"),
+  removeMember
+);
+router.post("/leave", isAuthenticated, authorize("organization:leave"), leaveOrganization);
+
+export default router;
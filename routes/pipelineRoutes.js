@@ -0,0 +1,17 @@
+// routes/pipelineRoutes.js
+import express from "express";
+import {
+  getPipeline,
+  updatePipeline,
+  resetPipeline,
+} from "../controllers/pipelineController.js";
+import { isAuthenticated } from "../middlewares/auth.js";
+import { authorize } from "../middlewares/authorize.js";
+
+const router = express.Router();
+
+router.get("/", isAuthenticated, authorize("pipeline:read"), getPipeline);
+router.put("/", isAuthenticated, authorize("pipeline:manage"), updatePipeline);
+router.delete("/", isAuthenticated, authorize("pipeline:manage"), resetPipeline);
+
+export default router;
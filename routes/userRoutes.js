@@ -1,12 +1,69 @@
 import express from "express";
-import { login, register, logout, getUser } from "../controllers/userController.js";
+import rateLimit from "express-rate-limit";
+import {
+  login,
+  register,
+  logout,
+  getUser,
+  requestEmailVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  refreshSession,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  updateProfile,
+  requestEmailChange,
+  confirmEmailChange,
+  deleteAccount,
+} from "../controllers/userController.js";
 import { isAuthenticated } from "../middlewares/auth.js";
+import { authorize } from "../middlewares/authorize.js";
 
 const router = express.Router();
 
+// Endpoints that send email get a tighter limit than the API as a whole
+const accountEmailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+});
+
 router.post("/register", register);
 router.post("/login", login);
-router.get("/logout", isAuthenticated, logout);
-router.get("/getuser", isAuthenticated, getUser);
+router.post("/refresh", refreshSession);
+router.get("/logout", logout);
+router.get("/getuser", isAuthenticated, authorize("user:self"), getUser);
+router.post(
+  "/verify-email/request",
+  accountEmailLimiter,
+  isAuthenticated,
+  authorize("user:self"),
+  requestEmailVerification
+);
+router.post("/verify-email", verifyEmail);
+router.post("/password/forgot", accountEmailLimiter, forgotPassword);
+router.put("/password/reset", resetPassword);
+router.put("/password/change", isAuthenticated, authorize("user:self"), changePassword);
+router.get("/profile", isAuthenticated, authorize("user:self"), getUser);
+router.put("/profile", isAuthenticated, authorize("user:self"), updateProfile);
+router.put(
+  "/email",
+  accountEmailLimiter,
+  isAuthenticated,
+  authorize("user:self"),
+  requestEmailChange
+);
+router.post("/email/confirm", confirmEmailChange);
+router.delete("/me", isAuthenticated, authorize("user:self"), deleteAccount);
+router.get("/sessions", isAuthenticated, authorize("user:self"), getSessions);
+router.delete("/sessions", isAuthenticated, authorize("user:self"), revokeAllSessions);
+router.delete(
+  "/sessions/:sessionId",
+  isAuthenticated,
+  authorize("user:self"),
+  revokeSession
+);
 
 export default router;
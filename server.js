@@ -1,11 +1,13 @@
 import app from "./app.js";
-import { testOpenAIConnection } from "./utils/openaiConfig.js";
 import assistantService from "./utils/assistantService.js";
 import ErrorHandler from "./middlewares/error.js";
 import { config } from "dotenv";
 import path from 'path';
 import { fileURLToPath } from 'url';
 import emailService from './utils/emailService.js';
+import analysisQueue from './utils/analysisQueue.js';
+import emailOutbox from './utils/emailOutbox.js';
+import scheduler from './utils/scheduler.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -48,11 +50,6 @@ const validateConfig = () => {
 
 const validateAssistantService = async () => {
   try {
-    if (!process.env.OPENAI_API_KEY) {
-      console.log('OpenAI services not configured, skipping validation');
-      return true;
-    }
-
     console.log('Validating Assistant Service configuration...');
     assistantService.validateConfig();
     console.log('Assistant Service configuration is valid');
@@ -71,26 +68,16 @@ const startServer = async () => {
     validateConfig();
     console.log('Configuration is valid');
 
-    // Only test OpenAI if it's configured
-    if (process.env.OPENAI_API_KEY) {
-      // Validate Assistant Service
-      await validateAssistantService();
-
-      // Test OpenAI connection
-      console.log('Testing OpenAI connection...');
-      const connectionTest = await testOpenAIConnection();
-      if (!connectionTest) {
-        console.warn('OpenAI connection test failed, but continuing startup');
-      } else {
-        console.log('OpenAI connection test successful');
-      }
-
-      // Test Assistant Service connection
-      console.log('Testing Assistant Service connection...');
-      await assistantService.testConnection();
-      console.log('Assistant Service connection test successful');
+    // Validate Assistant Service
+    await validateAssistantService();
+
+    // Test the configured AI provider (OpenAI, local endpoint or offline)
+    console.log('Testing Assistant Service connection...');
+    const connectionTest = await assistantService.testConnection();
+    if (!connectionTest) {
+      console.warn('Assistant Service connection test failed, but continuing startup');
     } else {
-      console.log('OpenAI services not configured, skipping connection tests');
+      console.log('Assistant Service connection test successful');
     }
 
     // Start server
@@ -99,6 +86,18 @@ const startServer = async () => {
       console.log(`Server running in ${environment} mode on port ${PORT}`);
     });
 
+    // Background AI analysis workers
+    analysisQueue.start();
+
+    // Email outbox delivery; the transport is checked without sending mail
+    emailService.initialize().catch((error) => {
+      console.error('Email transport check failed, queued emails will retry:', error.message);
+    });
+    emailOutbox.start();
+
+    // Job publishing and closing deadlines
+    scheduler.start();
+
     // Handle unhandled promise rejections
     process.on('unhandledRejection', (err) => {
       console.log('UNHANDLED REJECTION! 💥 Shutting down...');
@@ -117,27 +116,13 @@ const startServer = async () => {
   }
 };
 
-// Test email configuration
-if (process.env.SMTP_USER) {
-  try {
-    await emailService.initialize();
-    await emailService.sendEmail({
-      email: process.env.SMTP_USER,  // Send test email to yourself
-      subject: "RecruitPilot Email System Test",
-      message: "Email system is working!"
-    });
-    console.log('Email system initialized successfully');
-  } catch (error) {
-    console.error('Email setup test failed:', error);
-  }
-}
-
 const gracefulShutdown = async (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
   try {
-    if (process.env.OPENAI_API_KEY) {
-      await assistantService.cleanup();
-    }
+    await analysisQueue.stop();
+    await emailOutbox.stop();
+    await scheduler.stop();
+    await assistantService.cleanup();
     console.log('Graceful shutdown completed');
     process.exit(0);
   } catch (error) {
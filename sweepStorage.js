@@ -0,0 +1,52 @@
+// sweepStorage.js
+//
+// Removes resume files nothing refers to any more: unreferenced
+// deduplicated files, untracked GridFS files, leftover GridFS chunks and
+// stale previews. Run with --dry-run first to see what would be removed.
+//
+//   node sweepStorage.js [--dry-run]
+import mongoose from "mongoose";
+import { initGridFS } from "./utils/gridfsStorage.js";
+import { sweepOrphanedFiles } from "./utils/storageSweeper.js";
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+dotenv.config({
+  path: path.join(__dirname, `config/${process.env.NODE_ENV || 'development'}.env`)
+});
+
+const dryRun = process.argv.includes('--dry-run');
+
+const sweepStorage = async () => {
+  let failed = false;
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URI, {
+      dbName: "MERN_JOB_SEEKING_WEBAPP"
+    });
+    initGridFS();
+    console.log('Connected to MongoDB successfully');
+
+    const report = await sweepOrphanedFiles({ dryRun });
+
+    console.log(`\n${dryRun ? 'Would remove' : 'Removed'}:`);
+    report.items.forEach((item) => {
+      const { kind, fileId, ...details } = item;
+      console.log(`- ${kind} ${fileId}`, details);
+    });
+    console.log(`\nReclaimable bytes: ${report.files.bytes}`);
+  } catch (error) {
+    failed = true;
+    console.error('Sweep failed:', error);
+  } finally {
+    await mongoose.connection.close();
+    process.exit(failed ? 1 : 0);
+  }
+};
+
+console.log(`Starting storage sweep${dryRun ? ' (dry run)' : ''}...`);
+sweepStorage();
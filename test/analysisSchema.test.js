@@ -0,0 +1,210 @@
+// test/analysisSchema.test.js
+import { DeterministicProvider } from "../utils/llmProviders/deterministicProvider.js";
+import { resolveProviderName } from "../utils/llmProviders/index.js";
+import { validateOpenAIConfig } from "../utils/openaiServiceValidator.js";
+import {
+  ANALYSIS_SCHEMA_VERSION,
+  parseAnalysis,
+  validateAnalysis,
+} from "../utils/analysisSchema.js";
+
+const JOB_DESCRIPTION =
+  "We need a backend developer with Node.js, MongoDB and Express. " +
+  "Node.js services, MongoDB schema design and REST APIs in Express.";
+const APPLICATION = {
+  coverLetter: "I have built REST APIs in Express for three years.",
+  resumeText: "Backend developer. Node.js, Express, PostgreSQL, Docker.",
+};
+
+const validAnalysis = () => ({
+  version: ANALYSIS_SCHEMA_VERSION,
+  score: 72,
+  summary: "Solid backend experience with a few gaps.",
+  strengths: ["Express APIs"],
+  gaps: ["No MongoDB"],
+  recommendations: ["Show a MongoDB project"],
+  candidateEmail: {
+    subject: "Your application",
+    body: "Dear candidate, thank you for applying.",
+  },
+});
+
+describe("DeterministicProvider", () => {
+  const provider = new DeterministicProvider();
+
+  it("returns the same analysis for the same input", async () => {
+    const first = await provider.analyzeApplication(APPLICATION, JOB_DESCRIPTION);
+    const second = await new DeterministicProvider().analyzeApplication(
+      { ...APPLICATION },
+      JOB_DESCRIPTION
+    );
+    expect(second).toEqual(first);
+  });
+
+  it("produces output that passes the analysis schema", async () => {
+    const raw = await provider.analyzeApplication(APPLICATION, JOB_DESCRIPTION);
+    expect(validateAnalysis(raw)).toMatchObject({ isValid: true, missing: [], issues: [] });
+
+    const { analysis } = parseAnalysis(JSON.stringify(raw));
+    expect(analysis.version).toBe(ANALYSIS_SCHEMA_VERSION);
+    expect(Number.isInteger(analysis.score)).toBe(true);
+    expect(analysis.score).toBeGreaterThanOrEqual(0);
+    expect(analysis.score).toBeLessThanOrEqual(100);
+  });
+
+  it("scores by the job terms found in the application", async () => {
+    const matching = await provider.analyzeApplication(
+      { coverLetter: JOB_DESCRIPTION, resumeText: "" },
+      JOB_DESCRIPTION
+    );
+    const unrelated = await provider.analyzeApplication(
+      { coverLetter: "Pastry chef, sourdough and laminated doughs.", resumeText: "" },
+      JOB_DESCRIPTION
+    );
+    expect(matching.score).toBe(100);
+    expect(unrelated.score).toBe(0);
+    expect(unrelated.gaps.length).toBeGreaterThan(0);
+  });
+
+  it("stays schema-valid without any input text", async () => {
+    const raw = await provider.analyzeApplication({}, "");
+    expect(raw.score).toBe(50);
+    expect(validateAnalysis(raw).isValid).toBe(true);
+  });
+
+  it("needs no network to test its connection", async () => {
+    await expect(provider.testConnection()).resolves.toBe(true);
+  });
+});
+
+describe("validateAnalysis", () => {
+  it("accepts a complete analysis", () => {
+    expect(validateAnalysis(validAnalysis()).isValid).toBe(true);
+  });
+
+  it.each([
+    ["above 100", 101],
+    ["below 0", -1],
+    ["not a number", "80"],
+    ["infinite", Infinity],
+  ])("rejects a score %s", (_, score) => {
+    const result = validateAnalysis({ ...validAnalysis(), score });
+    expect(result.isValid).toBe(false);
+    expect(result.issues).toContain("score must be a number between 0 and 100");
+  });
+
+  it("rejects an unsupported major version", () => {
+    const result = validateAnalysis({ ...validAnalysis(), version: "2.0" });
+    expect(result.isValid).toBe(false);
+    expect(result.issues[0]).toMatch(/Unsupported schema version/);
+  });
+
+  it("reports missing fields", () => {
+    const { summary, candidateEmail, ...rest } = validAnalysis();
+    const result = validateAnalysis(rest);
+    expect(result.isValid).toBe(false);
+    expect(result.missing).toEqual(expect.arrayContaining(["summary", "candidateEmail"]));
+  });
+
+  it("rejects lists that are too long or hold empty entries", () => {
+    const result = validateAnalysis({
+      ...validAnalysis(),
+      strengths: Array(11).fill("Express"),
+      gaps: ["  "],
+    });
+    expect(result.isValid).toBe(false);
+    expect(result.issues).toEqual([
+      "strengths cannot contain more than 10 items",
+      "gaps must only contain non-empty strings",
+    ]);
+  });
+
+  it("rejects anything that is not an object", () => {
+    expect(validateAnalysis(null).isValid).toBe(false);
+    expect(validateAnalysis([validAnalysis()]).isValid).toBe(false);
+  });
+
+  it("warns about emails that promise an offer", () => {
+    const analysis = validAnalysis();
+    analysis.candidateEmail.body = "Welcome aboard! We are pleased to offer you the role.";
+    const result = validateAnalysis(analysis);
+    expect(result.isValid).toBe(true);
+    expect(result.warnings).toHaveLength(2);
+  });
+});
+
+describe("parseAnalysis", () => {
+  it("parses a JSON string into a normalized analysis", () => {
+    const { analysis } = parseAnalysis(
+      JSON.stringify({ ...validAnalysis(), score: 71.6, strengths: [" Express APIs "] })
+    );
+    expect(analysis.score).toBe(72);
+    expect(analysis.strengths).toEqual(["Express APIs"]);
+  });
+
+  it("rejects fenced output that does not hold a JSON object", () => {
+    expect(() => parseAnalysis("```json\nScore: 80, looks good\n```")).toThrow(
+      "Analysis response did not contain a JSON object"
+    );
+  });
+
+  it("rejects fenced output with malformed JSON", () => {
+    const fenced = `\`\`\`json\n${JSON.stringify(validAnalysis()).replace(/}$/, ",}")}\n\`\`\``;
+    expect(() => parseAnalysis(fenced)).toThrow(/not valid JSON/);
+  });
+
+  it("rejects fenced JSON that fails the schema", () => {
+    const fenced = `\`\`\`json\n${JSON.stringify({ ...validAnalysis(), score: 250 })}\n\`\`\``;
+    expect(() => parseAnalysis(fenced)).toThrow(/score must be a number between 0 and 100/);
+  });
+
+  it("rejects malformed JSON", () => {
+    expect(() => parseAnalysis('{"score": 80, "summary": }')).toThrow(/not valid JSON/);
+    expect(() => parseAnalysis("")).toThrow(/did not contain a JSON object/);
+  });
+
+  it("rejects out-of-range scores with a 502 so callers can retry", () => {
+    let error;
+    try {
+      parseAnalysis({ ...validAnalysis(), score: -5 });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.statusCode).toBe(502);
+    expect(error.message).toMatch(/score must be a number between 0 and 100/);
+  });
+
+  it("names every missing field", () => {
+    expect(() => parseAnalysis({ version: ANALYSIS_SCHEMA_VERSION, score: 50 })).toThrow(
+      /missing summary; missing strengths; missing gaps; missing recommendations; missing candidateEmail/
+    );
+  });
+});
+
+describe("OpenAI configuration", () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+  });
+
+  it("accepts an API key without an organization ID", async () => {
+    process.env.OPENAI_API_KEY = "sk-test-1234";
+    delete process.env.OPENAI_ORGANIZATION_ID;
+    delete process.env.OPENAI_ASSISTANT_ID;
+    delete process.env.LLM_PROVIDER;
+    process.env.NODE_ENV = "production";
+
+    expect(resolveProviderName()).toBe("openai-chat");
+    await expect(validateOpenAIConfig()).resolves.toMatchObject({ isValid: true, issues: [] });
+  });
+
+  it("still checks the format of an organization ID that is set", async () => {
+    process.env.OPENAI_API_KEY = "sk-test-1234";
+    process.env.OPENAI_ORGANIZATION_ID = "acme";
+
+    const { isValid, issues } = await validateOpenAIConfig();
+    expect(isValid).toBe(false);
+    expect(issues).toEqual(['Organization ID should start with "org-"']);
+  });
+});
@@ -0,0 +1,40 @@
+// test/applicationRules.test.js
+import { jest } from "@jest/globals";
+
+// pdf-parse reads a sample file when it is imported, which outlives the test
+jest.unstable_mockModule("pdf-parse", () => ({ default: async () => ({ text: "" }) }));
+
+const { Job } = await import("../models/jobSchema.js");
+const { normalizeApplicationRules, requiredFieldsFor } = await import("../utils/applicationRules.js");
+
+describe("normalizeApplicationRules", () => {
+  it("validates and de-duplicates the rules", () => {
+    expect(
+      normalizeApplicationRules({
+        maxApplicants: "25",
+        requiredFields: ["phone", "phone"],
+        requiredDocuments: ["portfolio"],
+        allowReapply: "false",
+      })
+    ).toEqual({
+      maxApplicants: 25,
+      requiredFields: ["phone"],
+      requiredDocuments: ["portfolio"],
+      allowReapply: false,
+    });
+    expect(() => normalizeApplicationRules({ maxApplicants: 0 })).toThrow(/maxApplicants/);
+    expect(() => normalizeApplicationRules({ requiredFields: ["salary"] })).toThrow(
+      /Unknown required fields: salary/
+    );
+  });
+
+  it("clears the rules when given null", () => {
+    const rules = normalizeApplicationRules(null);
+    expect(rules).toEqual({});
+    expect(requiredFieldsFor({ applicationRules: rules })).toEqual(["coverLetter", "phone", "address"]);
+
+    // The update updateJob sends keeps the empty rules, replacing the old ones
+    const query = Job.findOneAndUpdate({}, { applicationRules: rules });
+    expect(query._castUpdate(query.getUpdate())).toEqual({ $set: { applicationRules: {} } });
+  });
+});
@@ -0,0 +1,247 @@
+// test/authorize.test.js
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import { authorize, POLICIES, ROLES } from "../middlewares/authorize.js";
+import { Job } from "../models/jobSchema.js";
+import { Application } from "../models/applicationSchema.js";
+
+const id = () => new mongoose.Types.ObjectId();
+
+const organization = { _id: id() };
+const otherOrganization = { _id: id() };
+
+const user = (role, orgRole, org = organization) => ({
+  user: { _id: id(), role },
+  // loadMembership keeps a membership already on req, so no database is needed
+  membership: orgRole ? { organization: org, role: orgRole } : null,
+});
+
+const ACTORS = {
+  seeker: user(ROLES.JOB_SEEKER),
+  otherSeeker: user(ROLES.JOB_SEEKER),
+  employer: user(ROLES.EMPLOYER),
+  otherEmployer: user(ROLES.EMPLOYER),
+  orgOwner: user(ROLES.EMPLOYER, "owner"),
+  orgAdmin: user(ROLES.EMPLOYER, "admin"),
+  orgRecruiter: user(ROLES.EMPLOYER, "recruiter"),
+  orgHiringManager: user(ROLES.EMPLOYER, "hiring_manager"),
+  otherOrgAdmin: user(ROLES.EMPLOYER, "admin", otherOrganization),
+};
+const ALL = Object.keys(ACTORS);
+const SEEKERS = ["seeker", "otherSeeker"];
+const EMPLOYERS = ALL.filter((name) => !SEEKERS.includes(name));
+const MEMBERS = ["orgOwner", "orgAdmin", "orgRecruiter", "orgHiringManager", "otherOrgAdmin"];
+
+// A job and application owned by a single employer, and a pair owned by
+// the organization; the seeker applied to both
+const personalJob = { _id: id(), postedBy: ACTORS.employer.user._id };
+const orgJob = { _id: id(), postedBy: ACTORS.orgRecruiter.user._id, organization: organization._id };
+const application = (job, employer) => ({
+  _id: id(),
+  jobId: job._id,
+  applicantID: { user: ACTORS.seeker.user._id, role: ROLES.JOB_SEEKER },
+  employerID: { user: employer, role: ROLES.EMPLOYER },
+  organization: job.organization,
+  resume: { public_id: id().toString() },
+});
+const personalApplication = application(personalJob, ACTORS.employer.user._id);
+const orgApplication = application(orgJob, ACTORS.orgRecruiter.user._id);
+
+const TARGETS = {
+  personal: { job: personalJob, application: personalApplication },
+  organization: { job: orgJob, application: orgApplication },
+};
+
+/**
+ * Who may pass each policy. Policies on a resource list the allowed actors
+ * for a personal and an organization-owned target.
+ */
+const EXPECTED = {
+  "user:self": ALL,
+
+  "job:create": EMPLOYERS.filter((name) => name !== "orgHiringManager"),
+  "job:listOwn": EMPLOYERS,
+  "job:read": ALL,
+  "job:update": {
+    personal: ["employer"],
+    organization: ["orgOwner", "orgAdmin", "orgRecruiter"],
+  },
+  "job:delete": {
+    personal: ["employer"],
+    organization: ["orgOwner", "orgAdmin"],
+  },
+  "job:shortlist": {
+    personal: ["employer"],
+    organization: ["orgOwner", "orgAdmin", "orgRecruiter", "orgHiringManager"],
+  },
+
+  "application:create": SEEKERS,
+  "application:listForEmployer": EMPLOYERS,
+  "application:listForJobSeeker": SEEKERS,
+  "application:withdraw": {
+    personal: ["seeker"],
+    organization: ["seeker"],
+  },
+  "application:read": {
+    personal: ["seeker", "employer"],
+    organization: ["seeker", "orgOwner", "orgAdmin", "orgRecruiter", "orgHiringManager"],
+  },
+  "application:move": {
+    personal: ["employer"],
+    organization: ["orgOwner", "orgAdmin", "orgRecruiter", "orgHiringManager"],
+  },
+  "application:review": {
+    personal: ["employer"],
+    organization: ["orgOwner", "orgAdmin", "orgRecruiter"],
+  },
+  "resume:read": {
+    personal: ["seeker", "employer"],
+    organization: ["seeker", "orgOwner", "orgAdmin", "orgRecruiter", "orgHiringManager"],
+  },
+
+  "candidateProfile:manage": SEEKERS,
+
+  "pipeline:read": EMPLOYERS,
+  "pipeline:manage": ["employer", "otherEmployer", "orgOwner", "orgAdmin", "otherOrgAdmin"],
+  "emailTemplate:read": EMPLOYERS,
+  "emailTemplate:manage": EMPLOYERS.filter((name) => name !== "orgHiringManager"),
+
+  "organization:create": EMPLOYERS,
+  "organization:join": EMPLOYERS,
+  "organization:read": MEMBERS,
+  "organization:leave": MEMBERS,
+  "organization:manage": ["orgOwner", "orgAdmin", "otherOrgAdmin"],
+};
+
+// Runs the guard and resolves with whatever it passed to next()
+const run = (policyName, actor, target = TARGETS.personal, params = {}) => {
+  const req = {
+    user: actor.user,
+    membership: actor.membership,
+    params: {
+      id: String(POLICIES[policyName].resource === "job" ? target.job._id : target.application._id),
+      jobId: String(target.job._id),
+      applicationId: String(target.application._id),
+      fileId: target.application.resume.public_id,
+      ...params,
+    },
+  };
+  return new Promise((resolve) => authorize(policyName)(req, {}, resolve)).then((error) => ({
+    req,
+    error,
+  }));
+};
+
+const DOCUMENTS = [personalJob, orgJob, personalApplication, orgApplication];
+const byId = (value) => DOCUMENTS.find(({ _id }) => _id.equals(value)) || null;
+
+beforeEach(() => {
+  jest.spyOn(Job, "findById").mockImplementation(async (value) => byId(value));
+  jest.spyOn(Application, "findById").mockImplementation(async (value) => byId(value));
+  jest.spyOn(Application, "find").mockImplementation(async (filter) =>
+    DOCUMENTS.filter((document) => document.resume?.public_id === filter["resume.public_id"])
+  );
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("policy matrix", () => {
+  it("has an expectation for every policy", () => {
+    expect(Object.keys(EXPECTED).sort()).toEqual(Object.keys(POLICIES).sort());
+  });
+
+  const cases = Object.entries(EXPECTED).flatMap(([policyName, expected]) =>
+    Array.isArray(expected)
+      ? ALL.map((actor) => [policyName, "-", actor, expected.includes(actor)])
+      : Object.entries(expected).flatMap(([target, allowed]) =>
+          ALL.map((actor) => [policyName, target, actor, allowed.includes(actor)])
+        )
+  );
+
+  it.each(cases)("%s on %s target as %s: allowed=%s", async (policyName, target, actor, allowed) => {
+    const { error } = await run(policyName, ACTORS[actor], TARGETS[target]);
+    if (allowed) {
+      expect(error).toBeUndefined();
+    } else {
+      // Organization endpoints answer 404 to employers outside one
+      const { membership, user } = ACTORS[actor];
+      const status =
+        POLICIES[policyName].membership && user.role === ROLES.EMPLOYER && !membership ? 404 : 403;
+      expect(error?.statusCode).toBe(status);
+    }
+  });
+});
+
+describe("cases from the ownership audit", () => {
+  it("stops an employer updating or deleting another employer's job", async () => {
+    for (const policyName of ["job:update", "job:delete"]) {
+      const { error } = await run(policyName, ACTORS.otherEmployer);
+      expect(error).toMatchObject({ statusCode: 403, message: "Not allowed to access this resource." });
+    }
+  });
+
+  it("stops a seeker deleting another seeker's application", async () => {
+    // DELETE /application/delete/:id and PUT /application/withdraw/:id
+    const { error } = await run("application:withdraw", ACTORS.otherSeeker);
+    expect(error).toMatchObject({ statusCode: 403 });
+  });
+
+  it("does not serve a resume to a stranger", async () => {
+    for (const actor of [ACTORS.otherSeeker, ACTORS.otherEmployer, ACTORS.otherOrgAdmin]) {
+      const { error } = await run("resume:read", actor);
+      expect(error).toMatchObject({ statusCode: 403 });
+    }
+  });
+
+  it("stops regenerate-feedback and send-feedback on someone else's application", async () => {
+    // Both routes use application:review
+    for (const actor of [ACTORS.otherEmployer, ACTORS.otherOrgAdmin, ACTORS.seeker]) {
+      const { error } = await run("application:review", actor);
+      expect(error).toMatchObject({ statusCode: 403 });
+    }
+    const { error } = await run("application:review", ACTORS.otherEmployer, TARGETS.organization);
+    expect(error).toMatchObject({ statusCode: 403 });
+  });
+});
+
+describe("authorize", () => {
+  it("rejects unknown policies when the route is defined", () => {
+    expect(() => authorize("job:teleport")).toThrow('Unknown authorization policy "job:teleport"');
+  });
+
+  it("requires a signed-in user", async () => {
+    const error = await new Promise((resolve) =>
+      authorize("user:self")({ params: {} }, {}, resolve)
+    );
+    expect(error).toMatchObject({ statusCode: 401 });
+  });
+
+  it("returns 404 for a missing or malformed resource id", async () => {
+    for (const value of [id().toString(), "not-an-id"]) {
+      const { error } = await run("job:update", ACTORS.employer, TARGETS.personal, { id: value });
+      expect(error).toMatchObject({ statusCode: 404, message: "OOPS! Job not found." });
+    }
+  });
+
+  it("leaves the document and relations on the request", async () => {
+    const { req, error } = await run("application:read", ACTORS.orgHiringManager, TARGETS.organization);
+    expect(error).toBeUndefined();
+    expect(req.application).toBe(orgApplication);
+    expect(req.relations).toEqual(["org:hiring_manager"]);
+  });
+
+  it("picks the application the user may see when a resume file is shared", async () => {
+    const shared = { ...personalApplication, _id: id(), applicantID: { user: id() } };
+    shared.resume = orgApplication.resume;
+    DOCUMENTS.unshift(shared);
+    try {
+      const { req, error } = await run("resume:read", ACTORS.seeker, TARGETS.organization);
+      expect(error).toBeUndefined();
+      expect(req.application).toBe(orgApplication);
+    } finally {
+      DOCUMENTS.shift();
+    }
+  });
+});
@@ -0,0 +1,190 @@
+// test/emailOutbox.test.js
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import emailService from "../utils/emailService.js";
+import emailOutbox from "../utils/emailOutbox.js";
+import { EmailMessage } from "../models/emailMessageSchema.js";
+import { Application } from "../models/applicationSchema.js";
+
+// The outbox runs on the stream transport (NODE_ENV=test); the collections
+// are replaced with spies so no database is needed
+const queuedEmail = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  to: "candidate@example.com",
+  subject: "Your application",
+  text: "Thank you for applying.",
+  category: "feedback",
+  application: new mongoose.Types.ObjectId(),
+  metadata: { outcome: "received", source: "template" },
+  status: "processing",
+  attempts: 1,
+  maxAttempts: 3,
+  lockedBy: "test-worker",
+  lockedAt: new Date(),
+  ...overrides,
+});
+
+let emailUpdates;
+let applicationUpdates;
+
+beforeEach(() => {
+  emailService.sentMessages.length = 0;
+  emailUpdates = jest.spyOn(EmailMessage, "updateOne").mockResolvedValue({ matchedCount: 1 });
+  applicationUpdates = jest.spyOn(Application, "updateOne").mockResolvedValue({ matchedCount: 1 });
+  jest.spyOn(console, "log").mockImplementation(() => {});
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// The queue's own update for a job, as opposed to the delivery details
+const queueUpdate = () => {
+  const call = emailUpdates.mock.calls.find(([filter]) => filter.status === "processing");
+  return call && { filter: call[0], update: call[1] };
+};
+
+describe("queueEmail", () => {
+  it("records the email in the outbox", async () => {
+    const create = jest.spyOn(EmailMessage, "create").mockImplementation(async (doc) => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...doc,
+    }));
+
+    await emailService.queueEmail({
+      to: "candidate@example.com",
+      subject: "Hello",
+      message: "Body",
+      category: "feedback",
+    });
+
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        to: "candidate@example.com",
+        subject: "Hello",
+        text: "Body",
+        category: "feedback",
+        maxAttempts: 6,
+      })
+    );
+    expect(emailService.sentMessages).toHaveLength(0);
+  });
+
+  it("requires a recipient, subject and message", async () => {
+    await expect(emailService.queueEmail({ to: "a@example.com", subject: "Hi" })).rejects.toThrow(
+      "Recipient, subject and message are required"
+    );
+  });
+});
+
+describe("email delivery", () => {
+  it("sends a queued feedback email and marks the application", async () => {
+    const email = queuedEmail();
+    await emailOutbox.process(email);
+
+    expect(emailService.sentMessages).toHaveLength(1);
+    const [sent] = emailService.sentMessages;
+    expect(sent).toMatchObject({ to: email.to, subject: email.subject, text: email.text });
+    expect(sent.raw).toContain("Subject: Your application");
+
+    expect(emailUpdates).toHaveBeenCalledWith(
+      { _id: email._id },
+      {
+        $set: {
+          messageId: sent.messageId,
+          transport: "stream",
+          sentAt: expect.any(Date),
+        },
+      }
+    );
+    expect(applicationUpdates).toHaveBeenCalledWith(
+      { _id: email.application },
+      {
+        $set: {
+          emailSent: true,
+          sentEmail: email.text,
+          sentEmailSubject: email.subject,
+          sentEmailOutcome: "received",
+        },
+      }
+    );
+
+    const { filter, update } = queueUpdate();
+    expect(filter).toEqual({
+      _id: email._id,
+      status: "processing",
+      lockedBy: "test-worker",
+      lockedAt: email.lockedAt,
+    });
+    expect(update.$set).toMatchObject({ status: "completed", lastError: null });
+  });
+
+  it("leaves applications alone for other categories", async () => {
+    await emailOutbox.process(queuedEmail({ category: "general" }));
+    expect(emailService.sentMessages).toHaveLength(1);
+    expect(applicationUpdates).not.toHaveBeenCalled();
+  });
+
+  it("keeps only the latest stream messages", async () => {
+    for (let i = 0; i < 105; i++) {
+      await emailService.sendEmail({ email: "a@example.com", subject: `Message ${i}`, message: "Hi" });
+    }
+    expect(emailService.sentMessages).toHaveLength(100);
+    expect(emailService.sentMessages[0].subject).toBe("Message 5");
+  });
+});
+
+describe("retries", () => {
+  beforeEach(() => {
+    jest.spyOn(emailService, "sendEmail").mockRejectedValue(new Error("SMTP unavailable"));
+  });
+
+  it("requeues a failed email with exponential backoff", async () => {
+    const before = Date.now();
+    await emailOutbox.process(queuedEmail({ attempts: 1 }));
+    await emailOutbox.process(queuedEmail({ attempts: 2 }));
+
+    const updates = emailUpdates.mock.calls.map(([, update]) => update);
+    expect(updates).toHaveLength(2);
+    updates.forEach((update, index) => {
+      expect(update.$set).toMatchObject({ status: "queued", lastError: "SMTP unavailable" });
+      expect(update.$push.failures).toMatchObject({ attempt: index + 1, message: "SMTP unavailable" });
+    });
+    // 30s base delay, doubled per attempt
+    const delays = updates.map((update) => update.$set.runAt.getTime() - before);
+    expect(delays[0]).toBeGreaterThanOrEqual(30 * 1000);
+    expect(delays[0]).toBeLessThan(31 * 1000);
+    expect(delays[1]).toBeGreaterThanOrEqual(60 * 1000);
+    expect(delays[1]).toBeLessThan(61 * 1000);
+    expect(applicationUpdates).not.toHaveBeenCalled();
+  });
+
+  it("caps the backoff at an hour", () => {
+    expect(emailOutbox.backoff(1)).toBe(30 * 1000);
+    expect(emailOutbox.backoff(5)).toBe(8 * 60 * 1000);
+    expect(emailOutbox.backoff(20)).toBe(60 * 60 * 1000);
+  });
+
+  it("dead-letters an email after its last attempt", async () => {
+    const email = queuedEmail({ attempts: 3, maxAttempts: 3 });
+    await emailOutbox.process(email);
+
+    const { update } = queueUpdate();
+    expect(update.$set).toMatchObject({ status: "dead", deadAt: expect.any(Date) });
+    expect(update.$set.runAt).toBeUndefined();
+    expect(console.error).toHaveBeenCalledWith(
+      "Email permanently failed:",
+      expect.objectContaining({ emailId: email._id, attempts: 3, message: "SMTP unavailable" })
+    );
+  });
+
+  it("does not touch an email another worker has reclaimed", async () => {
+    emailUpdates.mockResolvedValue({ matchedCount: 0 });
+    await emailOutbox.process(queuedEmail({ attempts: 3, maxAttempts: 3 }));
+
+    expect(console.error).not.toHaveBeenCalledWith("Email permanently failed:", expect.anything());
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/was reclaimed before it failed/));
+  });
+});
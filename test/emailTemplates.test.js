@@ -0,0 +1,59 @@
+// test/emailTemplates.test.js
+import mongoose from "mongoose";
+import { Application } from "../models/applicationSchema.js";
+import {
+  buildTemplateContext,
+  renderEmail,
+  renderTemplate,
+} from "../utils/emailTemplates.js";
+
+const job = { title: "Backend Developer", city: "Leeds", country: "UK" };
+const employer = { name: "Sam Taylor" };
+
+describe("applicationDate", () => {
+  it("renders the date a new application was submitted", () => {
+    const application = new Application({ name: "Jane Doe" });
+    application.createdAt = new Date(Date.UTC(2024, 2, 14, 12));
+
+    const context = buildTemplateContext({ application, job, employer });
+    expect(renderTemplate("Applied on {{applicationDate}}.", context)).toBe(
+      "Applied on 14 March 2024."
+    );
+  });
+
+  it("dates applications from before timestamps by their id", () => {
+    const _id = mongoose.Types.ObjectId.createFromTime(Date.UTC(2023, 10, 2, 12) / 1000);
+    const context = buildTemplateContext({ application: { _id, name: "Jane Doe" }, job, employer });
+    expect(context.applicationDate).toBe("2 November 2023");
+  });
+
+  it("is filled in a rendered email", () => {
+    const application = { _id: new mongoose.Types.ObjectId(), name: "Jane Doe" };
+    const context = buildTemplateContext({ application, job, employer });
+    const { message, unknownPlaceholders } = renderEmail(
+      {
+        subject: "Your application for {{jobTitle}}",
+        body: "Hi {{candidateFirstName}}, thanks for applying on {{applicationDate}}.",
+      },
+      context
+    );
+
+    expect(context.applicationDate).not.toBe("");
+    expect(message).toContain(`thanks for applying on ${context.applicationDate}.`);
+    expect(message).toContain("Hi Jane,");
+    expect(unknownPlaceholders).toEqual([]);
+  });
+});
+
+describe("renderTemplate", () => {
+  it("fills legacy placeholders and leaves unknown ones visible", () => {
+    const context = buildTemplateContext({
+      application: { _id: new mongoose.Types.ObjectId(), name: "Jane Doe" },
+      job,
+      employer,
+    });
+    expect(renderTemplate("Dear [Candidate Name], {{jobTitle}} in {{jobLocation}} {{salary}}", context)).toBe(
+      "Dear Jane Doe, Backend Developer in Leeds, UK {{salary}}"
+    );
+  });
+});
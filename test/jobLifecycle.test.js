@@ -0,0 +1,165 @@
+// test/jobLifecycle.test.js
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+
+// pdf-parse reads a sample file when it is imported, which outlives the test
+jest.unstable_mockModule("pdf-parse", () => ({ default: async () => ({ text: "" }) }));
+
+const { resolveLifecycle } = await import("../utils/jobLifecycle.js");
+const { getSingleJob } = await import("../controllers/jobController.js");
+const { Job } = await import("../models/jobSchema.js");
+const { ROLES } = await import("../middlewares/authorize.js");
+
+const NOW = new Date(Date.UTC(2024, 5, 1));
+const NEXT_MONTH = "2024-07-01T00:00:00.000Z";
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe("resolveLifecycle", () => {
+  const closedJob = (closedReason) => ({
+    _id: id(),
+    status: "closed",
+    expired: true,
+    closesAt: new Date(Date.UTC(2024, 4, 1)),
+    closedAt: new Date(Date.UTC(2024, 4, 1)),
+    closedReason,
+  });
+
+  it("reopens a job closed at its deadline when given a future closing date", () => {
+    expect(resolveLifecycle({ closesAt: NEXT_MONTH }, closedJob("deadline"), NOW)).toEqual({
+      closesAt: new Date(NEXT_MONTH),
+      status: "published",
+      expired: false,
+      publishedAt: NOW,
+      closedAt: null,
+      closedReason: null,
+    });
+  });
+
+  it("keeps a manually closed job closed", () => {
+    expect(resolveLifecycle({ closesAt: NEXT_MONTH }, closedJob("manual"), NOW)).toEqual({
+      closesAt: new Date(NEXT_MONTH),
+    });
+  });
+
+  it("lets an explicit status win over the closing date", () => {
+    const updates = resolveLifecycle(
+      { closesAt: NEXT_MONTH, status: "closed" },
+      closedJob("deadline"),
+      NOW
+    );
+    expect(updates.status).toBeUndefined();
+  });
+
+  it("allows unrelated edits after the deadline passes, before the job is closed", () => {
+    const lapsed = { _id: id(), status: "published", closesAt: new Date(Date.UTC(2024, 4, 1)) };
+    expect(resolveLifecycle({}, lapsed, NOW)).toEqual({});
+    expect(() => resolveLifecycle({ closesAt: "2024-05-15" }, lapsed, NOW)).toThrow(
+      "closesAt must be in the future."
+    );
+  });
+
+  it("does not reopen a job onto a deadline that has passed", () => {
+    expect(() => resolveLifecycle({ status: "published" }, closedJob("manual"), NOW)).toThrow(
+      "closesAt must be in the future."
+    );
+  });
+
+  it("rejects a past closing date on a closed job being reopened", () => {
+    expect(() =>
+      resolveLifecycle({ closesAt: "2024-05-15", status: "published" }, closedJob("deadline"), NOW)
+    ).toThrow(/closesAt/);
+  });
+});
+
+describe("getSingleJob", () => {
+  const organization = id();
+  const employer = { _id: id(), role: ROLES.EMPLOYER };
+  const recruiter = { _id: id(), role: ROLES.EMPLOYER };
+  const seeker = { _id: id(), role: ROLES.JOB_SEEKER };
+
+  const screeningQuestions = [
+    {
+      prompt: "Do you have a work permit?",
+      type: "yes_no",
+      knockout: { action: "reject", answer: false },
+    },
+  ];
+  const job = (fields) =>
+    Job.hydrate({ _id: id(), title: "Backend Developer", screeningQuestions, ...fields });
+  const draft = job({ status: "draft", postedBy: employer._id });
+  const orgDraft = job({ status: "draft", postedBy: employer._id, organization });
+  const published = job({ status: "published", postedBy: employer._id });
+  const closed = job({ status: "closed", postedBy: employer._id });
+  const orgJob = job({ status: "published", postedBy: employer._id, organization });
+  const JOBS = [draft, orgDraft, published, closed, orgJob];
+
+  beforeEach(() => {
+    jest
+      .spyOn(Job, "findById")
+      .mockImplementation(async (value) => JOBS.find(({ _id }) => _id.equals(value)) || null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const read = (job, user, membership = null) =>
+    new Promise((resolve) => {
+      const res = {
+        status: () => res,
+        json: (body) => resolve({ body }),
+      };
+      getSingleJob({ params: { id: String(job._id) }, user, membership }, res, (error) =>
+        resolve({ error })
+      );
+    });
+
+  it("serves published and closed jobs to anyone", async () => {
+    for (const job of [published, closed]) {
+      const { body } = await read(job, seeker);
+      expect(body.job).toMatchObject({ _id: job._id, title: "Backend Developer" });
+    }
+  });
+
+  it("leaves knockout rules out for anyone but the job's managers", async () => {
+    const outsider = { organization: { _id: id() }, role: "admin" };
+    for (const [job, user, membership] of [
+      [published, seeker],
+      [published, recruiter],
+      [orgJob, recruiter, outsider],
+    ]) {
+      const { body } = await read(job, user, membership);
+      expect(body.job.screeningQuestions).toHaveLength(1);
+      expect(body.job.screeningQuestions[0].prompt).toBe("Do you have a work permit?");
+      expect(body.job.screeningQuestions[0]).not.toHaveProperty("knockout");
+    }
+
+    const member = { organization: { _id: organization }, role: "recruiter" };
+    for (const [job, user, membership] of [
+      [published, employer],
+      [orgJob, recruiter, member],
+    ]) {
+      const { body } = await read(job, user, membership);
+      expect(body.job.screeningQuestions[0].knockout).toMatchObject({ action: "reject", answer: false });
+    }
+  });
+
+  it("hides drafts and scheduled jobs from everyone else", async () => {
+    const outsider = { organization: { _id: id() }, role: "admin" };
+    for (const [job, user, membership] of [
+      [draft, seeker],
+      [draft, recruiter],
+      [orgDraft, recruiter, outsider],
+    ]) {
+      const { error } = await read(job, user, membership);
+      expect(error).toMatchObject({ statusCode: 404, message: "Job not found." });
+    }
+  });
+
+  it("shows drafts to their owner and the job's organization", async () => {
+    const member = { organization: { _id: organization }, role: "hiring_manager" };
+    expect((await read(draft, employer)).body.job).toBe(draft);
+    expect((await read(orgDraft, recruiter, member)).body.job).toBe(orgDraft);
+  });
+});
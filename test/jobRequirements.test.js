@@ -0,0 +1,32 @@
+// test/jobRequirements.test.js
+import { matchRequirements, normalizeRequirements } from "../utils/jobRequirements.js";
+
+const languagesMet = (languages, candidateText) => {
+  const requirements = normalizeRequirements({ languages });
+  const { met, missing } = matchRequirements(requirements, { resumeText: candidateText });
+  return {
+    met: met.map(({ name }) => name),
+    missing: missing.map(({ name }) => name),
+  };
+};
+
+describe("language requirements", () => {
+  it("matches language names that contain pattern characters", () => {
+    expect(
+      languagesMet(["French (Canada)", "C++"], "Fluent in French (Canada) and C++.")
+    ).toEqual({ met: ["French (Canada)", "C++"], missing: [] });
+  });
+
+  it("treats the name literally", () => {
+    expect(languagesMet(["French (Canada)"], "Fluent in French Canada.")).toEqual({
+      met: [],
+      missing: ["French (Canada)"],
+    });
+    expect(languagesMet(["E.e"], "Fluent in Exe.")).toEqual({ met: [], missing: ["E.e"] });
+  });
+
+  it("does not match inside other words", () => {
+    expect(languagesMet(["Igbo"], "Native Igbo speaker")).toEqual({ met: ["Igbo"], missing: [] });
+    expect(languagesMet(["Hausa"], "Worked at Hausanet")).toEqual({ met: [], missing: ["Hausa"] });
+  });
+});
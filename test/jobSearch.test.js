@@ -0,0 +1,145 @@
+// test/jobSearch.test.js
+import mongoose from "mongoose";
+import {
+  afterJobCursor,
+  buildJobFilter,
+  decodeJobCursor,
+  encodeJobCursor,
+  getJobSort,
+  jobSearchSort,
+  salaryBounds,
+} from "../utils/jobSearch.js";
+
+// Evaluates afterJobCursor's conditions against plain jobs with MongoDB's
+// rules for missing values: they sort below every number, `field: null`
+// matches them, and $gt / $lt never match across null
+const comparable = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  return value;
+};
+const matchesField = (value, condition) => {
+  const actual = comparable(value);
+  if (condition && Object.getPrototypeOf(condition) === Object.prototype) {
+    if ("$ne" in condition) return actual !== comparable(condition.$ne);
+    const bound = comparable("$gt" in condition ? condition.$gt : condition.$lt);
+    if (actual === null || bound === null) return false;
+    return "$gt" in condition ? actual > bound : actual < bound;
+  }
+  return actual === comparable(condition);
+};
+const matches = (job, filter) =>
+  filter.$or.some((branch) =>
+    Object.entries(branch).every(([field, condition]) => matchesField(job[field], condition))
+  );
+
+const compareValues = (x, y) => {
+  if (x === y) return 0;
+  if (x === null) return -1;
+  if (y === null) return 1;
+  return x < y ? -1 : 1;
+};
+const sortJobs = (jobs, sort) =>
+  [...jobs].sort((a, b) => {
+    for (const [field, direction] of Object.entries(sort)) {
+      const order = compareValues(comparable(a[field]), comparable(b[field]));
+      if (order) return order * direction;
+    }
+    return 0;
+  });
+
+// Pages through the jobs the way getAllJobs does, including the JSON
+// round trip of the cursor
+const pageThrough = (jobs, sort, limit) => {
+  const seen = [];
+  let cursor;
+  for (let page = 0; page <= jobs.length; page++) {
+    const remaining = cursor
+      ? jobs.filter((job) => matches(job, afterJobCursor(decodeJobCursor(cursor, sort), sort)))
+      : jobs;
+    const batch = sortJobs(remaining, jobSearchSort(sort)).slice(0, limit);
+    seen.push(...batch);
+    if (batch.length < limit) return seen;
+    cursor = encodeJobCursor(batch[batch.length - 1], sort);
+  }
+  throw new Error("Pagination did not finish");
+};
+
+// Jobs as .lean() returns them: the salary fields are absent when the job
+// has no salary
+const job = (salary) => ({
+  _id: new mongoose.Types.ObjectId(),
+  ...(salary === undefined ? {} : salaryBounds(salary)),
+});
+const JOBS = [
+  job({ fixedSalary: 50000 }),
+  job({ salaryFrom: 40000, salaryTo: 60000 }),
+  job({ salaryFrom: 40000, salaryTo: 50000 }),
+  job({ fixedSalary: 40000 }),
+  job(),
+  job({ salaryFrom: 30000, salaryTo: 50000 }),
+  job(),
+  job({ salaryFrom: null, salaryTo: null }),
+  job({ fixedSalary: 70000 }),
+];
+
+const ids = (jobs) => jobs.map(({ _id }) => _id.toHexString());
+
+describe("job search cursor", () => {
+  it.each(["salary_high", "salary_low", "newest"])(
+    "returns every job once across equal and missing salaries (%s)",
+    (name) => {
+      const sort = getJobSort(name, false);
+      const jobs = JOBS.map((entry, index) => ({
+        ...entry,
+        // Several jobs posted at the same moment
+        jobPostedOn: new Date(Date.UTC(2024, 0, 1 + Math.floor(index / 3))),
+      }));
+      for (const limit of [1, 2, 4]) {
+        const paged = pageThrough(jobs, sort, limit);
+        expect(ids(paged)).toEqual(ids(sortJobs(jobs, jobSearchSort(sort))));
+      }
+    }
+  );
+
+  it("lists jobs without a salary last when sorting by highest salary", () => {
+    const paged = pageThrough(JOBS, getJobSort("salary_high", false), 2);
+    expect(paged.map(({ salaryMax }) => salaryMax ?? null)).toEqual([
+      70000, 60000, 50000, 50000, 50000, 40000, null, null, null,
+    ]);
+  });
+
+  it("lists jobs without a salary first when sorting by lowest salary", () => {
+    const paged = pageThrough(JOBS, getJobSort("salary_low", false), 2);
+    expect(paged.map(({ salaryMin }) => salaryMin ?? null)).toEqual([
+      null, null, null, 30000, 40000, 40000, 40000, 50000, 70000,
+    ]);
+  });
+
+  it("carries an offset for relevance", () => {
+    const sort = getJobSort(undefined, true);
+    expect(decodeJobCursor(encodeJobCursor(null, sort, 40), sort)).toEqual({ offset: 40 });
+    expect(() => getJobSort("relevance", false)).toThrow(/needs a search query/);
+  });
+
+  it("rejects a tampered cursor", () => {
+    const sort = getJobSort("salary_low", false);
+    expect(() => decodeJobCursor("garbage", sort)).toThrow("Invalid cursor.");
+    const forged = Buffer.from(JSON.stringify([1000, "nope"])).toString("base64url");
+    expect(() => decodeJobCursor(forged, sort)).toThrow("Invalid cursor.");
+  });
+});
+
+describe("buildJobFilter", () => {
+  it("matches overlapping salary ranges", () => {
+    expect(buildJobFilter({ minSalary: "40000", maxSalary: "60000" }).filter).toMatchObject({
+      expired: false,
+      salaryMax: { $gte: 40000 },
+      salaryMin: { $lte: 60000 },
+    });
+    expect(() => buildJobFilter({ minSalary: "9", maxSalary: "1" })).toThrow(
+      "minSalary cannot be greater than maxSalary."
+    );
+  });
+});
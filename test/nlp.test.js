@@ -0,0 +1,204 @@
+// test/nlp.test.js
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { jest } from "@jest/globals";
+import {
+  analyzeApplicationText,
+  analyzeSentiment,
+  extractSkills,
+  parseResume,
+} from "../utils/nlp/index.js";
+import { canonicalizeSkill, resetTaxonomy } from "../utils/nlp/skillsTaxonomy.js";
+
+const NOW = new Date(Date.UTC(2024, 5, 1));
+
+const RESUME = `Jane Doe
+Experience
+Senior Developer at Acme Corp
+Jan 2020 - Present
+Built REST APIs with NodeJS and Mongo, deployed on k8s.
+Developer | Globex
+03/2016 - 12/2019
+Maintained ReactJS dashboards.
+Education
+BSc Computer Science, University of Leeds, 2015
+Skills
+Golang, Postgres`;
+
+describe("analyzeSentiment", () => {
+  it("labels positive, negative and neutral text", () => {
+    expect(analyzeSentiment("I am excited and passionate about this excellent opportunity.").label).toBe("Positive");
+    expect(analyzeSentiment("I hated my last job, it was a toxic failure.").label).toBe("Negative");
+    expect(analyzeSentiment("I live in Berlin and work with databases.")).toEqual({ label: "Neutral", score: 0 });
+  });
+
+  it("flips negated words", () => {
+    const plain = analyzeSentiment("The project was successful.");
+    const negated = analyzeSentiment("The project was not successful.");
+    expect(plain.score).toBeGreaterThan(0);
+    expect(negated.score).toBeLessThan(0);
+  });
+
+  it("strengthens intensified words", () => {
+    expect(analyzeSentiment("I am very excited.").score).toBeGreaterThan(
+      analyzeSentiment("I am excited.").score
+    );
+  });
+
+  it("keeps the score within -1..1", () => {
+    const { score } = analyzeSentiment("excellent outstanding thrilled ".repeat(50));
+    expect(score).toBeLessThanOrEqual(1);
+    expect(score).toBeGreaterThan(0.9);
+    expect(analyzeSentiment("")).toEqual({ label: "Neutral", score: 0 });
+  });
+});
+
+describe("extractSkills", () => {
+  afterEach(() => {
+    delete process.env.SKILLS_TAXONOMY_PATH;
+    resetTaxonomy();
+  });
+
+  it("maps synonyms onto canonical names", () => {
+    expect(extractSkills("NodeJS, Mongo, k8s, golang and Postgres")).toEqual([
+      "Go",
+      "Node.js",
+      "MongoDB",
+      "PostgreSQL",
+      "Kubernetes",
+    ]);
+  });
+
+  it("matches skills written with symbols", () => {
+    expect(extractSkills("C++, C# and CI/CD pipelines")).toEqual(["C#", "C++", "CI/CD"]);
+  });
+
+  it("does not match inside other words or skill names", () => {
+    expect(extractSkills("node.js")).toEqual(["Node.js"]);
+    expect(extractSkills("javascript")).toEqual(["JavaScript"]);
+    expect(extractSkills("A gopher express delivery")).toEqual([]);
+  });
+
+  it("canonicalizes free-form skill names", () => {
+    expect(canonicalizeSkill("reactjs")).toBe("React");
+    expect(canonicalizeSkill("  typescript ")).toBe("TypeScript");
+    expect(canonicalizeSkill("Basket weaving")).toBe("Basket weaving");
+  });
+
+  it("loads taxonomy overrides from SKILLS_TAXONOMY_PATH", () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "skills-")), "taxonomy.json");
+    fs.writeFileSync(file, JSON.stringify({
+      Elixir: { category: "language", synonyms: ["elixir", "phoenix framework"] },
+      PHP: null,
+    }));
+    process.env.SKILLS_TAXONOMY_PATH = file;
+    resetTaxonomy();
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+
+    expect(extractSkills("Phoenix Framework and PHP")).toEqual(["Elixir"]);
+    expect(log).toHaveBeenCalledWith(`Loaded skills taxonomy overrides from ${file}`);
+    log.mockRestore();
+  });
+});
+
+describe("parseResume", () => {
+  it("reads experience entries from date ranges", () => {
+    const { experience } = parseResume(RESUME, { now: NOW });
+
+    expect(experience).toHaveLength(2);
+    expect(experience[0]).toMatchObject({
+      role: "Senior Developer",
+      organization: "Acme Corp",
+      current: true,
+      endDate: null,
+      months: 53,
+      skills: ["Node.js", "REST APIs", "MongoDB", "Kubernetes"],
+    });
+    expect(experience[1]).toMatchObject({
+      role: "Developer",
+      organization: "Globex",
+      current: false,
+      months: 45,
+      skills: ["React"],
+    });
+    expect(experience[1].startDate).toEqual(new Date(Date.UTC(2016, 2, 1)));
+  });
+
+  it("reads education entries with their level", () => {
+    const { education } = parseResume(RESUME, { now: NOW });
+    expect(education).toEqual([
+      {
+        degree: "BSc Computer Science",
+        institution: "University of Leeds",
+        year: "2015",
+        level: "bachelor",
+      },
+    ]);
+  });
+
+  it("works without section headings", () => {
+    const { experience, education } = parseResume(
+      "Data Analyst at Initech (June 2018 to May 2021)\nMSc Statistics, 2017",
+      { now: NOW }
+    );
+    expect(experience).toHaveLength(1);
+    expect(experience[0]).toMatchObject({ role: "Data Analyst", organization: "Initech", months: 35 });
+    expect(education[0]).toMatchObject({ level: "master", year: "2017" });
+  });
+
+  it("returns empty lists for empty text", () => {
+    expect(parseResume("")).toEqual({ experience: [], education: [] });
+  });
+});
+
+describe("analyzeApplicationText", () => {
+  const coverLetter =
+    "I am excited to apply. I built Node.js services that reduced response times by 40%. " +
+    "I mentored three developers and improved our deployment process.";
+
+  it("fills every part of the textAnalysis block", () => {
+    const result = analyzeApplicationText({
+      coverLetter,
+      resumeText: RESUME,
+      jobDescription: "We use Node.js, MongoDB and TypeScript.",
+    });
+
+    expect(result.coverLetterAnalysis.sentiment).toBe("Positive");
+    expect(result.coverLetterAnalysis.keyPoints[0]).toMatch(/40%/);
+    expect(result.coverLetterAnalysis.professionalTone).toBeGreaterThan(50);
+
+    expect(result.resumeAnalysis.skills).toEqual(
+      expect.arrayContaining(["Go", "Node.js", "React", "MongoDB", "PostgreSQL", "Kubernetes", "Leadership"])
+    );
+    expect(result.resumeAnalysis.experience).toHaveLength(2);
+    expect(result.resumeAnalysis.highestEducationLevel).toBe("bachelor");
+    expect(result.resumeAnalysis.totalExperienceMonths).toBeGreaterThan(90);
+
+    expect(result.overallAnalysis.strengths).toContain("Matches required skills: Node.js, MongoDB");
+    expect(result.overallAnalysis.improvements).toContain("No evidence of: TypeScript");
+  });
+
+  it("matches job skills the candidate wrote as synonyms", () => {
+    const result = analyzeApplicationText({
+      coverLetter: "Five years with golang and postgres.",
+      resumeText: "",
+      jobDescription: "Go and PostgreSQL developer",
+    });
+    expect(result.overallAnalysis.strengths).toContain("Matches required skills: PostgreSQL");
+    expect(result.resumeAnalysis.skills).toEqual(["Go", "PostgreSQL"]);
+  });
+
+  it("flags an unreadable resume and an informal cover letter", () => {
+    const result = analyzeApplicationText({ coverLetter: "hey guys!!! gonna be awesome lol" });
+    expect(result.coverLetterAnalysis.professionalTone).toBeLessThan(50);
+    expect(result.overallAnalysis.improvements).toEqual(
+      expect.arrayContaining(["Resume text could not be read", "Cover letter tone is informal"])
+    );
+  });
+
+  it("is deterministic", () => {
+    const input = { coverLetter, resumeText: RESUME, jobDescription: "Node.js" };
+    expect(analyzeApplicationText(input)).toEqual(analyzeApplicationText(input));
+  });
+});
@@ -0,0 +1,114 @@
+// test/sessions.test.js
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import { Session } from "../models/sessionSchema.js";
+import {
+  createSession,
+  findSessionByRefreshToken,
+  rotateSession,
+} from "../utils/sessions.js";
+
+// Sessions live in a map; the Session statics sessions.js uses are
+// replaced with versions that read and write it
+let store;
+
+const sameValue = (value, condition) =>
+  condition === null ? value == null : String(value) === String(condition);
+const matches = (session, filter) =>
+  Object.entries(filter).every(([field, condition]) => sameValue(session[field], condition));
+
+beforeEach(() => {
+  store = new Map();
+  jest.spyOn(Session, "create").mockImplementation(async (doc) => {
+    const session = { revokedAt: null, rotations: 0, ...doc };
+    store.set(String(doc._id), session);
+    return session;
+  });
+  jest.spyOn(Session, "findById").mockImplementation((id) => ({
+    select: async () => ({ ...store.get(String(id)) }),
+  }));
+  jest.spyOn(Session, "findOne").mockImplementation(async (filter) =>
+    [...store.values()].find((session) => matches(session, filter)) || null
+  );
+  jest.spyOn(Session, "findOneAndUpdate").mockImplementation(async (filter, { $set, $inc }) => {
+    const session = [...store.values()].find((candidate) => matches(candidate, filter));
+    if (!session) return null;
+    Object.assign(session, $set, { rotations: session.rotations + $inc.rotations });
+    return { ...session };
+  });
+  jest.spyOn(Session, "updateMany").mockImplementation(async (filter, { $set }) => {
+    const sessions = [...store.values()].filter((session) => matches(session, filter));
+    sessions.forEach((session) => Object.assign(session, $set));
+    return { modifiedCount: sessions.length };
+  });
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const signIn = () =>
+  createSession(
+    { _id: new mongoose.Types.ObjectId() },
+    { get: () => "jest", ip: "127.0.0.1" }
+  );
+
+describe("rotateSession", () => {
+  it("swaps the refresh token for a new one", async () => {
+    const { session, refreshToken } = await signIn();
+    const rotated = await rotateSession(refreshToken);
+
+    expect(rotated.refreshToken).not.toBe(refreshToken);
+    expect(rotated.refreshToken.startsWith(`${session._id}.`)).toBe(true);
+    expect(rotated.session.rotations).toBe(1);
+    await expect(findSessionByRefreshToken(rotated.refreshToken)).resolves.toMatchObject({
+      _id: session._id,
+    });
+    await expect(findSessionByRefreshToken(refreshToken)).resolves.toBeNull();
+  });
+
+  it("revokes the session when an already-rotated token is presented", async () => {
+    const { session, refreshToken: stolen } = await signIn();
+    const { refreshToken: current } = await rotateSession(stolen);
+
+    await expect(rotateSession(stolen)).rejects.toMatchObject({
+      statusCode: 401,
+      message: "Refresh token reuse detected. Please login again.",
+    });
+    expect(store.get(String(session._id))).toMatchObject({
+      revokedAt: expect.any(Date),
+      revokedReason: "reuse_detected",
+    });
+    expect(console.warn).toHaveBeenCalledWith(
+      "Refresh token reuse detected:",
+      expect.objectContaining({ sessionId: session._id })
+    );
+
+    // The legitimate client's token dies with the session
+    await expect(rotateSession(current)).rejects.toMatchObject({
+      statusCode: 401,
+      message: "Session expired. Please login again.",
+    });
+  });
+
+  it("leaves other sessions of the same user alone", async () => {
+    const first = await signIn();
+    const second = await signIn();
+    await rotateSession(first.refreshToken);
+    await expect(rotateSession(first.refreshToken)).rejects.toMatchObject({ statusCode: 401 });
+
+    await expect(rotateSession(second.refreshToken)).resolves.toMatchObject({
+      session: { _id: second.session._id },
+    });
+  });
+
+  it("rejects malformed tokens", async () => {
+    for (const token of [undefined, "", "not-a-token", "123.secret"]) {
+      await expect(rotateSession(token)).rejects.toMatchObject({
+        statusCode: 401,
+        message: "Invalid refresh token.",
+      });
+    }
+  });
+});
@@ -0,0 +1,118 @@
+// test/shortlist.test.js
+import mongoose from "mongoose";
+import { Application } from "../models/applicationSchema.js";
+import {
+  afterCursor,
+  computeRankScore,
+  decodeCursor,
+  encodeCursor,
+  getTieBreak,
+  shortlistSort,
+} from "../utils/shortlist.js";
+
+// Evaluates the keyset conditions afterCursor builds ($or of equality,
+// $lt and $gt) against plain rows, in place of the database
+const comparable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof mongoose.Types.ObjectId) return value.toHexString();
+  return value;
+};
+const matchesField = (value, condition) => {
+  if (condition && typeof condition === "object" && ("$lt" in condition || "$gt" in condition)) {
+    if ("$lt" in condition) return comparable(value) < comparable(condition.$lt);
+    return comparable(value) > comparable(condition.$gt);
+  }
+  return comparable(value) === comparable(condition);
+};
+const matches = (row, filter) =>
+  filter.$or.some((branch) =>
+    Object.entries(branch).every(([field, condition]) => matchesField(row[field], condition))
+  );
+
+const sortRows = (rows, sort) =>
+  [...rows].sort((a, b) => {
+    for (const [field, direction] of Object.entries(sort)) {
+      const [x, y] = [comparable(a[field]), comparable(b[field])];
+      if (x !== y) return (x < y ? -1 : 1) * direction;
+    }
+    return 0;
+  });
+
+// Pages through the rows the way getJobShortlist does
+const pageThrough = (rows, tieBreak, limit) => {
+  const seen = [];
+  let cursor;
+  for (let page = 0; page < rows.length + 1; page++) {
+    const remaining = cursor
+      ? rows.filter((row) => matches(row, afterCursor(decodeCursor(cursor, tieBreak), tieBreak)))
+      : rows;
+    const batch = sortRows(remaining, shortlistSort(tieBreak)).slice(0, limit);
+    seen.push(...batch);
+    if (batch.length < limit) return seen;
+    cursor = encodeCursor(batch[batch.length - 1], tieBreak);
+  }
+  throw new Error("Pagination did not finish");
+};
+
+const minutes = (count) => new Date(Date.UTC(2024, 0, 1, 9, count));
+const row = (rankScore, createdAt, matchScore = rankScore) => ({
+  _id: new mongoose.Types.ObjectId(),
+  rankScore,
+  matchScore,
+  createdAt,
+});
+
+// Most rows tie on rankScore; two of them also share a createdAt
+const ROWS = [
+  row(80, minutes(5)),
+  row(70, minutes(1), 60),
+  row(70, minutes(2), 75),
+  row(70, minutes(2), 75),
+  row(70, minutes(3), 65),
+  row(70, minutes(4), 60),
+  row(55, minutes(0)),
+];
+
+describe("shortlist cursor", () => {
+  it.each(["earliest", "latest", "matchScore"])(
+    "returns every row once when ranks tie (%s)",
+    (name) => {
+      const tieBreak = getTieBreak(name);
+      for (const limit of [1, 2, 3]) {
+        const paged = pageThrough(ROWS, tieBreak, limit);
+        expect(paged.map(({ _id }) => _id.toHexString())).toEqual(
+          sortRows(ROWS, shortlistSort(tieBreak)).map(({ _id }) => _id.toHexString())
+        );
+      }
+    }
+  );
+
+  it("orders tied ranks by application time", () => {
+    const paged = pageThrough(ROWS, getTieBreak("latest"), 2);
+    expect(paged.map(({ createdAt }) => createdAt.getUTCMinutes())).toEqual([5, 4, 3, 2, 2, 1, 0]);
+  });
+
+  it("rejects a tampered cursor", () => {
+    expect(() => decodeCursor("not-a-cursor", getTieBreak())).toThrow("Invalid cursor.");
+    const forged = Buffer.from(JSON.stringify(["70", null, "x"])).toString("base64url");
+    expect(() => decodeCursor(forged, getTieBreak())).toThrow("Invalid cursor.");
+  });
+
+  it("rejects unknown tie-breaks", () => {
+    expect(() => getTieBreak("random")).toThrow(/tieBreak must be one of/);
+  });
+});
+
+describe("computeRankScore", () => {
+  it("blends matchScore with requirement coverage", () => {
+    expect(computeRankScore(80, null)).toBe(80);
+    expect(computeRankScore(80, 50)).toBe(68);
+  });
+});
+
+describe("Application timestamps", () => {
+  it("stamps createdAt, which the shortlist tie-breaks on", () => {
+    expect(Application.schema.path("createdAt")).toBeDefined();
+    expect(Application.schema.path("updatedAt")).toBeDefined();
+  });
+});
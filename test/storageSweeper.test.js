@@ -0,0 +1,306 @@
+// test/storageSweeper.test.js
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+
+// pdf-parse reads a sample file when it is imported, which outlives the test
+jest.unstable_mockModule("pdf-parse", () => ({ default: async () => ({ text: "" }) }));
+
+// GridFS in memory: the files of each bucket and the chunks left behind
+let buckets;
+let orphanedChunks;
+jest.unstable_mockModule("../utils/gridfsStorage.js", () => ({
+  RESUME_CONTENT_TYPES: ["application/pdf", "image/png", "image/jpeg", "image/webp"],
+  initGridFS: jest.fn(),
+  findFile: jest.fn(),
+  findFileByName: jest.fn(),
+  openDownloadStream: jest.fn(),
+  getFileFromGridFS: jest.fn(),
+  storePreview: jest.fn(),
+  storeInGridFS: jest.fn(async (fileId, filename, buffer, metadata) => {
+    buckets.resumes.push({
+      _id: new mongoose.Types.ObjectId(fileId),
+      filename,
+      length: buffer.length,
+      uploadDate: new Date(),
+      metadata,
+    });
+  }),
+  deleteFromGridFS: jest.fn(async (fileId) => {
+    const before = buckets.resumes.length;
+    buckets.resumes = buckets.resumes.filter(({ _id }) => _id.toString() !== fileId);
+    return buckets.resumes.length < before;
+  }),
+  deletePreviews: jest.fn(async (sourceId) => {
+    buckets.previews = buckets.previews.filter(({ metadata }) => metadata.source !== sourceId);
+  }),
+  listFiles: jest.fn((filter, bucketName = "resumes") =>
+    buckets[bucketName].filter(({ uploadDate }) => uploadDate < filter.uploadDate.$lt)
+  ),
+  findOrphanedChunks: jest.fn(async (bucketName) => orphanedChunks[bucketName]),
+  deleteChunks: jest.fn(async () => {}),
+}));
+
+const gridfs = await import("../utils/gridfsStorage.js");
+const { storeUpload, shareStoredFile, releaseStoredFile } = await import(
+  "../utils/storage/index.js"
+);
+const { sweepOrphanedFiles } = await import("../utils/storageSweeper.js");
+const { StoredFile } = await import("../models/storedFileSchema.js");
+const { Application } = await import("../models/applicationSchema.js");
+const { CandidateProfile } = await import("../models/candidateProfileSchema.js");
+
+const NOW = new Date(Date.UTC(2024, 5, 1, 12));
+const hoursAgo = (hours) => new Date(NOW.getTime() - hours * 60 * 60 * 1000);
+
+// StoredFile records, applications and profiles in memory; the statics the
+// storage code uses read and write them
+let records;
+let applications;
+let profiles;
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, condition]) => {
+    if (condition && typeof condition === "object" && "$gt" in condition) {
+      return doc[field] > condition.$gt;
+    }
+    return String(doc[field]) === String(condition);
+  });
+
+// Answers countReferences' pipelines: the first $match names the path
+const aggregateReferences = (docs) => async (pipeline) => {
+  const [path] = Object.keys(pipeline[0].$match);
+  const fileIds = pipeline[0].$match[path].$in;
+  const counts = new Map();
+  for (const doc of docs) {
+    const refs = path === "resume.public_id" ? [doc.resume] : doc.attachments || [];
+    for (const ref of refs) {
+      if (ref && fileIds.includes(ref.public_id)) {
+        counts.set(ref.public_id, (counts.get(ref.public_id) || 0) + 1);
+      }
+    }
+  }
+  return [...counts].map(([_id, count]) => ({ _id, count }));
+};
+
+beforeEach(() => {
+  buckets = { resumes: [], previews: [] };
+  orphanedChunks = { resumes: [], previews: [] };
+  records = [];
+  applications = [];
+  profiles = [];
+  delete process.env.STORAGE_SWEEP_GRACE_MS;
+
+  jest.spyOn(StoredFile, "create").mockImplementation(async (doc) => {
+    const record = { _id: new mongoose.Types.ObjectId(), updatedAt: new Date(), ...doc };
+    records.push(record);
+    return record;
+  });
+  jest.spyOn(StoredFile, "findOneAndUpdate").mockImplementation(async (filter, { $inc }) => {
+    const record = records.find((candidate) => matches(candidate, filter));
+    if (!record) return null;
+    record.refCount += $inc.refCount;
+    record.updatedAt = new Date();
+    return { ...record };
+  });
+  jest.spyOn(StoredFile, "updateOne").mockImplementation(async (filter, { $set }) => {
+    const record = records.find((candidate) => matches(candidate, filter));
+    if (record) Object.assign(record, $set);
+    return { matchedCount: record ? 1 : 0 };
+  });
+  jest.spyOn(StoredFile, "deleteOne").mockImplementation(async (filter) => {
+    const before = records.length;
+    records = records.filter((record) => !matches(record, filter));
+    return { deletedCount: before - records.length };
+  });
+  jest.spyOn(StoredFile, "exists").mockImplementation(async (filter) =>
+    records.some((record) => matches(record, filter))
+  );
+  jest.spyOn(StoredFile, "find").mockImplementation((filter) => ({
+    lean: () => ({
+      cursor: () => records.filter(({ updatedAt }) => updatedAt < filter.updatedAt.$lt),
+    }),
+  }));
+  jest.spyOn(StoredFile, "distinct").mockImplementation(async (field, filter) =>
+    records.map(({ fileId }) => fileId).filter((fileId) => filter.fileId.$in.includes(fileId))
+  );
+  jest.spyOn(Application, "aggregate").mockImplementation(aggregateReferences(applications));
+  jest.spyOn(CandidateProfile, "aggregate").mockImplementation(aggregateReferences(profiles));
+  jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+  jest.restoreAllMocks();
+});
+
+const PDF = Buffer.from("%PDF-1.4\nresume\n%%EOF\n");
+const upload = (name = "resume.pdf", data = PDF) =>
+  storeUpload(
+    { name, data, mimetype: "application/pdf" },
+    { buffer: data, contentType: "application/pdf" }
+  );
+
+const ref = ({ fileId, storage }) => ({ public_id: fileId, storage });
+
+describe("stored file references", () => {
+  it("shares one file between identical uploads", async () => {
+    const first = await upload("cv.pdf");
+    const second = await upload("cv-final.pdf");
+
+    expect(second.fileId).toBe(first.fileId);
+    expect(second.originalName).toBe("cv-final.pdf");
+    expect(gridfs.storeInGridFS).toHaveBeenCalledTimes(1);
+    expect(records).toHaveLength(1);
+    expect(records[0]).toMatchObject({ fileId: first.fileId, refCount: 2 });
+
+    await upload("other.pdf", Buffer.from("%PDF-1.4\nother\n%%EOF\n"));
+    expect(gridfs.storeInGridFS).toHaveBeenCalledTimes(2);
+  });
+
+  it("counts a shared reference", async () => {
+    const stored = await upload();
+    await expect(shareStoredFile(ref(stored))).resolves.toMatchObject({ fileId: stored.fileId });
+    expect(records[0].refCount).toBe(2);
+  });
+
+  it("deletes the file with its last reference only", async () => {
+    const stored = await upload();
+    await upload();
+
+    await expect(releaseStoredFile(ref(stored))).resolves.toBe(false);
+    expect(records[0].refCount).toBe(1);
+    expect(gridfs.deleteFromGridFS).not.toHaveBeenCalled();
+
+    await expect(releaseStoredFile(ref(stored))).resolves.toBe(true);
+    expect(records).toHaveLength(0);
+    expect(gridfs.deleteFromGridFS).toHaveBeenCalledWith(stored.fileId);
+    expect(gridfs.deletePreviews).toHaveBeenCalledWith(stored.fileId);
+  });
+
+  it("writes a new file once the last reference is gone", async () => {
+    const stored = await upload();
+    await releaseStoredFile(ref(stored));
+
+    const again = await upload();
+    expect(again.fileId).not.toBe(stored.fileId);
+    expect(records).toEqual([expect.objectContaining({ fileId: again.fileId, refCount: 1 })]);
+  });
+
+  it("deletes untracked files from before deduplication", async () => {
+    const fileId = new mongoose.Types.ObjectId().toString();
+    buckets.resumes.push({ _id: new mongoose.Types.ObjectId(fileId), uploadDate: hoursAgo(500) });
+    await expect(releaseStoredFile({ public_id: fileId, storage: "gridfs" })).resolves.toBe(true);
+    expect(buckets.resumes).toHaveLength(0);
+  });
+});
+
+describe("sweepOrphanedFiles", () => {
+  const record = (fields) => {
+    const fileId = new mongoose.Types.ObjectId().toString();
+    const stored = {
+      _id: new mongoose.Types.ObjectId(),
+      fileId,
+      storage: "gridfs",
+      checksum: fileId,
+      size: 100,
+      refCount: 1,
+      updatedAt: hoursAgo(2),
+      ...fields,
+    };
+    records.push(stored);
+    buckets.resumes.push({
+      _id: new mongoose.Types.ObjectId(fileId),
+      length: 100,
+      uploadDate: hoursAgo(48),
+    });
+    return stored;
+  };
+  const gridfsFile = (uploadDate, length = 100) => {
+    const file = { _id: new mongoose.Types.ObjectId(), filename: "resume.pdf", length, uploadDate };
+    buckets.resumes.push(file);
+    return file;
+  };
+  const fileIds = () => buckets.resumes.map(({ _id }) => _id.toString());
+
+  it("deletes tracked files nothing points at any more", async () => {
+    const orphan = record();
+    const used = record();
+    applications.push({ resume: { public_id: used.fileId } });
+
+    const report = await sweepOrphanedFiles({ now: NOW });
+    expect(report.storedFiles).toEqual({ orphaned: 1, repaired: 0 });
+    expect(records.map(({ fileId }) => fileId)).toEqual([used.fileId]);
+    expect(fileIds()).toEqual([used.fileId]);
+  });
+
+  it("corrects reference counts that drifted", async () => {
+    const shared = record({ refCount: 1 });
+    applications.push({ resume: { public_id: shared.fileId } });
+    applications.push({ attachments: [{ public_id: shared.fileId }, { public_id: "elsewhere" }] });
+    profiles.push({ resume: { public_id: shared.fileId } });
+
+    const report = await sweepOrphanedFiles({ now: NOW });
+    expect(report.storedFiles).toEqual({ orphaned: 0, repaired: 1 });
+    expect(records[0].refCount).toBe(3);
+  });
+
+  it("leaves files inside the grace period alone", async () => {
+    const recent = record({ updatedAt: hoursAgo(0.5) });
+    const untracked = gridfsFile(hoursAgo(0.5));
+
+    let report = await sweepOrphanedFiles({ now: NOW });
+    expect(report.storedFiles.orphaned).toBe(0);
+    expect(report.files.orphaned).toBe(0);
+    expect(fileIds()).toEqual([recent.fileId, untracked._id.toString()]);
+
+    process.env.STORAGE_SWEEP_GRACE_MS = String(10 * 60 * 1000);
+    report = await sweepOrphanedFiles({ now: NOW });
+    expect(report.storedFiles.orphaned).toBe(1);
+    expect(report.files.orphaned).toBe(1);
+    expect(fileIds()).toEqual([]);
+  });
+
+  it("deletes untracked GridFS files no document references", async () => {
+    const orphan = gridfsFile(hoursAgo(48), 2048);
+    const referenced = gridfsFile(hoursAgo(48));
+    profiles.push({ resume: { public_id: referenced._id.toString() } });
+    const tracked = record({ updatedAt: hoursAgo(0.5) });
+
+    const report = await sweepOrphanedFiles({ now: NOW });
+    expect(report.files).toEqual({ orphaned: 1, bytes: 2048 });
+    expect(report.items).toEqual([
+      expect.objectContaining({
+        kind: "file",
+        fileId: orphan._id.toString(),
+        reason: "untracked and unreferenced",
+      }),
+    ]);
+    expect(fileIds()).toEqual([referenced._id.toString(), tracked.fileId]);
+  });
+
+  it("removes chunks of unfinished uploads once they are old enough", async () => {
+    const old = new mongoose.Types.ObjectId(Math.floor(hoursAgo(3).getTime() / 1000));
+    const fresh = new mongoose.Types.ObjectId(Math.floor(hoursAgo(0.1).getTime() / 1000));
+    orphanedChunks.resumes = [{ _id: old, chunks: 4 }, { _id: fresh, chunks: 2 }];
+
+    const report = await sweepOrphanedFiles({ now: NOW });
+    expect(report.chunks.orphaned).toBe(4);
+    expect(gridfs.deleteChunks).toHaveBeenCalledWith([old], "resumes");
+    expect(gridfs.deleteChunks).toHaveBeenCalledTimes(1);
+  });
+
+  it("changes nothing on a dry run", async () => {
+    record();
+    record({ refCount: 5 });
+    applications.push({ resume: { public_id: records[1].fileId } });
+    gridfsFile(hoursAgo(48));
+    const before = fileIds();
+
+    const report = await sweepOrphanedFiles({ dryRun: true, now: NOW });
+    expect(report.storedFiles).toEqual({ orphaned: 1, repaired: 1 });
+    expect(report.files.orphaned).toBe(1);
+    expect(records.map(({ refCount }) => refCount)).toEqual([1, 5]);
+    expect(fileIds()).toEqual(before);
+    expect(gridfs.deleteFromGridFS).not.toHaveBeenCalled();
+  });
+});
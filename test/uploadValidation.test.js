@@ -0,0 +1,190 @@
+// test/uploadValidation.test.js
+import zlib from "zlib";
+import { jest } from "@jest/globals";
+
+// The pdf-parse entry point reads a sample file when it is imported; the
+// library itself is the same
+jest.unstable_mockModule("pdf-parse", async () => import("pdf-parse/lib/pdf-parse.js"));
+
+const { checkPdf, inspectUpload, sha256, sniffContentType } = await import(
+  "../utils/uploadValidation.js"
+);
+const { registerScanner } = await import("../utils/malwareScanner.js");
+
+// A minimal one-page PDF with a correct xref table. Objects are latin1
+// strings so compressed streams survive the round trip.
+const buildPdf = (objects = [], { header = "%PDF-1.4\n" } = {}) => {
+  const all = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 200 200] >>",
+    ...objects,
+  ];
+  let text = header;
+  const offsets = all.map((content, index) => {
+    const offset = text.length;
+    text += `${index + 1} 0 obj\n${content}\nendobj\n`;
+    return offset;
+  });
+  const xref = text.length;
+  text +=
+    `xref\n0 ${all.length + 1}\n0000000000 65535 f \n` +
+    offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("") +
+    `trailer\n<< /Size ${all.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(text, "latin1");
+};
+
+const objectStream = (content) => {
+  const data = zlib.deflateSync(Buffer.from(`4 0 ${content}`)).toString("latin1");
+  return `<< /Type /ObjStm /N 1 /First 4 /Filter /FlateDecode /Length ${data.length} >>\nstream\n${data}\nendstream`;
+};
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 13]);
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 16]);
+const WEBP = Buffer.concat([Buffer.from("RIFF"), Buffer.from([36, 0, 0, 0]), Buffer.from("WEBPVP8 ")]);
+
+describe("sniffContentType", () => {
+  it("reads the type from the file's bytes", () => {
+    expect(sniffContentType(buildPdf())).toBe("application/pdf");
+    expect(sniffContentType(PNG)).toBe("image/png");
+    expect(sniffContentType(JPEG)).toBe("image/jpeg");
+    expect(sniffContentType(WEBP)).toBe("image/webp");
+  });
+
+  it("finds a PDF header within the first kilobyte only", () => {
+    expect(sniffContentType(buildPdf([], { header: `${" ".repeat(500)}%PDF-1.4\n` }))).toBe(
+      "application/pdf"
+    );
+    expect(sniffContentType(buildPdf([], { header: `${" ".repeat(1100)}%PDF-1.4\n` }))).toBeNull();
+  });
+
+  it("does not recognize other or truncated files", () => {
+    expect(sniffContentType(Buffer.from("<html><script>alert(1)</script></html>"))).toBeNull();
+    expect(sniffContentType(Buffer.from("GIF89a"))).toBeNull();
+    expect(sniffContentType(PNG.subarray(0, 4))).toBeNull();
+    expect(sniffContentType(Buffer.from("RIFF\0\0\0\0WAVE"))).toBeNull();
+    expect(sniffContentType(Buffer.alloc(0))).toBeNull();
+  });
+});
+
+describe("checkPdf", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("accepts a well-formed PDF", async () => {
+    await expect(checkPdf(buildPdf())).resolves.toBeUndefined();
+  });
+
+  it("rejects a truncated PDF", async () => {
+    const pdf = buildPdf();
+    await expect(checkPdf(pdf.subarray(0, pdf.length - 20))).rejects.toMatchObject({
+      statusCode: 400,
+      message: "The PDF appears to be truncated or damaged.",
+    });
+  });
+
+  it.each([
+    ["encrypted", "<< /Encrypt 5 0 R >>", "Encrypted or password-protected PDFs are not accepted."],
+    ["JavaScript", "<< /S /JavaScript /JS (app.alert(1)) >>", "PDFs containing JavaScript are not accepted."],
+    ["escaped JavaScript", "<< /S /J#61vaScript >>", "PDFs containing JavaScript are not accepted."],
+    ["launch action", "<< /S /Launch /F (calc.exe) >>", "PDFs with launch actions are not accepted."],
+  ])("rejects %s documents", async (_, object, message) => {
+    await expect(checkPdf(buildPdf([object]))).rejects.toMatchObject({ statusCode: 400, message });
+  });
+
+  it("looks inside compressed object streams", async () => {
+    const hidden = buildPdf([objectStream("<< /S /JavaScript /JS (app.alert(1)) >>")]);
+    expect(hidden.toString("latin1")).not.toContain("/JavaScript");
+    await expect(checkPdf(hidden)).rejects.toMatchObject({
+      message: "PDFs containing JavaScript are not accepted.",
+    });
+    await expect(checkPdf(buildPdf([objectStream("<< /Title (Resume) >>")]))).resolves.toBeUndefined();
+  });
+
+  it("does not mistake longer names for blocked ones", async () => {
+    await expect(checkPdf(buildPdf(["<< /JSONData (x) /Launcher (y) >>"]))).resolves.toBeUndefined();
+  });
+
+  it("rejects a PDF the parser cannot read", async () => {
+    const broken = Buffer.from("%PDF-1.4\nthis is not a pdf body\n%%EOF\n", "latin1");
+    // pdf.js logs its recovery attempts
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    await expect(checkPdf(broken)).rejects.toMatchObject({
+      statusCode: 400,
+      message: "The PDF could not be read. Please upload a valid PDF.",
+    });
+  });
+});
+
+describe("inspectUpload", () => {
+  afterEach(() => {
+    delete process.env.MALWARE_SCANNER;
+    delete process.env.MALWARE_SCAN_FAIL_OPEN;
+    jest.restoreAllMocks();
+  });
+
+  const upload = (data, name = "resume.pdf", mimetype = "application/pdf") => ({ data, name, mimetype });
+
+  it("returns the bytes and the sniffed type, not the declared one", async () => {
+    const result = await inspectUpload(upload(PNG, "resume.pdf", "application/pdf"));
+    expect(result).toEqual({ buffer: PNG, contentType: "image/png" });
+  });
+
+  it("rejects files whose name and declared type do not match their bytes", async () => {
+    const html = Buffer.from("<html><body>Resume</body></html>");
+    for (const file of [upload(html), upload(html, "resume.png", "image/png")]) {
+      await expect(inspectUpload(file)).rejects.toMatchObject({
+        statusCode: 400,
+        message: "Invalid file type. Please upload a PDF, PNG, JPEG, or WEBP file.",
+      });
+    }
+  });
+
+  it("only allows the types the caller names", async () => {
+    await expect(
+      inspectUpload(upload(JPEG, "photo.jpg", "image/jpeg"), { allowedTypes: ["application/pdf"] })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it("checks the structure of PDFs", async () => {
+    await expect(inspectUpload(upload(buildPdf(["<< /Encrypt 5 0 R >>"])))).rejects.toMatchObject({
+      message: "Encrypted or password-protected PDFs are not accepted.",
+    });
+  });
+
+  it("rejects files the malware scanner flags", async () => {
+    registerScanner("test-flag", async () => ({ clean: false, signature: "Eicar-Test-Signature" }));
+    process.env.MALWARE_SCANNER = "test-flag";
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+
+    await expect(inspectUpload(upload(PNG, "a.png", "image/png"))).rejects.toMatchObject({
+      statusCode: 400,
+      message: "This file was flagged as unsafe and cannot be uploaded.",
+    });
+  });
+
+  it("fails closed when the scanner is unavailable unless told otherwise", async () => {
+    registerScanner("test-down", async () => {
+      throw new Error("connect ENOENT");
+    });
+    process.env.MALWARE_SCANNER = "test-down";
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(inspectUpload(upload(PNG, "a.png", "image/png"))).rejects.toMatchObject({
+      statusCode: 503,
+    });
+    process.env.MALWARE_SCAN_FAIL_OPEN = "true";
+    await expect(inspectUpload(upload(PNG, "a.png", "image/png"))).resolves.toMatchObject({
+      contentType: "image/png",
+    });
+  });
+});
+
+describe("sha256", () => {
+  it("hashes the file contents", () => {
+    expect(sha256(Buffer.from("abc"))).toBe(
+      "ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad"
+    );
+  });
+});
@@ -0,0 +1,79 @@
+// test/workQueue.test.js
+import mongoose from "mongoose";
+import { jest } from "@jest/globals";
+import { WorkQueue } from "../utils/workQueue.js";
+
+// A stand-in for the queue's model; claim() and the settling updates are
+// checked through the filters they send
+const fakeModel = ({ stale = [] } = {}) => ({
+  find: jest.fn().mockResolvedValue(stale),
+  findOneAndUpdate: jest.fn().mockResolvedValue(null),
+  updateOne: jest.fn().mockResolvedValue({ matchedCount: 1 }),
+});
+
+const staleJob = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  status: "processing",
+  attempts: 3,
+  maxAttempts: 3,
+  lockedBy: "crashed-worker",
+  lockedAt: new Date(Date.now() - 60 * 60 * 1000),
+  ...overrides,
+});
+
+beforeEach(() => {
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  jest.spyOn(console, "warn").mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("WorkQueue claim", () => {
+  it("only reclaims stale jobs that have attempts left", async () => {
+    const model = fakeModel();
+    const queue = new WorkQueue({ name: "test", model, handler: jest.fn() });
+    await queue.claim("worker-1");
+
+    const [filter, update] = model.findOneAndUpdate.mock.calls[0];
+    const staleBranch = filter.$or.find(({ status }) => status === "processing");
+    expect(staleBranch.$expr).toEqual({ $lt: ["$attempts", "$maxAttempts"] });
+    expect(update.$inc).toEqual({ attempts: 1 });
+  });
+
+  it("dead-letters a stale job that used its last attempt", async () => {
+    const job = staleJob();
+    const model = fakeModel({ stale: [job] });
+    const onDeadLetter = jest.fn();
+    const queue = new WorkQueue({ name: "test", model, handler: jest.fn(), onDeadLetter });
+    await queue.claim("worker-1");
+
+    expect(model.find).toHaveBeenCalledWith(
+      expect.objectContaining({
+        status: "processing",
+        $expr: { $gte: ["$attempts", "$maxAttempts"] },
+      })
+    );
+    expect(model.updateOne).toHaveBeenCalledWith(
+      { _id: job._id, status: "processing", lockedBy: "crashed-worker", lockedAt: job.lockedAt },
+      expect.objectContaining({
+        $set: expect.objectContaining({ status: "dead", deadAt: expect.any(Date) }),
+      })
+    );
+    expect(onDeadLetter).toHaveBeenCalledWith(
+      job,
+      expect.objectContaining({ message: "Worker lock expired before the job finished" })
+    );
+  });
+
+  it("leaves a stale job alone once another worker has settled it", async () => {
+    const model = fakeModel({ stale: [staleJob()] });
+    model.updateOne.mockResolvedValue({ matchedCount: 0 });
+    const onDeadLetter = jest.fn();
+    const queue = new WorkQueue({ name: "test", model, handler: jest.fn(), onDeadLetter });
+    await queue.claim("worker-1");
+
+    expect(onDeadLetter).not.toHaveBeenCalled();
+  });
+});
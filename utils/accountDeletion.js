@@ -0,0 +1,83 @@
+// utils/accountDeletion.js
+import { User } from "../models/userSchema.js";
+import { Job } from "../models/jobSchema.js";
+import { Organization } from "../models/organizationSchema.js";
+import { Pipeline } from "../models/pipelineSchema.js";
+import { EmailTemplate } from "../models/emailTemplateSchema.js";
+import { Session } from "../models/sessionSchema.js";
+import { CandidateProfile } from "../models/candidateProfileSchema.js";
+import { getMembership } from "./organizations.js";
+import { releaseStoredFile } from "./storage/index.js";
+import { purgeApplications } from "./applicationCleanup.js";
+import ErrorHandler from "../middlewares/error.js";
+
+/**
+ * Deletes a user and what only they can manage:
+ * - Job seekers: their applications, candidate profile and resumes.
+ * - Employers: jobs outside any organization, with their applications and
+ *   resumes, plus their own pipeline and email templates. Organization jobs
+ *   stay with the organization. A sole owner's organization is deleted with
+ *   everything in it; an owner with other members must remove them first.
+ * Sessions end immediately. Sent email stays in the delivery log.
+ */
+export const deleteUserAccount = async (user) => {
+  const summary = { jobs: 0, applications: 0, resumes: 0, organization: null };
+  const tally = ({ applications, resumes }) => {
+    summary.applications += applications;
+    summary.resumes += resumes;
+  };
+
+  if (user.role === "Job Seeker") {
+    tally(await purgeApplications({ "applicantID.user": user._id }));
+
+    const profile = await CandidateProfile.findOne({ user: user._id });
+    if (profile?.resume?.public_id && (await releaseStoredFile(profile.resume))) {
+      summary.resumes += 1;
+    }
+    await CandidateProfile.deleteOne({ user: user._id });
+  } else {
+    const membership = await getMembership(user._id);
+    const jobFilters = [{ postedBy: user._id, organization: null }];
+
+    if (membership?.role === "owner") {
+      if (membership.organization.members.length > 1) {
+        throw new ErrorHandler(
+          "Remove the other members of your organization before deleting your account.",
+          409
+        );
+      }
+      jobFilters.push({ organization: membership.organization._id });
+    }
+
+    const jobs = await Job.find({ $or: jobFilters }).select("_id");
+    const jobIds = jobs.map(({ _id }) => _id);
+    tally(await purgeApplications({ jobId: { $in: jobIds } }));
+    await Job.deleteMany({ _id: { $in: jobIds } });
+    summary.jobs = jobIds.length;
+
+    await Pipeline.deleteMany({ employer: user._id });
+    await EmailTemplate.deleteMany({ employer: user._id });
+
+    if (membership?.role === "owner") {
+      const organization = membership.organization._id;
+      await Pipeline.deleteMany({ organization });
+      await EmailTemplate.deleteMany({ organization });
+      await Organization.deleteOne({ _id: organization });
+      summary.organization = "deleted";
+    } else if (membership) {
+      await Organization.updateOne(
+        { _id: membership.organization._id },
+        { $pull: { members: { user: user._id } } }
+      );
+      summary.organization = "left";
+    }
+  }
+
+  await Session.deleteMany({ user: user._id });
+  await User.deleteOne({ _id: user._id });
+
+  console.log("Account deleted:", { userId: user._id, role: user.role, ...summary });
+  return summary;
+};
+
+export default { deleteUserAccount };
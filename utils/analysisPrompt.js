@@ -0,0 +1,60 @@
+// utils/analysisPrompt.js
+import { ANALYSIS_SCHEMA_VERSION } from "./analysisSchema.js";
+import { formatScreeningAnswers } from "./screening.js";
+
+// Keeps long OCR output from blowing past the model's context window
+const MAX_RESUME_CHARS = 12000;
+const MAX_ATTACHMENT_CHARS = 3000;
+
+export const ANALYSIS_SYSTEM_PROMPT =
+  "You are an experienced technical recruiter. You assess job applications " +
+  "objectively and always answer with a single JSON object.";
+
+const formatAttachments = (attachments) =>
+  attachments
+    .map(({ kind, originalName, text }) =>
+      `[${kind.replace("_", " ")}: ${originalName}]\n${
+        text ? text.slice(0, MAX_ATTACHMENT_CHARS) : "[Text could not be extracted]"
+      }`
+    )
+    .join("\n\n");
+
+export const formatAnalysisPrompt = (jobDescription, { coverLetter, resumeText, screeningAnswers, attachments }) => {
+  const resume = resumeText
+    ? resumeText.slice(0, MAX_RESUME_CHARS)
+    : "[Resume text could not be extracted]";
+  const screening = screeningAnswers?.length
+    ? `\nScreening Answers:\n${formatScreeningAnswers(screeningAnswers)}\n`
+    : "";
+  const attached = attachments?.length
+    ? `\nAttachments:\n${formatAttachments(attachments)}\n`
+    : "";
+
+  return `Analyze this job application for an internal recruiter and draft a feedback email for the candidate.
+
+Job Description:
+${jobDescription}
+
+Cover Letter:
+${coverLetter || "[No cover letter provided]"}
+
+Resume:
+${resume}
+${attached}${screening}
+Respond with a single JSON object and nothing else - no markdown, no code fences. Use exactly this shape (schema version ${ANALYSIS_SCHEMA_VERSION}):
+
+{
+  "version": "${ANALYSIS_SCHEMA_VERSION}",
+  "score": <integer 0-100, how well the candidate matches the job>,
+  "summary": "<2-3 sentences on key alignments and gaps>",
+  "strengths": ["<2-3 key qualifying strengths with specific examples>"],
+  "gaps": ["<2-3 specific, actionable areas for improvement>"],
+  "recommendations": ["<clear improvement suggestions>"],
+  "candidateEmail": {
+    "subject": "<email subject line>",
+    "body": "<email addressed to [Candidate Name]: thank them, highlight 2-3 strengths, give constructive feedback and clear next steps, signed 'Recruitment Team'. Do not promise an offer.>"
+  }
+}`;
+};
+
+export default formatAnalysisPrompt;
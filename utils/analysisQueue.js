@@ -0,0 +1,97 @@
+// utils/analysisQueue.js
+import { AnalysisJob } from "../models/analysisJobSchema.js";
+import { Application } from "../models/applicationSchema.js";
+import { Job } from "../models/jobSchema.js";
+import { WorkQueue } from "./workQueue.js";
+import { prepareApplicationText, runApplicationAnalysis } from "./applicationAnalysis.js";
+
+const MAX_ATTEMPTS = parseInt(process.env.ANALYSIS_MAX_ATTEMPTS) || 5;
+
+const processAnalysisJob = async (queueJob) => {
+  const application = await Application.findById(queueJob.application).select("+resumeText +attachmentTexts");
+  if (!application) {
+    // Nothing left to analyze - treat as done rather than retrying forever
+    console.warn("Analysis job skipped, application no longer exists:", queueJob.application);
+    return;
+  }
+
+  const job = await Job.findById(application.jobId);
+  if (!job) {
+    throw new Error(`Job ${application.jobId} not found for application ${application._id}`);
+  }
+
+  await Application.updateOne(
+    { _id: application._id },
+    { $set: { analysisStatus: "processing" } }
+  );
+
+  // The local analysis is saved first so recruiters see it even if the AI
+  // provider keeps failing and the job ends up dead-lettered
+  const prepared = await prepareApplicationText(application, job);
+  await Application.updateOne({ _id: application._id }, { $set: prepared });
+
+  const updates = await runApplicationAnalysis(application, job, prepared);
+
+  await Application.updateOne(
+    { _id: application._id },
+    {
+      $set: {
+        ...updates,
+        analysisStatus: "completed",
+        analyzedAt: new Date(),
+      },
+      $unset: { analysisError: "" },
+    }
+  );
+
+  console.log("Analysis completed:", {
+    applicationId: application._id,
+    matchScore: updates.matchScore,
+    attempt: queueJob.attempts,
+  });
+};
+
+// Dead-lettered jobs leave the application readable for a manual review
+const markAnalysisFailed = async (queueJob, error) => {
+  await Application.updateOne(
+    { _id: queueJob.application },
+    {
+      $set: {
+        analysisStatus: "failed",
+        analysisError: error.message,
+        analysis: "Analysis failed - manual review required.",
+        candidateEmail: "Thank you for your application. Our team will review it shortly.",
+        matchScore: 0,
+        rankScore: 0,
+      },
+    }
+  );
+};
+
+const analysisQueue = new WorkQueue({
+  name: "analysis",
+  model: AnalysisJob,
+  handler: processAnalysisJob,
+  onDeadLetter: markAnalysisFailed,
+  concurrency: parseInt(process.env.ANALYSIS_WORKERS) || 2,
+  pollInterval: parseInt(process.env.ANALYSIS_POLL_INTERVAL_MS) || 2000,
+});
+
+export const enqueueAnalysis = async (applicationId) => {
+  const queueJob = await AnalysisJob.create({
+    application: applicationId,
+    maxAttempts: MAX_ATTEMPTS,
+  });
+
+  await Application.updateOne(
+    { _id: applicationId },
+    { $set: { analysisStatus: "pending" }, $unset: { analysisError: "" } }
+  );
+
+  return queueJob;
+};
+
+export const getLatestAnalysisJob = (applicationId) =>
+  AnalysisJob.findOne({ application: applicationId }).sort({ createdAt: -1 });
+
+export default analysisQueue;
@@ -0,0 +1,232 @@
+// utils/analysisSchema.js
+import ErrorHandler from "../middlewares/error.js";
+
+// Bump the major version whenever a field is removed or changes meaning.
+export const ANALYSIS_SCHEMA_VERSION = "1.0";
+
+const MAX_LIST_ITEMS = 10;
+const MAX_EMAIL_WORDS = 500;
+
+// JSON Schema sent to providers that support structured output
+export const analysisJsonSchema = {
+  name: "application_analysis",
+  strict: true,
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    required: [
+      "version",
+      "score",
+      "summary",
+      "strengths",
+      "gaps",
+      "recommendations",
+      "candidateEmail",
+    ],
+    properties: {
+      version: { type: "string", enum: [ANALYSIS_SCHEMA_VERSION] },
+      score: { type: "integer" },
+      summary: { type: "string" },
+      strengths: { type: "array", items: { type: "string" } },
+      gaps: { type: "array", items: { type: "string" } },
+      recommendations: { type: "array", items: { type: "string" } },
+      candidateEmail: {
+        type: "object",
+        additionalProperties: false,
+        required: ["subject", "body"],
+        properties: {
+          subject: { type: "string" },
+          body: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+// Phrases that commit the company to something the recruiter has not decided
+const INAPPROPRIATE_TERMS = [
+  "welcome aboard",
+  "pleased to offer",
+  "you have been selected",
+  "you got the job",
+];
+
+const isNonEmptyString = (value) => typeof value === "string" && value.trim().length > 0;
+
+const validateStringList = (value, field, missing, issues) => {
+  if (!Array.isArray(value)) {
+    missing.push(field);
+    return;
+  }
+  if (value.length > MAX_LIST_ITEMS) {
+    issues.push(`${field} cannot contain more than ${MAX_LIST_ITEMS} items`);
+  }
+  if (value.some((item) => !isNonEmptyString(item))) {
+    issues.push(`${field} must only contain non-empty strings`);
+  }
+};
+
+/**
+ * Validates a parsed analysis object against the schema.
+ * Returns { isValid, missing, issues, warnings, wordCount }. Missing fields
+ * and issues make the analysis invalid; warnings flag email wording a
+ * recruiter should look at before sending. wordCount is the length of the
+ * candidate email body.
+ */
+export const validateAnalysis = (analysis) => {
+  const missing = [];
+  const issues = [];
+  const warnings = [];
+
+  if (!analysis || typeof analysis !== "object" || Array.isArray(analysis)) {
+    return {
+      isValid: false,
+      missing: ["analysis"],
+      issues: ["Analysis must be a JSON object"],
+      warnings,
+      wordCount: 0,
+    };
+  }
+
+  if (analysis.version === undefined) {
+    missing.push("version");
+  } else if (String(analysis.version).split(".")[0] !== ANALYSIS_SCHEMA_VERSION.split(".")[0]) {
+    issues.push(`Unsupported schema version "${analysis.version}"`);
+  }
+
+  if (analysis.score === undefined || analysis.score === null) {
+    missing.push("score");
+  } else if (
+    typeof analysis.score !== "number" ||
+    !Number.isFinite(analysis.score) ||
+    analysis.score < 0 ||
+    analysis.score > 100
+  ) {
+    issues.push("score must be a number between 0 and 100");
+  }
+
+  if (!isNonEmptyString(analysis.summary)) {
+    missing.push("summary");
+  }
+
+  validateStringList(analysis.strengths, "strengths", missing, issues);
+  validateStringList(analysis.gaps, "gaps", missing, issues);
+  validateStringList(analysis.recommendations, "recommendations", missing, issues);
+
+  let wordCount = 0;
+  const email = analysis.candidateEmail;
+  if (!email || typeof email !== "object") {
+    missing.push("candidateEmail");
+  } else {
+    if (!isNonEmptyString(email.subject)) missing.push("candidateEmail.subject");
+    if (!isNonEmptyString(email.body)) {
+      missing.push("candidateEmail.body");
+    } else {
+      wordCount = email.body.trim().split(/\s+/).length;
+      if (wordCount > MAX_EMAIL_WORDS) {
+        warnings.push("Candidate email exceeds maximum length");
+      }
+      const lowerBody = email.body.toLowerCase();
+      INAPPROPRIATE_TERMS.forEach((term) => {
+        if (lowerBody.includes(term)) {
+          warnings.push(`Candidate email contains inappropriate term: "${term}"`);
+        }
+      });
+    }
+  }
+
+  return {
+    isValid: missing.length === 0 && issues.length === 0,
+    missing,
+    issues,
+    warnings,
+    wordCount,
+  };
+};
+
+// Models sometimes wrap JSON in markdown fences or add a sentence around it
+const extractJson = (raw) => {
+  if (typeof raw !== "string") return raw;
+
+  const text = raw.trim().replace(/^```(?:json)?\s*|\s*```$/g, "");
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  if (start === -1 || end <= start) {
+    throw new ErrorHandler("Analysis response did not contain a JSON object", 502);
+  }
+
+  try {
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new ErrorHandler(`Analysis response was not valid JSON: ${error.message}`, 502);
+  }
+};
+
+const cleanList = (list) => list.map((item) => item.trim()).filter(Boolean);
+
+/**
+ * Parses a provider response (JSON string or object) into a normalized
+ * analysis. Throws an ErrorHandler when the response does not satisfy the
+ * schema so callers can retry; warnings are returned alongside.
+ */
+export const parseAnalysis = (raw) => {
+  const parsed = extractJson(raw);
+  const validation = validateAnalysis(parsed);
+
+  if (!validation.isValid) {
+    throw new ErrorHandler(
+      `Analysis response failed validation: ${[
+        ...validation.missing.map((field) => `missing ${field}`),
+        ...validation.issues,
+      ].join("; ")}`,
+      502
+    );
+  }
+
+  if (validation.warnings.length > 0) {
+    console.warn("Analysis validation warnings:", validation.warnings);
+  }
+
+  return {
+    analysis: {
+      version: ANALYSIS_SCHEMA_VERSION,
+      score: Math.round(parsed.score),
+      summary: parsed.summary.trim(),
+      strengths: cleanList(parsed.strengths),
+      gaps: cleanList(parsed.gaps),
+      recommendations: cleanList(parsed.recommendations),
+      candidateEmail: {
+        subject: parsed.candidateEmail.subject.trim(),
+        body: parsed.candidateEmail.body.trim(),
+      },
+    },
+    validation,
+  };
+};
+
+// Plain-text rendering stored in Application.analysis for the recruiter view
+export const formatRecruiterAnalysis = (analysis) => {
+  const bullets = (items) => items.map((item) => `- ${item}`).join("\n");
+
+  return `Match Score: ${analysis.score}
+
+Initial Feedback:
+${analysis.summary}
+
+Strengths Identified:
+${bullets(analysis.strengths)}
+
+Areas for Enhancement:
+${bullets(analysis.gaps)}
+
+Recommendations:
+${bullets(analysis.recommendations)}`;
+};
+
+export default {
+  ANALYSIS_SCHEMA_VERSION,
+  analysisJsonSchema,
+  parseAnalysis,
+  validateAnalysis,
+  formatRecruiterAnalysis,
+};
@@ -0,0 +1,116 @@
+// utils/applicationAnalysis.js
+import ErrorHandler from "../middlewares/error.js";
+import assistantService from "./assistantService.js";
+import { extractResumeText } from "./textExtract.js";
+import { analyzeApplicationText } from "./nlp/index.js";
+import { extractRequirements, matchRequirements } from "./jobRequirements.js";
+import { computeRankScore } from "./shortlist.js";
+import { getAttachmentTexts } from "./attachments.js";
+
+export const analyzeWithOpenAI = async ({ coverLetter, resumeText, screeningAnswers, attachments }, jobDescription) => {
+  try {
+    console.log('Starting OpenAI analysis...');
+    console.log('Input lengths - Cover letter:', coverLetter?.length || 0, 'Resume:', resumeText?.length || 0, 'Job Description:', jobDescription.length);
+
+    const result = await assistantService.analyzeApplication(
+      { coverLetter, resumeText, screeningAnswers, attachments },
+      jobDescription
+    );
+
+    if (!result.success) {
+      throw new ErrorHandler(result.error || 'Analysis failed', 500);
+    }
+
+    // The assistant response has already been parsed and validated against
+    // the analysis schema (utils/analysisSchema.js)
+    return {
+      success: true,
+      analysis: result.analysis,                    // Structured analysis
+      recruiterAnalysis: result.recruiterAnalysis,  // Plain-text recruiter view
+      candidateEmail: result.candidateEmail,        // Candidate email body
+      candidateEmailSubject: result.candidateEmailSubject,
+      score: result.score,
+      provider: result.provider
+    };
+  } catch (error) {
+    console.error('Error during analysis:', error);
+    throw error;
+  }
+};
+
+// Extraction failures should never block an application - the AI analysis
+// simply falls back to the cover letter alone.
+export const safeExtractResumeText = async (resume) => {
+  const fileId = resume.public_id;
+  try {
+    const text = await extractResumeText(resume);
+    console.log('Resume text extracted:', { fileId, length: text.length });
+    return text;
+  } catch (error) {
+    console.error('Resume text extraction failed:', {
+      fileId,
+      message: error.message
+    });
+    return "";
+  }
+};
+
+// Local, provider-independent step: resume text, the textAnalysis block and
+// the job requirement coverage.
+// Reuses the stored resume text; only older applications need extracting.
+export const prepareApplicationText = async (application, job) => {
+  let { resumeText } = application;
+  if (resumeText === undefined || resumeText === null) {
+    resumeText = await safeExtractResumeText(application.resume);
+  }
+
+  const textAnalysis = analyzeApplicationText({
+    coverLetter: application.coverLetter,
+    resumeText,
+    jobDescription: job.description,
+  });
+
+  // Jobs posted before requirements existed get them derived on the fly
+  const requirements = job.requirements?.extractedAt || job.requirements?.source === "manual"
+    ? job.requirements
+    : extractRequirements(job.description);
+
+  const requirementMatch = matchRequirements(requirements, {
+    textAnalysis,
+    resumeText,
+    coverLetter: application.coverLetter,
+  });
+
+  return { resumeText, textAnalysis, requirementMatch };
+};
+
+// Runs the full analysis for an application document (loaded with
+// +resumeText +attachmentTexts) and returns the fields to persist on it.
+export const runApplicationAnalysis = async (application, job, prepared) => {
+  const { resumeText, textAnalysis, requirementMatch } =
+    prepared || (await prepareApplicationText(application, job));
+  const attachments = await getAttachmentTexts(application);
+
+  const aiAnalysisResult = await analyzeWithOpenAI(
+    {
+      coverLetter: application.coverLetter,
+      resumeText,
+      screeningAnswers: application.screeningAnswers,
+      attachments,
+    },
+    job.description
+  );
+
+  return {
+    resumeText,
+    textAnalysis,
+    requirementMatch,
+    structuredAnalysis: aiAnalysisResult.analysis,
+    analysis: aiAnalysisResult.recruiterAnalysis,
+    candidateEmail: aiAnalysisResult.candidateEmail,
+    candidateEmailSubject: aiAnalysisResult.candidateEmailSubject,
+    matchScore: aiAnalysisResult.score,
+    rankScore: computeRankScore(aiAnalysisResult.score, requirementMatch?.coverage),
+    analysisProvider: aiAnalysisResult.provider,
+  };
+};
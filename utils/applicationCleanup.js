@@ -0,0 +1,41 @@
+// utils/applicationCleanup.js
+import { Application } from "../models/applicationSchema.js";
+import { AnalysisJob } from "../models/analysisJobSchema.js";
+import { releaseStoredFile } from "./storage/index.js";
+import { releaseAttachments } from "./attachments.js";
+
+/**
+ * Deletes the matching applications along with their queued analyses and
+ * their references to resume and attachment files; files nothing else uses
+ * are deleted.
+ * Returns how many applications and resume files went.
+ */
+export const purgeApplications = async (filter) => {
+  const applications = await Application.find(filter).select(
+    "resume.public_id resume.storage attachments.public_id attachments.storage"
+  );
+  const ids = applications.map(({ _id }) => _id);
+
+  await AnalysisJob.deleteMany({ application: { $in: ids } });
+  await Application.deleteMany({ _id: { $in: ids } });
+
+  // Released after the documents are gone, so a failure here leaves an
+  // orphan for the sweeper rather than an application without its file
+  let resumes = 0;
+  for (const application of applications) {
+    await releaseAttachments(application.attachments);
+    if (!application.resume?.public_id) continue;
+    try {
+      if (await releaseStoredFile(application.resume)) resumes += 1;
+    } catch (error) {
+      console.error("Failed to release resume file:", {
+        applicationId: application._id,
+        fileId: application.resume.public_id,
+        message: error.message,
+      });
+    }
+  }
+  return { applications: ids.length, resumes };
+};
+
+export default { purgeApplications };
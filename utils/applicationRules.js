@@ -0,0 +1,133 @@
+// utils/applicationRules.js
+import { Application } from "../models/applicationSchema.js";
+import ErrorHandler from "../middlewares/error.js";
+import { ATTACHMENT_KINDS } from "./attachments.js";
+
+export const DUPLICATE_APPLICATION_MESSAGE =
+  "You have already applied to this job. Withdraw that application to apply again.";
+
+// Fields a job may make optional; name, email and a resume are always needed
+export const OPTIONAL_APPLICATION_FIELDS = ["coverLetter", "phone", "address"];
+
+// Active applications; withdrawn ones no longer count toward limits or
+// block reapplying
+export const activeApplicationFilter = (filter = {}) => ({
+  ...filter,
+  withdrawn: { $ne: true },
+});
+
+/**
+ * Validates the per-job application rules from a create or update request.
+ * Jobs without rules require every field and take unlimited applicants;
+ * null clears a job's rules back to that.
+ */
+export const normalizeApplicationRules = (input) => {
+  if (input === null) return {};
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new ErrorHandler("applicationRules must be an object.", 400);
+  }
+  const rules = {};
+
+  if (input.maxApplicants !== undefined && input.maxApplicants !== null && input.maxApplicants !== "") {
+    const max = Number(input.maxApplicants);
+    if (!Number.isInteger(max) || max < 1) {
+      throw new ErrorHandler("maxApplicants must be a whole number of at least 1.", 400);
+    }
+    rules.maxApplicants = max;
+  }
+
+  if (input.requiredFields !== undefined) {
+    if (!Array.isArray(input.requiredFields)) {
+      throw new ErrorHandler("requiredFields must be an array.", 400);
+    }
+    const unknown = input.requiredFields.filter(
+      (field) => !OPTIONAL_APPLICATION_FIELDS.includes(field)
+    );
+    if (unknown.length) {
+      throw new ErrorHandler(
+        `Unknown required fields: ${unknown.join(", ")}. Allowed: ${OPTIONAL_APPLICATION_FIELDS.join(", ")}.`,
+        400
+      );
+    }
+    rules.requiredFields = [...new Set(input.requiredFields)];
+  }
+
+  if (input.requiredDocuments !== undefined) {
+    if (!Array.isArray(input.requiredDocuments)) {
+      throw new ErrorHandler("requiredDocuments must be an array.", 400);
+    }
+    const unknown = input.requiredDocuments.filter((kind) => !ATTACHMENT_KINDS.includes(kind));
+    if (unknown.length) {
+      throw new ErrorHandler(
+        `Unknown required documents: ${unknown.join(", ")}. Allowed: ${ATTACHMENT_KINDS.join(", ")}.`,
+        400
+      );
+    }
+    rules.requiredDocuments = [...new Set(input.requiredDocuments)];
+  }
+
+  if (input.allowReapply !== undefined) {
+    rules.allowReapply = input.allowReapply === true || input.allowReapply === "true";
+  }
+  return rules;
+};
+
+export const requiredFieldsFor = (job) =>
+  job.applicationRules?.requiredFields ?? OPTIONAL_APPLICATION_FIELDS;
+
+/**
+ * Checks a new application against the job's rules and the seeker's earlier
+ * applications. `documents` are the attachment kinds it includes. Throws
+ * 409 for a duplicate or a full job.
+ */
+export const checkApplicationRules = async (job, applicantId, fields, documents = []) => {
+  const missing = requiredFieldsFor(job).filter((field) => !fields[field]);
+  if (missing.length) {
+    throw new ErrorHandler(`Please fill all fields. Missing: ${missing.join(", ")}.`, 400);
+  }
+
+  const missingDocuments = (job.applicationRules?.requiredDocuments || []).filter(
+    (kind) => !documents.includes(kind)
+  );
+  if (missingDocuments.length) {
+    throw new ErrorHandler(
+      `Please attach: ${missingDocuments.map((kind) => kind.replace("_", " ")).join(", ")}.`,
+      400
+    );
+  }
+
+  const existing = await Application.exists(
+    activeApplicationFilter({ jobId: job._id, "applicantID.user": applicantId })
+  );
+  if (existing) {
+    throw new ErrorHandler(DUPLICATE_APPLICATION_MESSAGE, 409);
+  }
+
+  if (job.applicationRules?.allowReapply === false) {
+    const withdrawn = await Application.exists({
+      jobId: job._id,
+      "applicantID.user": applicantId,
+      withdrawn: true,
+    });
+    if (withdrawn) {
+      throw new ErrorHandler("This job does not accept reapplications.", 409);
+    }
+  }
+
+  const { maxApplicants } = job.applicationRules || {};
+  if (maxApplicants) {
+    const count = await Application.countDocuments(activeApplicationFilter({ jobId: job._id }));
+    if (count >= maxApplicants) {
+      throw new ErrorHandler("This job has reached its maximum number of applicants.", 409);
+    }
+  }
+};
+
+export default {
+  DUPLICATE_APPLICATION_MESSAGE,
+  OPTIONAL_APPLICATION_FIELDS,
+  activeApplicationFilter,
+  normalizeApplicationRules,
+  requiredFieldsFor,
+  checkApplicationRules,
+};
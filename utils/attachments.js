@@ -0,0 +1,150 @@
+// utils/attachments.js
+import mongoose from "mongoose";
+import { Application } from "../models/applicationSchema.js";
+import ErrorHandler from "../middlewares/error.js";
+import { inspectUpload } from "./uploadValidation.js";
+import { storeUpload, releaseStoredFile } from "./storage/index.js";
+import { extractResumeText } from "./textExtract.js";
+
+// Documents an application can carry besides the resume. Each is uploaded
+// in a form field of the same name, which may hold several files.
+export const ATTACHMENT_KINDS = ["portfolio", "certificate", "transcript", "reference_letter", "other"];
+
+const MAX_ATTACHMENTS = 10;
+const MAX_PER_KIND = 5;
+
+const label = (kind) => kind.replace("_", " ");
+
+/**
+ * Reads the attachments out of req.files (everything except the resume)
+ * and validates their bytes the same way as resumes. Nothing is stored yet.
+ */
+export const inspectAttachments = async (files = {}) => {
+  const unknown = Object.keys(files).filter(
+    (field) => field !== "resume" && !ATTACHMENT_KINDS.includes(field)
+  );
+  if (unknown.length) {
+    throw new ErrorHandler(
+      `Unknown attachment field(s): ${unknown.join(", ")}. Allowed: ${ATTACHMENT_KINDS.join(", ")}.`,
+      400
+    );
+  }
+
+  const uploads = [];
+  for (const kind of ATTACHMENT_KINDS) {
+    const list = [].concat(files[kind] || []);
+    if (list.length > MAX_PER_KIND) {
+      throw new ErrorHandler(`At most ${MAX_PER_KIND} ${label(kind)} files can be attached.`, 400);
+    }
+    for (const file of list) {
+      uploads.push({ kind, file });
+    }
+  }
+  if (uploads.length > MAX_ATTACHMENTS) {
+    throw new ErrorHandler(`At most ${MAX_ATTACHMENTS} attachments can be added.`, 400);
+  }
+
+  for (const upload of uploads) {
+    try {
+      upload.inspected = await inspectUpload(upload.file);
+    } catch (error) {
+      if (error instanceof ErrorHandler) {
+        throw new ErrorHandler(`${upload.file.name}: ${error.message}`, error.statusCode);
+      }
+      throw error;
+    }
+  }
+  return uploads;
+};
+
+/**
+ * Stores inspected attachments and returns the subdocuments for the
+ * application. If one fails, the ones already stored are released.
+ */
+export const storeAttachments = async (uploads, applicationId) => {
+  const attachments = [];
+  try {
+    for (const { kind, file, inspected } of uploads) {
+      const stored = await storeUpload(file, inspected);
+      const _id = new mongoose.Types.ObjectId();
+      attachments.push({
+        _id,
+        kind,
+        public_id: stored.fileId,
+        storage: stored.storage,
+        url: `/api/v1/application/${applicationId}/attachments/${_id}`,
+        originalName: file.name,
+        contentType: stored.contentType,
+        size: stored.size,
+        checksum: stored.checksum,
+      });
+    }
+  } catch (error) {
+    await releaseAttachments(attachments);
+    throw error;
+  }
+  return attachments;
+};
+
+export const releaseAttachments = async (attachments = []) => {
+  for (const attachment of attachments) {
+    try {
+      await releaseStoredFile(attachment);
+    } catch (error) {
+      console.error("Failed to release attachment file:", {
+        fileId: attachment.public_id,
+        message: error.message,
+      });
+    }
+  }
+};
+
+// Like the resume, an attachment that cannot be read is analyzed without it
+const extractText = async (attachment) => {
+  try {
+    return await extractResumeText(attachment);
+  } catch (error) {
+    console.error("Attachment text extraction failed:", {
+      fileId: attachment.public_id,
+      message: error.message,
+    });
+    return "";
+  }
+};
+
+/**
+ * Text of every attachment for the analysis, extracted once and kept in
+ * attachmentTexts (load the application with +attachmentTexts).
+ */
+export const getAttachmentTexts = async (application) => {
+  const attachments = application.attachments || [];
+  const texts = [...(application.attachmentTexts || [])];
+  const extracted = [];
+
+  for (const attachment of attachments) {
+    if (texts.some(({ attachment: id }) => id.equals(attachment._id))) continue;
+    const entry = { attachment: attachment._id, text: await extractText(attachment) };
+    texts.push(entry);
+    extracted.push(entry);
+  }
+  if (extracted.length) {
+    await Application.updateOne(
+      { _id: application._id },
+      { $push: { attachmentTexts: { $each: extracted } } }
+    );
+  }
+
+  return attachments.map(({ _id, kind, originalName }) => ({
+    kind,
+    originalName,
+    text: texts.find(({ attachment }) => attachment.equals(_id))?.text || "",
+  }));
+};
+
+export default {
+  ATTACHMENT_KINDS,
+  inspectAttachments,
+  storeAttachments,
+  releaseAttachments,
+  getAttachmentTexts,
+};
@@ -0,0 +1,108 @@
+// utils/candidateProfile.js
+import { CandidateProfile } from "../models/candidateProfileSchema.js";
+import { storeUpload, shareStoredFile, releaseStoredFile } from "./storage/index.js";
+import { safeExtractResumeText } from "./applicationAnalysis.js";
+import { extractSkills, parseResume } from "./nlp/index.js";
+import { totalExperienceMonths, highestEducationLevel } from "./nlp/resumeParser.js";
+import { canonicalizeSkill } from "./nlp/skillsTaxonomy.js";
+
+// Contact fields an application can take from the profile
+export const PROFILE_CONTACT_FIELDS = ["name", "email", "phone", "address"];
+
+export const normalizeSkills = (skills) =>
+  [...new Set(
+    (Array.isArray(skills) ? skills : String(skills || "").split(","))
+      .map((skill) => canonicalizeSkill(String(skill).trim()))
+      .filter(Boolean)
+  )];
+
+// Skills, experience and education parsed out of the profile's resume text
+export const parseProfileResume = (resumeText = "", { keepSkills = false } = {}) => {
+  const { experience, education } = parseResume(resumeText);
+  return {
+    ...(keepSkills ? {} : { skills: extractSkills(resumeText) }),
+    experience,
+    education,
+    totalExperienceMonths: totalExperienceMonths(experience),
+    highestEducationLevel: highestEducationLevel(education),
+    parsedAt: new Date(),
+  };
+};
+
+// The stored file behind a resume, kept before the resume is replaced
+const fileRef = ({ public_id, storage } = {}) => (public_id ? { public_id, storage } : null);
+
+/**
+ * Replaces the profile's default resume with an uploaded file and re-parses
+ * it. The profile lets go of the previous file; applications that use it
+ * hold their own references.
+ */
+export const replaceProfileResume = async (profile, file, inspected) => {
+  const uploaded = await storeUpload(file, inspected);
+  const previous = fileRef(profile.resume);
+
+  profile.resume = {
+    public_id: uploaded.fileId,
+    storage: uploaded.storage,
+    url: "/api/v1/candidate-profile/resume",
+    originalName: file.name,
+    contentType: uploaded.contentType,
+    size: uploaded.size,
+    checksum: uploaded.checksum,
+    uploadDate: uploaded.uploadDate,
+  };
+  profile.resumeText = await safeExtractResumeText(profile.resume);
+  profile.set(parseProfileResume(profile.resumeText, {
+    keepSkills: profile.skillsSource === "manual",
+  }));
+  await profile.save();
+
+  if (previous) {
+    await releaseStoredFile(previous);
+  }
+  return profile;
+};
+
+export const removeProfileResume = async (profile) => {
+  const previous = fileRef(profile.resume);
+  profile.resume = undefined;
+  profile.resumeText = undefined;
+  await profile.save();
+  if (previous) {
+    await releaseStoredFile(previous);
+  }
+  return profile;
+};
+
+// Shares the profile's resume file with an application; returns the
+// application's resume fields plus the already extracted text
+export const attachProfileResume = async (profile) => {
+  const shared = await shareStoredFile(profile.resume);
+  return {
+    resume: {
+      public_id: shared.fileId,
+      storage: shared.storage,
+      url: `/api/v1/application/resume/${shared.fileId}`,
+      contentType: profile.resume.contentType,
+      originalName: profile.resume.originalName,
+      size: profile.resume.size,
+      checksum: shared.checksum,
+    },
+    resumeText: profile.resumeText,
+  };
+};
+
+export const getCandidateProfile = (userId, { withResumeText = false } = {}) => {
+  const query = CandidateProfile.findOne({ user: userId });
+  return withResumeText ? query.select("+resumeText") : query;
+};
+
+export default {
+  PROFILE_CONTACT_FIELDS,
+  normalizeSkills,
+  parseProfileResume,
+  replaceProfileResume,
+  removeProfileResume,
+  attachProfileResume,
+  getCandidateProfile,
+};
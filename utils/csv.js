@@ -0,0 +1,25 @@
+// utils/csv.js
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Builds an RFC 4180 CSV document. `columns` is a list of
+ * { header, value(row) } definitions applied to every row.
+ */
+export const toCSV = (rows, columns) => {
+  const lines = [columns.map(({ header }) => escapeCell(header)).join(",")];
+  rows.forEach((row, index) => {
+    lines.push(columns.map(({ value }) => escapeCell(value(row, index))).join(","));
+  });
+  return `${lines.join("\r\n")}\r\n`;
+};
+
+export default toCSV;
@@ -0,0 +1,67 @@
+// utils/emailOutbox.js
+import { EmailMessage } from "../models/emailMessageSchema.js";
+import { Application } from "../models/applicationSchema.js";
+import { WorkQueue } from "./workQueue.js";
+import emailService from "./emailService.js";
+
+// Follow-up updates once an email of a given category has gone out
+const onDelivered = {
+  feedback: (emailMessage) =>
+    Application.updateOne(
+      { _id: emailMessage.application },
+      {
+        $set: {
+          emailSent: true,
+          sentEmail: emailMessage.text,
+          sentEmailSubject: emailMessage.subject,
+          sentEmailOutcome: emailMessage.metadata?.outcome || null,
+        },
+      }
+    ),
+};
+
+const deliverEmail = async (emailMessage) => {
+  const result = await emailService.sendEmail({
+    email: emailMessage.to,
+    cc: emailMessage.cc,
+    subject: emailMessage.subject,
+    message: emailMessage.text,
+    html: emailMessage.html,
+  });
+
+  await EmailMessage.updateOne(
+    { _id: emailMessage._id },
+    { $set: { messageId: result.messageId, transport: result.transport, sentAt: new Date() } }
+  );
+
+  const followUp = onDelivered[emailMessage.category];
+  if (followUp && emailMessage.application) {
+    await followUp(emailMessage);
+  }
+};
+
+const emailOutbox = new WorkQueue({
+  name: "email",
+  model: EmailMessage,
+  handler: deliverEmail,
+  onDeadLetter: async (emailMessage, error) => {
+    console.error("Email permanently failed:", {
+      emailId: emailMessage._id,
+      recipient: emailMessage.to,
+      attempts: emailMessage.attempts,
+      message: error.message,
+    });
+  },
+  concurrency: parseInt(process.env.EMAIL_WORKERS) || 1,
+  pollInterval: parseInt(process.env.EMAIL_POLL_INTERVAL_MS) || 3000,
+  baseDelay: 30 * 1000,
+  maxDelay: 60 * 60 * 1000,
+});
+
+export const getEmailHistory = (applicationId) =>
+  EmailMessage.find({ application: applicationId })
+    .select("-html -failures")
+    .sort({ createdAt: -1 })
+    .lean();
+
+export default emailOutbox;
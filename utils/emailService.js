@@ -1,35 +1,73 @@
 // utils/emailService.js
 import nodemailer from 'nodemailer';
+import fs from 'fs/promises';
+import path from 'path';
 import { logError } from '../middlewares/error.js';
+import { EmailMessage } from '../models/emailMessageSchema.js';
+
+const TRANSPORTS = ['smtp', 'file', 'stream'];
+// Only the latest messages are kept, so a long-running process using the
+// stream transport does not grow without bound
+const MAX_SENT_MESSAGES = 100;
 
 class EmailService {
   constructor() {
     this.transporter = null;
     this.initialized = false;
+    this.transportName = null;
+    // Last MAX_SENT_MESSAGES handled by the stream transport, newest last
+    this.sentMessages = [];
+  }
+
+  // EMAIL_TRANSPORT picks how mail leaves the process:
+  //   smtp   - deliver through SMTP_HOST (default)
+  //   file   - write .eml files to EMAIL_FILE_DIR (default tmp/mail)
+  //   stream - keep messages in memory, default when NODE_ENV is test
+  resolveTransport() {
+    const name = process.env.EMAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'test' ? 'stream' : 'smtp');
+    if (!TRANSPORTS.includes(name)) {
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}". Use one of: ${TRANSPORTS.join(', ')}`);
+    }
+    return name;
   }
 
   async initialize() {
     if (this.initialized) return;
 
+    const transportName = this.resolveTransport();
+
     try {
-      // Create transporter
-      this.transporter = nodemailer.createTransport({
-        host: process.env.SMTP_HOST,
-        port: process.env.SMTP_PORT,
-        secure: process.env.SMTP_PORT === '465',
-        auth: {
-          user: process.env.SMTP_USER,
-          pass: process.env.SMTP_PASS
-        }
-      });
+      if (transportName === 'smtp') {
+        // Create transporter
+        this.transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: process.env.SMTP_PORT,
+          secure: process.env.SMTP_PORT === '465',
+          auth: {
+            user: process.env.SMTP_USER,
+            pass: process.env.SMTP_PASS
+          }
+        });
+
+        // Verify connection
+        await this.transporter.verify();
+      } else {
+        // Offline modes render the full MIME message without sending it
+        this.transporter = nodemailer.createTransport({
+          streamTransport: true,
+          buffer: true,
+          newline: 'unix'
+        });
+      }
 
-      // Verify connection
-      await this.transporter.verify();
-      console.log('Email service initialized successfully');
+      this.transportName = transportName;
+      console.log(`Email service initialized successfully (${transportName} transport)`);
       this.initialized = true;
     } catch (error) {
       logError(error, {
         context: 'Email Service Initialization',
+        transport: transportName,
         smtp: {
           host: process.env.SMTP_HOST,
           port: process.env.SMTP_PORT,
@@ -40,6 +78,14 @@ class EmailService {
     }
   }
 
+  async writeMessageFile(info) {
+    const directory = path.resolve(process.env.EMAIL_FILE_DIR || 'tmp/mail');
+    await fs.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '_')}.eml`;
+    await fs.writeFile(path.join(directory, fileName), info.message);
+    return path.join(directory, fileName);
+  }
+
   async sendEmail(options) {
     if (!this.initialized) {
       await this.initialize();
@@ -48,7 +94,7 @@ class EmailService {
     try {
       // Email options
       const mailOptions = {
-        from: `${process.env.SMTP_FROM_NAME} <${process.env.SMTP_FROM_EMAIL}>`,
+        from: `${process.env.SMTP_FROM_NAME || 'RecruitPilot'} <${process.env.SMTP_FROM_EMAIL || 'no-reply@localhost'}>`,
         to: options.email,
         subject: options.subject,
         text: options.message
@@ -66,16 +112,28 @@ class EmailService {
 
       // Send email
       const info = await this.transporter.sendMail(mailOptions);
-      
+
+      if (this.transportName === 'file') {
+        info.file = await this.writeMessageFile(info);
+      } else if (this.transportName === 'stream') {
+        this.sentMessages.push({ ...mailOptions, messageId: info.messageId, raw: info.message.toString() });
+        if (this.sentMessages.length > MAX_SENT_MESSAGES) {
+          this.sentMessages.splice(0, this.sentMessages.length - MAX_SENT_MESSAGES);
+        }
+      }
+
       console.log('Email sent successfully:', {
         messageId: info.messageId,
         recipient: options.email,
-        subject: options.subject
+        subject: options.subject,
+        transport: this.transportName,
+        ...(info.file && { file: info.file })
       });
 
       return {
         success: true,
-        messageId: info.messageId
+        messageId: info.messageId,
+        transport: this.transportName
       };
     } catch (error) {
       logError(error, {
@@ -87,36 +145,56 @@ class EmailService {
     }
   }
 
-  async sendFeedbackEmail(application, customEmail, jobTitle) {
-    try {
-      const emailContent = customEmail || application.candidateEmail;
-      if (!emailContent) {
-        throw new Error('No email content provided');
-      }
+  /**
+   * Records an email in the outbox; the email queue (utils/emailOutbox.js)
+   * delivers it in the background and retries failures with backoff.
+   */
+  async queueEmail({ to, cc, subject, message, html, category, application, metadata, createdBy }) {
+    if (!to || !subject || !message) {
+      throw new Error('Recipient, subject and message are required');
+    }
 
-      // Replace placeholders
-      const formattedContent = emailContent
-        .replace('[Candidate Name]', application.name)
-        .replace('[Position]', jobTitle || 'the position');
+    const emailMessage = await EmailMessage.create({
+      to,
+      cc,
+      subject,
+      text: message,
+      html,
+      category,
+      application,
+      metadata,
+      createdBy,
+      maxAttempts: parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6
+    });
 
-      await this.sendEmail({
-        email: application.email,
-        subject: `Application Status Update - ${jobTitle || 'Position'}`,
-        message: formattedContent,
-        html: formattedContent.replace(/\n/g, '<br>')
-      });
+    console.log('Email queued:', {
+      emailId: emailMessage._id,
+      recipient: to,
+      category: emailMessage.category
+    });
 
-      return true;
-    } catch (error) {
-      logError(error, {
-        context: 'Send Feedback Email',
-        applicationId: application._id,
-        candidateEmail: application.email
-      });
-      throw error;
+    return emailMessage;
+  }
+
+  // `email` is the rendered { subject, message, html, outcome, source } from
+  // composeApplicationEmail (utils/emailTemplates.js)
+  async sendFeedbackEmail(application, email, sentBy) {
+    if (!email?.message) {
+      throw new Error('No email content provided');
     }
+
+    return this.queueEmail({
+      to: application.email,
+      subject: email.subject,
+      message: email.message,
+      html: email.html,
+      category: 'feedback',
+      application: application._id,
+      metadata: { outcome: email.outcome, source: email.source },
+      createdBy: sentBy
+    });
   }
 }
 
 const emailService = new EmailService();
-export default emailService;
\ No newline at end of file
+export default emailService;
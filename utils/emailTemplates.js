@@ -1,4 +1,76 @@
 // utils/emailTemplates.js
+import ErrorHandler from "../middlewares/error.js";
+import { EmailTemplate } from "../models/emailTemplateSchema.js";
+import { Job } from "../models/jobSchema.js";
+import { User } from "../models/userSchema.js";
+import { Organization } from "../models/organizationSchema.js";
+import { getPipelineStages, findStage, currentStageKey } from "./pipeline.js";
+import { scopeOfApplication, scopeQuery } from "./organizations.js";
+
+export const EMAIL_OUTCOMES = ["received", "rejected", "interview_invite", "offer"];
+
+// Values available to templates as {{name}}
+export const TEMPLATE_PLACEHOLDERS = {
+  candidateName: "Full name from the application",
+  candidateFirstName: "First name from the application",
+  jobTitle: "Title of the job applied for",
+  jobLocation: "City and country of the job",
+  companyName: "Organization name, or the employer's name outside one",
+  recruiterName: "Name of the person sending the email",
+  stage: "Current pipeline stage label",
+  applicationDate: "Date the application was submitted",
+  feedback: "The candidate email drafted by the AI analysis",
+};
+
+// Bracket placeholders used by AI-drafted emails and older templates
+const LEGACY_PLACEHOLDERS = {
+  "[Candidate Name]": "candidateName",
+  "[Candidate's Name]": "candidateName",
+  "[Position]": "jobTitle",
+  "[Job Title]": "jobTitle",
+  "[Company Name]": "companyName",
+  "[Company]": "companyName",
+  "[Your Name]": "recruiterName",
+};
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+export const DEFAULT_EMAIL_TEMPLATES = {
+  received: {
+    subject: "We received your application for {{jobTitle}}",
+    body: `Dear {{candidateName}},
+
+Thank you for applying for the {{jobTitle}} position at {{companyName}}. We have received your application and our team is reviewing it.
+
+We will be in touch with next steps soon.`,
+  },
+  rejected: {
+    subject: "Your application for {{jobTitle}}",
+    body: `Dear {{candidateName}},
+
+Thank you for your interest in the {{jobTitle}} position at {{companyName}} and for the time you put into your application.
+
+After careful consideration we have decided not to move forward with your application at this time.
+
+We wish you every success in your search.`,
+  },
+  interview_invite: {
+    subject: "Interview invitation - {{jobTitle}}",
+    body: `Dear {{candidateName}},
+
+Thank you for applying for the {{jobTitle}} position at {{companyName}}. We were impressed by your application and would like to invite you to an interview.
+
+Please reply to this email with a few times that suit you over the coming week.`,
+  },
+  offer: {
+    subject: "Offer for the {{jobTitle}} position",
+    body: `Dear {{candidateName}},
+
+We are delighted to offer you the {{jobTitle}} position at {{companyName}}.
+
+{{recruiterName}} will be in touch shortly with the details of the offer and the next steps.`,
+  },
+};
 
 export const formatApplicationFeedback = (content, jobTitle) => {
   // Add signature if not present
@@ -8,7 +80,7 @@ export const formatApplicationFeedback = (content, jobTitle) => {
 
   // Add footer
   const footer = `\n\n---\nThis email was sent via RecruitPilot AI Recruitment System. Please do not reply to this email.`;
-  
+
   return content + footer;
 };
 
@@ -27,4 +99,155 @@ At this time, we are still in the process of reviewing applications and will be
 
 Best regards,
 RecruitPilot AI Team`;
-};
\ No newline at end of file
+};
+
+// Placeholders in a template that renderTemplate would not know how to fill
+export const findUnknownPlaceholders = (text = "") =>
+  [...new Set([...text.matchAll(PLACEHOLDER)].map((match) => match[1]))].filter(
+    (name) => !(name in TEMPLATE_PLACEHOLDERS)
+  );
+
+/**
+ * Replaces every {{placeholder}} (and the legacy [Bracket] forms) in the
+ * text. Unknown placeholders are left untouched so they stand out in a
+ * preview; missing values render as an empty string.
+ */
+export const renderTemplate = (text = "", context = {}) => {
+  let rendered = text.replace(PLACEHOLDER, (match, name) =>
+    name in TEMPLATE_PLACEHOLDERS ? String(context[name] ?? "") : match
+  );
+  Object.entries(LEGACY_PLACEHOLDERS).forEach(([placeholder, name]) => {
+    rendered = rendered.split(placeholder).join(String(context[name] ?? ""));
+  });
+  // Drop the blank lines left behind by empty placeholders
+  return rendered.replace(/\n{3,}/g, "\n\n").trim();
+};
+
+export const buildTemplateContext = ({ application, job, employer, organization, stageLabel }) => {
+  const candidateName = application.name || "";
+  const companyName = organization?.name || employer?.name || "our team";
+  // Applications from before the schema had timestamps are dated by their id
+  const appliedAt = application.createdAt || application._id?.getTimestamp?.();
+  return {
+    candidateName,
+    candidateFirstName: candidateName.split(/\s+/)[0],
+    jobTitle: job?.title || "the position",
+    jobLocation: [job?.city, job?.country].filter(Boolean).join(", "),
+    companyName,
+    recruiterName: employer?.name || "Our team",
+    stage: stageLabel || "",
+    applicationDate: appliedAt
+      ? new Date(appliedAt).toLocaleDateString("en-GB", { dateStyle: "long" })
+      : "",
+    // The AI email is written for the candidate already; fill any bracket
+    // placeholders it used before it is embedded
+    feedback: application.candidateEmail
+      ? renderTemplate(application.candidateEmail, {
+          candidateName,
+          jobTitle: job?.title || "the position",
+          companyName,
+          recruiterName: employer?.name || "Our team",
+        })
+      : "",
+  };
+};
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Renders subject and body and adds the signature/footer used by every email
+export const renderEmail = ({ subject, body }, context) => {
+  const message = formatApplicationFeedback(renderTemplate(body, context), context.jobTitle);
+  return {
+    subject: renderTemplate(subject, context) || getEmailSubject(context.jobTitle),
+    message,
+    html: escapeHtml(message).replace(/\n/g, "<br>"),
+    unknownPlaceholders: findUnknownPlaceholders(`${subject}\n${body}`),
+  };
+};
+
+export const validateTemplate = ({ subject, body }) => {
+  if (!subject || !body) {
+    throw new ErrorHandler("Please provide both subject and body.", 400);
+  }
+  const unknown = findUnknownPlaceholders(`${subject}\n${body}`);
+  if (unknown.length) {
+    throw new ErrorHandler(
+      `Unknown placeholder(s): ${unknown.join(", ")}. Available: ${Object.keys(TEMPLATE_PLACEHOLDERS).join(", ")}.`,
+      400
+    );
+  }
+};
+
+// The scope's stored template for an outcome, or the default one
+export const getEmailTemplate = async (scope, outcome) => {
+  if (!EMAIL_OUTCOMES.includes(outcome)) {
+    throw new ErrorHandler(`Email outcome must be one of: ${EMAIL_OUTCOMES.join(", ")}.`, 400);
+  }
+  const stored = await EmailTemplate.findOne({ ...scopeQuery(scope), outcome }).lean();
+  return stored
+    ? { outcome, subject: stored.subject, body: stored.body, isDefault: false, updatedAt: stored.updatedAt }
+    : { outcome, ...DEFAULT_EMAIL_TEMPLATES[outcome], isDefault: true };
+};
+
+/**
+ * Builds the email for an application. A customEmail is sent as written;
+ * otherwise the template for `outcome` (or for the application's current
+ * pipeline stage) is used, falling back to the AI-drafted candidate email.
+ * `subject` and `body` override the stored template, so unsaved edits can
+ * be previewed.
+ */
+export const composeApplicationEmail = async (
+  application,
+  { outcome, customEmail, subject, body, sender } = {}
+) => {
+  const scope = scopeOfApplication(application);
+  const [job, employer, organization, stages] = await Promise.all([
+    Job.findById(application.jobId).select("title city country"),
+    User.findById(sender || application.employerID.user).select("name"),
+    scope.organization ? Organization.findById(scope.organization).select("name") : null,
+    getPipelineStages(scope),
+  ]);
+  const stageKey = currentStageKey(application, stages);
+  const stage = findStage(stages, stageKey);
+  const context = buildTemplateContext({
+    application,
+    job,
+    employer,
+    organization,
+    stageLabel: stage?.label,
+  });
+
+  let template;
+  let source;
+  const selectedOutcome = customEmail ? null : outcome || stage?.email || null;
+
+  if (customEmail) {
+    template = { subject: subject || getEmailSubject("{{jobTitle}}"), body: customEmail };
+    source = "custom";
+  } else if (selectedOutcome) {
+    const stored = await getEmailTemplate(scope, selectedOutcome);
+    template = { subject: subject || stored.subject, body: body || stored.body };
+    source = "template";
+  } else {
+    if (!application.candidateEmail) {
+      throw new ErrorHandler("No email content available. Choose an outcome or write a custom email.", 400);
+    }
+    template = {
+      subject: subject || application.candidateEmailSubject || getEmailSubject("{{jobTitle}}"),
+      body: application.candidateEmail,
+    };
+    source = "analysis";
+  }
+
+  return {
+    ...renderEmail(template, context),
+    outcome: selectedOutcome,
+    source,
+    stage: stageKey,
+  };
+};
@@ -0,0 +1,79 @@
+// utils/fileStreaming.js
+import { pipeline } from 'stream/promises';
+
+// Plain-ASCII fallback plus the RFC 5987 form for any other characters
+const contentDisposition = (disposition, filename) => {
+  const fallback = filename.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+/**
+ * Sends a stored file as a stream with validators and byte ranges:
+ * ETag / Last-Modified with conditional GET (304), a single Range
+ * (206, or 416 when unsatisfiable) honoured only while If-Range still
+ * matches, and HEAD. Stored files never change under the same id, so the
+ * id and length make a strong ETag.
+ */
+export const sendStoredFile = async (req, res, file, {
+  openStream,
+  filename,
+  contentType,
+  disposition = 'inline',
+  cacheControl = 'private, no-cache',
+}) => {
+  const etag = `"${file._id}-${file.length}"`;
+  const lastModified = new Date(file.uploadDate).toUTCString();
+
+  res.setHeader('Accept-Ranges', 'bytes');
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', lastModified);
+  res.setHeader('Cache-Control', cacheControl);
+  res.setHeader('Content-Type', contentType || file.metadata?.contentType || 'application/octet-stream');
+  res.setHeader('Content-Disposition', contentDisposition(disposition, filename || file.filename));
+
+  // req.fresh compares If-None-Match / If-Modified-Since to the headers above
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  let range;
+  const ifRange = req.headers['if-range'];
+  if (req.headers.range && (!ifRange || ifRange === etag || ifRange === lastModified)) {
+    const ranges = req.range(file.length, { combine: true });
+    if (ranges === -1) {
+      res.setHeader('Content-Range', `bytes */${file.length}`);
+      return res.status(416).end();
+    }
+    // Malformed or multi-part ranges get the whole file
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      [range] = ranges;
+    }
+  }
+
+  if (range) {
+    res.status(206);
+    res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${file.length}`);
+    res.setHeader('Content-Length', range.end - range.start + 1);
+  } else {
+    res.status(200);
+    res.setHeader('Content-Length', file.length);
+  }
+
+  if (req.method === 'HEAD') {
+    return res.end();
+  }
+
+  try {
+    await pipeline(await openStream(range), res);
+  } catch (error) {
+    // A client that goes away mid-download is not an error
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    if (res.headersSent) {
+      console.error('Error streaming file:', { fileId: file._id, message: error.message });
+      return res.destroy(error);
+    }
+    throw error;
+  }
+};
+
+export default sendStoredFile;
@@ -1,62 +1,121 @@
 // utils/gridfsStorage.js
 import mongoose from 'mongoose';
 import { GridFSBucket } from 'mongodb';
-import { createReadStream } from 'fs';
-import sharp from 'sharp';
 import ErrorHandler from '../middlewares/error.js';
 
 let bucket;
+// Rendered thumbnails, keyed by source file and size (utils/resumePreview.js)
+let previewBucket;
 
 export const initGridFS = () => {
   bucket = new GridFSBucket(mongoose.connection.db, {
     bucketName: 'resumes'
   });
+  previewBucket = new GridFSBucket(mongoose.connection.db, {
+    bucketName: 'previews'
+  });
 };
 
-export const uploadToGridFS = async (file) => {
-  try {
-    const filename = `${Date.now()}-${file.name}`;
-    const fileBuffer = await processFile(file);
+const bucketFor = (name = 'resumes') => (name === 'previews' ? previewBucket : bucket);
 
-    const metadata = {
-      originalName: file.name,
-      contentType: file.mimetype,
-      size: fileBuffer.length,
-      uploadDate: new Date()
-    };
+// The files document (length, uploadDate, metadata) without any content
+export const findFile = async (fileId, bucketName) => {
+  if (!mongoose.isValidObjectId(fileId)) {
+    throw new ErrorHandler('File not found', 404);
+  }
+  const [file] = await bucketFor(bucketName)
+    .find({ _id: new mongoose.Types.ObjectId(fileId) })
+    .toArray();
+  if (!file) {
+    throw new ErrorHandler('File not found', 404);
+  }
+  return file;
+};
 
-    // Use chunked upload for better memory management
-    return new Promise((resolve, reject) => {
-      const uploadStream = bucket.openUploadStream(filename, {
-        chunkSizeBytes: 255 * 1024, // 255KB chunks
-        metadata
-      });
+export const findFileByName = (filename, bucketName) =>
+  bucketFor(bucketName).find({ filename }).limit(1).next();
 
-      const readStream = createReadStream(file.tempFilePath);
+// Cursor over a bucket's files documents, for the storage sweeper
+export const listFiles = (filter, bucketName) =>
+  bucketFor(bucketName).find(filter, {
+    projection: { _id: 1, filename: 1, length: 1, uploadDate: 1, metadata: 1 }
+  });
 
-      // Handle upload events
-      uploadStream.on('error', (error) => {
-        console.error('Upload stream error:', error);
-        reject(error);
-      });
+// Chunks left without a files document, e.g. by an interrupted upload.
+// Returns the files ids they belong to with their chunk counts.
+export const findOrphanedChunks = (bucketName = 'resumes') =>
+  mongoose.connection.db
+    .collection(`${bucketName}.chunks`)
+    .aggregate([
+      { $group: { _id: '$files_id', chunks: { $sum: 1 } } },
+      {
+        $lookup: {
+          from: `${bucketName}.files`,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'file'
+        }
+      },
+      { $match: { file: { $size: 0 } } },
+      { $project: { chunks: 1 } }
+    ])
+    .toArray();
 
-      uploadStream.on('finish', () => {
-        resolve({
-          fileId: uploadStream.id.toString(),
-          filename,
-          ...metadata
-        });
-      });
+export const deleteChunks = (filesIds, bucketName = 'resumes') =>
+  mongoose.connection.db
+    .collection(`${bucketName}.chunks`)
+    .deleteMany({ files_id: { $in: filesIds } });
 
-      // Pipe the file to GridFS
-      readStream.pipe(uploadStream);
-    });
-  } catch (error) {
-    console.error('Error uploading to GridFS:', error);
-    throw new ErrorHandler('Failed to upload file to GridFS', 500);
-  }
+// Streams a stored file, or the inclusive byte range { start, end } of it
+export const openDownloadStream = (file, range, bucketName) =>
+  bucketFor(bucketName).openDownloadStream(
+    file._id,
+    range ? { start: range.start, end: range.end + 1 } : undefined
+  );
+
+export const storePreview = (filename, buffer, metadata) =>
+  new Promise((resolve, reject) => {
+    const uploadStream = previewBucket.openUploadStream(filename, { metadata });
+    uploadStream.on('error', reject);
+    uploadStream.on('finish', () => resolve(findFile(uploadStream.id, 'previews')));
+    uploadStream.end(buffer);
+  });
+
+export const deletePreviews = async (sourceId) => {
+  const previews = await previewBucket
+    .find({ 'metadata.source': sourceId.toString() })
+    .toArray();
+  await Promise.all(previews.map(({ _id }) => previewBucket.delete(_id)));
 };
 
+export const RESUME_CONTENT_TYPES = [
+  'application/pdf',
+  'image/png',
+  'image/jpeg',
+  'image/webp'
+];
+
+// Writes a buffer under a given id, for the GridFS storage driver
+export const storeInGridFS = (fileId, filename, buffer, metadata) =>
+  new Promise((resolve, reject) => {
+    const uploadStream = bucket.openUploadStreamWithId(
+      new mongoose.Types.ObjectId(fileId),
+      filename,
+      {
+        chunkSizeBytes: 255 * 1024, // 255KB chunks
+        metadata
+      }
+    );
+
+    uploadStream.on('error', (error) => {
+      console.error('Upload stream error:', error);
+      reject(error);
+    });
+    uploadStream.on('finish', () => resolve(findFile(fileId)));
+
+    uploadStream.end(buffer);
+  });
+
 export const getFileFromGridFS = async (fileId) => {
   try {
     const _id = new mongoose.Types.ObjectId(fileId);
@@ -90,21 +149,16 @@ export const getFileFromGridFS = async (fileId) => {
   }
 };
 
-// Helper function to process different file types
-const processFile = async (file) => {
-  // For images, optimize them
-  if (file.mimetype.startsWith('image/')) {
-    const buffer = await sharp(file.tempFilePath)
-      .resize(1200, null, { // Max width 1200px, maintain aspect ratio
-        withoutEnlargement: true,
-        fit: 'inside'
-      })
-      .jpeg({ quality: 80 }) // Convert to JPEG with 80% quality
-      .toBuffer();
-    
-    return buffer;
+// Removes a stored file; a file that is already gone is not an error
+export const deleteFromGridFS = async (fileId) => {
+  try {
+    await bucket.delete(new mongoose.Types.ObjectId(fileId));
+    return true;
+  } catch (error) {
+    if (/File not found/i.test(error.message)) {
+      return false;
+    }
+    console.error('Error deleting from GridFS:', error);
+    throw error;
   }
-
-  // For PDFs and other files, return the original buffer
-  return file.tempFilePath;
-};
\ No newline at end of file
+};
@@ -0,0 +1,172 @@
+// utils/jobLifecycle.js
+import { Job } from "../models/jobSchema.js";
+import { User } from "../models/userSchema.js";
+import { Application } from "../models/applicationSchema.js";
+import ErrorHandler from "../middlewares/error.js";
+import emailService from "./emailService.js";
+
+export const JOB_STATUSES = ["draft", "published", "closed"];
+
+// Jobs from before statuses existed only have the expired flag
+export const currentStatus = (job) =>
+  job.status || (job.expired ? "closed" : "published");
+
+/**
+ * Fields to set when a job moves to a status. `expired` stays in step
+ * (true unless published) because search and older clients filter on it.
+ */
+export const statusFields = (status, { now = new Date(), reason = "manual", from } = {}) => {
+  switch (status) {
+    case "published":
+      return {
+        status,
+        expired: false,
+        publishedAt: now,
+        closedAt: null,
+        closedReason: null,
+        // A draft goes live as a new posting
+        ...(from === "draft" ? { jobPostedOn: now } : {}),
+      };
+    case "closed":
+      return { status, expired: true, closedAt: now, closedReason: reason };
+    default:
+      return { status, expired: true };
+  }
+};
+
+const parseDate = (value, name) => {
+  if (value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ErrorHandler(`${name} must be a valid date.`, 400);
+  }
+  return date;
+};
+
+/**
+ * Validates status / publishAt / closesAt (and the legacy expired flag)
+ * from a create or update request against the job's current state and
+ * returns the fields to write. A future publishAt schedules the job as a
+ * draft that the scheduler publishes when the time comes, and a future
+ * closesAt reopens a job that closed at its deadline.
+ */
+export const resolveLifecycle = (input = {}, current = {}, now = new Date()) => {
+  const updates = {};
+  const has = (field) => input[field] !== undefined;
+
+  if (has("publishAt")) updates.publishAt = parseDate(input.publishAt, "publishAt");
+  if (has("closesAt")) updates.closesAt = parseDate(input.closesAt, "closesAt");
+  const publishAt = has("publishAt") ? updates.publishAt : current.publishAt;
+  const closesAt = has("closesAt") ? updates.closesAt : current.closesAt;
+  // New jobs have no current state and are published unless told otherwise
+  const previous = current._id ? currentStatus(current) : undefined;
+
+  let status;
+  if (has("status")) {
+    status = input.status;
+  } else if (has("expired")) {
+    status = input.expired === true || input.expired === "true" ? "closed" : "published";
+  } else if (has("publishAt") && publishAt > now) {
+    status = "draft";
+  } else if (
+    has("closesAt") &&
+    closesAt > now &&
+    previous === "closed" &&
+    current.closedReason === "deadline"
+  ) {
+    status = "published";
+  }
+  if (status !== undefined && !JOB_STATUSES.includes(status)) {
+    throw new ErrorHandler(`status must be one of: ${JOB_STATUSES.join(", ")}.`, 400);
+  }
+
+  const effective = status || previous || "published";
+  if (effective === "published" && publishAt > now) {
+    throw new ErrorHandler("A job with a future publishAt must stay a draft until then.", 400);
+  }
+  // A stored deadline that has just passed is the scheduler's to act on, so
+  // edits that neither set closesAt nor change the status are not blocked by it
+  const checksClosesAt = has("closesAt") || effective !== previous;
+  if (checksClosesAt && effective !== "closed" && closesAt && closesAt <= now) {
+    throw new ErrorHandler("closesAt must be in the future.", 400);
+  }
+  if (publishAt && closesAt && closesAt <= publishAt) {
+    throw new ErrorHandler("closesAt must be after publishAt.", 400);
+  }
+
+  if (effective !== previous) {
+    Object.assign(updates, statusFields(effective, { now, from: previous }));
+  }
+  return updates;
+};
+
+export const isAcceptingApplications = (job, now = new Date()) =>
+  currentStatus(job) === "published" &&
+  !job.expired &&
+  !(job.closesAt && job.closesAt <= now);
+
+// Publishes drafts whose publishAt has passed
+export const publishScheduledJobs = async (now = new Date()) => {
+  const { modifiedCount } = await Job.updateMany(
+    { status: "draft", publishAt: { $lte: now } },
+    { $set: statusFields("published", { now, from: "draft" }) }
+  );
+  if (modifiedCount) {
+    console.log("Scheduled jobs published:", { count: modifiedCount });
+  }
+  return modifiedCount;
+};
+
+const notifyJobClosed = async (job) => {
+  const employer = await User.findById(job.postedBy).select("name email");
+  if (!employer) return;
+  const applications = await Application.countDocuments({ jobId: job._id });
+
+  await emailService.queueEmail({
+    to: employer.email,
+    subject: `Your job "${job.title}" has closed`,
+    message:
+      `Hi ${employer.name},\n\n` +
+      `"${job.title}" reached its closing date on ${job.closesAt.toUTCString()} and no longer accepts applications. ` +
+      `It received ${applications} application(s).\n\n` +
+      "You can reopen it by setting a new closing date in the future.",
+    category: "job_closed",
+    metadata: { job: job._id, applications },
+  });
+};
+
+/**
+ * Closes open jobs past their closesAt and emails each employer. Jobs are
+ * claimed one at a time so concurrent schedulers never notify twice.
+ */
+export const closeExpiredJobs = async (now = new Date()) => {
+  let closed = 0;
+  for (;;) {
+    const job = await Job.findOneAndUpdate(
+      { expired: false, closesAt: { $lte: now } },
+      { $set: statusFields("closed", { now, reason: "deadline" }) },
+      { new: true }
+    );
+    if (!job) break;
+    closed += 1;
+    try {
+      await notifyJobClosed(job);
+    } catch (error) {
+      console.error("Failed to queue job closed email:", { jobId: job._id, message: error.message });
+    }
+  }
+  if (closed) {
+    console.log("Jobs closed at deadline:", { count: closed });
+  }
+  return closed;
+};
+
+export default {
+  JOB_STATUSES,
+  currentStatus,
+  statusFields,
+  resolveLifecycle,
+  isAcceptingApplications,
+  publishScheduledJobs,
+  closeExpiredJobs,
+};
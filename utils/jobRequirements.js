@@ -0,0 +1,261 @@
+// utils/jobRequirements.js
+import ErrorHandler from "../middlewares/error.js";
+import { splitLines, splitSentences } from "./nlp/tokenize.js";
+import { extractSkills, canonicalizeSkill } from "./nlp/skillsTaxonomy.js";
+import { EDUCATION_LEVEL_RANK, detectEducationLevel } from "./nlp/resumeParser.js";
+
+export const EDUCATION_LEVELS = Object.keys(EDUCATION_LEVEL_RANK);
+
+const REQUIRED_SKILL_WEIGHT = 3;
+const PREFERRED_SKILL_WEIGHT = 1;
+const MAX_WEIGHT = 5;
+const EXPERIENCE_WEIGHT = 3;
+const EDUCATION_WEIGHT = 3;
+const LANGUAGE_WEIGHT = 2;
+
+const REQUIRED_HEADING = /^(?:requirements|required(?:\s+skills)?|must[\s-]haves?|what you(?:'ll)? need|qualifications|minimum qualifications|you have|who you are)\b/i;
+const PREFERRED_HEADING = /^(?:nice[\s-]to[\s-]haves?|preferred(?:\s+(?:skills|qualifications))?|bonus(?:\s+points)?|pluses|desirable|good to have)\b/i;
+const OTHER_HEADING = /^(?:responsibilities|what you(?:'ll)? do|about (?:us|the role|the company)|benefits|perks|we offer|the role)\b/i;
+
+const PREFERRED_CUE = /\b(?:preferred|nice[\s-]to[\s-]have|a plus|is a bonus|bonus|ideally|desirable|advantageous|familiarity with|exposure to)\b/i;
+const REQUIRED_CUE = /\b(?:must|required|requires?|need(?:ed)?|essential|mandatory|proven|minimum)\b/i;
+
+const YEARS = /(\d{1,2})\s*\+?\s*(?:-\s*\d{1,2}\s*)?(?:years?|yrs?)\b/gi;
+
+const LANGUAGES = [
+  "English", "Spanish", "French", "German", "Portuguese", "Italian", "Dutch",
+  "Mandarin", "Chinese", "Cantonese", "Japanese", "Korean", "Arabic", "Hindi",
+  "Russian", "Turkish", "Polish", "Swedish", "Norwegian", "Danish", "Finnish",
+  "Greek", "Hebrew", "Swahili", "Yoruba", "Igbo", "Hausa", "Amharic", "Zulu",
+];
+// A language name only counts as a requirement in a sentence about language
+const LANGUAGE_CUE = /\b(?:fluen(?:t|cy)|speak(?:s|ing)?|spoken|written|language|proficien(?:t|cy)|native|bilingual)\b/i;
+
+// Employers can enter any language name ("French (Canada)"), so it is
+// matched literally rather than as a pattern
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+const languagePattern = (language) =>
+  new RegExp(`(?<![a-z0-9])${escapeRegExp(language)}(?![a-z0-9])`, "i");
+
+const lowestEducationLevel = (text) => {
+  const levels = splitSentences(text)
+    .flatMap((sentence) => sentence.split(/\bor\b|\//i))
+    .map(detectEducationLevel)
+    .filter(Boolean);
+  if (levels.length === 0) return null;
+  return levels.reduce((lowest, level) =>
+    EDUCATION_LEVEL_RANK[level] < EDUCATION_LEVEL_RANK[lowest] ? level : lowest
+  );
+};
+
+// Splits the description into chunks tagged "required" or "preferred"
+const classifyChunks = (description) => {
+  const chunks = [];
+  let section = null;
+
+  splitLines(description).filter(Boolean).forEach((line) => {
+    const heading = line.replace(/[:#*_-]+$/g, "").trim();
+    if (heading.length <= 40 && REQUIRED_HEADING.test(heading)) {
+      section = "required";
+      return;
+    }
+    if (heading.length <= 40 && PREFERRED_HEADING.test(heading)) {
+      section = "preferred";
+      return;
+    }
+    if (heading.length <= 40 && OTHER_HEADING.test(heading)) {
+      section = null;
+      return;
+    }
+
+    splitSentences(line).forEach((sentence) => {
+      let kind = section || "required";
+      if (PREFERRED_CUE.test(sentence)) kind = "preferred";
+      else if (!section && REQUIRED_CUE.test(sentence)) kind = "required";
+      chunks.push({ text: sentence, kind });
+    });
+  });
+
+  return chunks;
+};
+
+/**
+ * Derives structured requirements from a free-text job description:
+ * weighted skills (required vs nice-to-have), minimum years of experience,
+ * minimum education level and spoken languages.
+ */
+export const extractRequirements = (description = "") => {
+  const chunks = classifyChunks(description);
+  const skills = new Map();
+
+  chunks.forEach(({ text, kind }) => {
+    extractSkills(text).forEach((name) => {
+      const existing = skills.get(name);
+      if (!existing) {
+        skills.set(name, {
+          name,
+          required: kind === "required",
+          weight: kind === "required" ? REQUIRED_SKILL_WEIGHT : PREFERRED_SKILL_WEIGHT,
+        });
+        return;
+      }
+      // Mentioned again: a required mention wins and repetition adds weight
+      if (kind === "required" && !existing.required) {
+        existing.required = true;
+        existing.weight = REQUIRED_SKILL_WEIGHT;
+      }
+      existing.weight = Math.min(MAX_WEIGHT, existing.weight + 1);
+    });
+  });
+
+  const requiredText = chunks.filter(({ kind }) => kind === "required").map(({ text }) => text).join("\n");
+
+  const years = [...requiredText.matchAll(YEARS)].map((match) => parseInt(match[1]));
+  const languages = LANGUAGES.map((language) => {
+    const mentions = chunks.filter(
+      ({ text }) => LANGUAGE_CUE.test(text) && languagePattern(language).test(text)
+    );
+    if (mentions.length === 0) return null;
+    return { name: language, required: mentions.some(({ kind }) => kind === "required") };
+  }).filter(Boolean);
+
+  return {
+    skills: [...skills.values()],
+    minYearsExperience: years.length ? Math.max(...years) : 0,
+    educationLevel: lowestEducationLevel(requiredText) || "none",
+    languages,
+    source: "extracted",
+    extractedAt: new Date(),
+  };
+};
+
+/**
+ * Validates requirements supplied by an employer through the job form.
+ * Skills and languages may be plain strings or { name, required } objects;
+ * skills also take a weight.
+ */
+export const normalizeRequirements = (input) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new ErrorHandler("Requirements must be an object.", 400);
+  }
+
+  const skills = (input.skills || []).map((skill) => {
+    const entry = typeof skill === "string" ? { name: skill } : skill;
+    if (!entry?.name || typeof entry.name !== "string") {
+      throw new ErrorHandler("Every required skill needs a name.", 400);
+    }
+    const weight = entry.weight === undefined ? REQUIRED_SKILL_WEIGHT : Number(entry.weight);
+    if (!Number.isInteger(weight) || weight < 1 || weight > MAX_WEIGHT) {
+      throw new ErrorHandler(`Skill weight must be a whole number between 1 and ${MAX_WEIGHT}.`, 400);
+    }
+    return {
+      name: canonicalizeSkill(entry.name),
+      weight,
+      required: entry.required === undefined ? true : Boolean(entry.required),
+    };
+  });
+
+  const minYearsExperience = Number(input.minYearsExperience || 0);
+  if (!Number.isFinite(minYearsExperience) || minYearsExperience < 0 || minYearsExperience > 50) {
+    throw new ErrorHandler("Minimum years of experience must be between 0 and 50.", 400);
+  }
+
+  const educationLevel = input.educationLevel || "none";
+  if (!EDUCATION_LEVELS.includes(educationLevel)) {
+    throw new ErrorHandler(`Education level must be one of: ${EDUCATION_LEVELS.join(", ")}.`, 400);
+  }
+
+  const languages = (input.languages || [])
+    .map((language) => (typeof language === "string" ? { name: language } : language))
+    .filter((language) => language?.name && String(language.name).trim())
+    .map((language) => ({
+      name: String(language.name).trim(),
+      required: language.required === undefined ? true : Boolean(language.required),
+    }));
+
+  return {
+    skills,
+    minYearsExperience,
+    educationLevel,
+    languages,
+    source: "manual",
+    extractedAt: null,
+  };
+};
+
+/**
+ * Compares a job's requirements with an application's local text analysis.
+ * Returns the weighted coverage (0-100) plus the lists of met and missing
+ * requirements for the recruiter view.
+ */
+export const matchRequirements = (requirements, { textAnalysis, resumeText = "", coverLetter = "" }) => {
+  const met = [];
+  const missing = [];
+
+  if (!requirements) {
+    return { coverage: null, met, missing, requiredMissing: 0, evaluatedAt: new Date() };
+  }
+
+  const resumeAnalysis = textAnalysis?.resumeAnalysis || {};
+  const candidateSkills = new Set(resumeAnalysis.skills || []);
+  const candidateText = `${resumeText}\n${coverLetter}`;
+
+  const check = (requirement, isMet) => (isMet ? met : missing).push(requirement);
+
+  (requirements.skills || []).forEach(({ name, weight, required }) => {
+    check({ type: "skill", name, weight, required }, candidateSkills.has(name));
+  });
+
+  if (requirements.minYearsExperience > 0) {
+    const years = Math.floor((resumeAnalysis.totalExperienceMonths || 0) / 12);
+    check(
+      {
+        type: "experience",
+        name: `${requirements.minYearsExperience}+ years of experience`,
+        weight: EXPERIENCE_WEIGHT,
+        required: true,
+        detail: `${years} years found`,
+      },
+      years >= requirements.minYearsExperience
+    );
+  }
+
+  if (requirements.educationLevel && requirements.educationLevel !== "none") {
+    const level = resumeAnalysis.highestEducationLevel || "none";
+    check(
+      {
+        type: "education",
+        name: requirements.educationLevel,
+        weight: EDUCATION_WEIGHT,
+        required: true,
+        detail: `highest level found: ${level}`,
+      },
+      EDUCATION_LEVEL_RANK[level] >= EDUCATION_LEVEL_RANK[requirements.educationLevel]
+    );
+  }
+
+  (requirements.languages || []).forEach(({ name, required }) => {
+    check(
+      {
+        type: "language",
+        name,
+        weight: required ? LANGUAGE_WEIGHT : PREFERRED_SKILL_WEIGHT,
+        required,
+      },
+      languagePattern(name).test(candidateText)
+    );
+  });
+
+  const totalWeight = [...met, ...missing].reduce((sum, { weight }) => sum + weight, 0);
+  const metWeight = met.reduce((sum, { weight }) => sum + weight, 0);
+
+  return {
+    coverage: totalWeight ? Math.round((metWeight / totalWeight) * 100) : null,
+    met,
+    missing,
+    requiredMissing: missing.filter(({ required }) => required).length,
+    evaluatedAt: new Date(),
+  };
+};
+
+export default { extractRequirements, normalizeRequirements, matchRequirements };
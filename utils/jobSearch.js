@@ -0,0 +1,134 @@
+// utils/jobSearch.js
+import mongoose from "mongoose";
+import ErrorHandler from "../middlewares/error.js";
+
+export const JOB_SEARCH_MAX_LIMIT = 100;
+
+// Sort orders for the public job search. Every order ends on _id so the
+// cursor has a unique key to resume from.
+export const JOB_SORTS = {
+  newest: { field: "jobPostedOn", direction: -1 },
+  oldest: { field: "jobPostedOn", direction: 1 },
+  salary_high: { field: "salaryMax", direction: -1 },
+  salary_low: { field: "salaryMin", direction: 1 },
+  // Only with a text query; text score cannot be used in a keyset
+  // condition, so these cursors carry an offset instead
+  relevance: { field: "score", direction: -1, offset: true },
+};
+
+export const getJobSort = (name, hasQuery) => {
+  const sortName = name || (hasQuery ? "relevance" : "newest");
+  const sort = JOB_SORTS[sortName];
+  if (!sort) {
+    throw new ErrorHandler(`sort must be one of: ${Object.keys(JOB_SORTS).join(", ")}.`, 400);
+  }
+  if (sort.offset && !hasQuery) {
+    throw new ErrorHandler("sort=relevance needs a search query (q).", 400);
+  }
+  return sort;
+};
+
+/**
+ * Single salary bounds for a job, so fixed and ranged salaries can be
+ * filtered and sorted alike. Kept on the job as salaryMin / salaryMax.
+ */
+export const salaryBounds = ({ fixedSalary, salaryFrom, salaryTo }) =>
+  fixedSalary
+    ? { salaryMin: fixedSalary, salaryMax: fixedSalary }
+    : { salaryMin: salaryFrom ?? null, salaryMax: salaryTo ?? salaryFrom ?? null };
+
+const parseSalary = (value, name) => {
+  if (value === undefined || value === "") return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new ErrorHandler(`${name} must be a positive number.`, 400);
+  }
+  return number;
+};
+
+// Filter for the search query string; only open jobs are ever listed
+export const buildJobFilter = (query) => {
+  const filter = { expired: false };
+
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  if (q) {
+    filter.$text = { $search: q };
+  }
+  for (const field of ["category", "country", "city"]) {
+    if (typeof query[field] === "string" && query[field].trim()) {
+      filter[field] = query[field].trim();
+    }
+  }
+
+  // A job matches a salary range when the two ranges overlap
+  const minSalary = parseSalary(query.minSalary, "minSalary");
+  const maxSalary = parseSalary(query.maxSalary, "maxSalary");
+  if (minSalary !== undefined && maxSalary !== undefined && minSalary > maxSalary) {
+    throw new ErrorHandler("minSalary cannot be greater than maxSalary.", 400);
+  }
+  if (minSalary !== undefined) filter.salaryMax = { $gte: minSalary };
+  if (maxSalary !== undefined) filter.salaryMin = { $lte: maxSalary };
+
+  return { filter, hasQuery: Boolean(q) };
+};
+
+export const jobSearchSort = ({ field, direction }) =>
+  field === "score"
+    ? { score: { $meta: "textScore" }, _id: 1 }
+    : { [field]: direction, _id: direction };
+
+export const encodeJobCursor = (job, sort, offset) =>
+  Buffer.from(
+    JSON.stringify(sort.offset ? [offset] : [job[sort.field], job._id])
+  ).toString("base64url");
+
+export const decodeJobCursor = (cursor, sort) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+    if (sort.offset) {
+      const [offset] = decoded;
+      if (!Number.isInteger(offset) || offset < 0) throw new Error("Malformed cursor");
+      return { offset };
+    }
+    const [value, id] = decoded;
+    if (!mongoose.isValidObjectId(id)) throw new Error("Malformed cursor");
+    return {
+      value: sort.field === "jobPostedOn" && value !== null ? new Date(value) : value,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch (error) {
+    throw new ErrorHandler("Invalid cursor.", 400);
+  }
+};
+
+// Conditions for the values that sort after `value`. MongoDB sorts jobs
+// without a value (no salary) below every number, but $gt / $lt never
+// match them, so they are named explicitly.
+const valuesAfter = (field, value, direction) => {
+  if (direction === 1) {
+    return [{ [field]: value === null ? { $ne: null } : { $gt: value } }];
+  }
+  return value === null ? [] : [{ [field]: { $lt: value } }, { [field]: null }];
+};
+
+// Keyset condition matching every job that sorts after the cursor
+export const afterJobCursor = ({ value, id }, { field, direction }) => {
+  const after = direction === 1 ? "$gt" : "$lt";
+  return {
+    $or: [
+      ...valuesAfter(field, value, direction),
+      { [field]: value, _id: { [after]: id } },
+    ],
+  };
+};
+
+export default {
+  JOB_SORTS,
+  getJobSort,
+  salaryBounds,
+  buildJobFilter,
+  jobSearchSort,
+  encodeJobCursor,
+  decodeJobCursor,
+  afterJobCursor,
+};
@@ -1,25 +1,45 @@
 // utils/jwtToken.js
-export const sendToken = (user, statusCode, res, message) => {
-  const token = user.getJWTToken();
+import { createSession, sessionLifetimeMs } from "./sessions.js";
 
-  // Cookie options
-  const options = {
-    expires: new Date(
-      Date.now() + process.env.COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    secure: process.env.NODE_ENV === 'production', // Only send cookie over HTTPS in production
-    sameSite: process.env.NODE_ENV === 'production' ? 'None' : 'Lax',
-    path: '/',
-    domain: process.env.NODE_ENV === 'production' ? process.env.COOKIE_DOMAIN : undefined
-  };
+// The refresh cookie is only sent to the user routes that need it
+const REFRESH_COOKIE_PATH = "/api/v1/user";
+
+const cookieOptions = (expires, path = '/') => ({
+  expires,
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production', // Only send cookie over HTTPS in production
+  sameSite: process.env.NODE_ENV === 'production' ? 'None' : 'Lax',
+  path,
+  domain: process.env.NODE_ENV === 'production' ? process.env.COOKIE_DOMAIN : undefined
+});
+
+// Writes a short-lived access token and the session's refresh token
+export const sendSessionTokens = (user, session, refreshToken, statusCode, res, message) => {
+  const token = user.getJWTToken(session._id);
+  const expires = new Date(Date.now() + sessionLifetimeMs());
 
   res.status(statusCode)
-    .cookie("token", token, options)
+    .cookie("token", token, cookieOptions(expires))
+    .cookie("refreshToken", refreshToken, cookieOptions(expires, REFRESH_COOKIE_PATH))
     .json({
       success: true,
       user,
       message,
       token,
+      refreshToken,
+      sessionId: session._id,
     });
-};
\ No newline at end of file
+};
+
+// Starts a new session for the user and sends its tokens
+export const sendToken = async (user, statusCode, req, res, message) => {
+  const { session, refreshToken } = await createSession(user, req);
+  sendSessionTokens(user, session, refreshToken, statusCode, res, message);
+};
+
+export const clearTokenCookies = (res) => {
+  const expired = new Date(Date.now());
+  return res
+    .cookie("token", "", cookieOptions(expired))
+    .cookie("refreshToken", "", cookieOptions(expired, REFRESH_COOKIE_PATH));
+};
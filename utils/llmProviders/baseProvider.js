@@ -0,0 +1,47 @@
+// utils/llmProviders/baseProvider.js
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 1000;
+
+/**
+ * Interface every LLM provider implements.
+ *
+ * analyzeApplication resolves to the raw model output (a JSON string or an
+ * object); AssistantService parses and validates it against the analysis
+ * schema so every provider is held to the same contract.
+ */
+export class LLMProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // Returns { isValid, issues } describing whether the provider can be used
+  async validateConfig() {
+    return { isValid: true, issues: [] };
+  }
+
+  async analyzeApplication(applicationContent, jobDescription) {
+    throw new Error(`${this.name} provider does not implement analyzeApplication`);
+  }
+
+  async testConnection() {
+    throw new Error(`${this.name} provider does not implement testConnection`);
+  }
+
+  async cleanup() {}
+
+  async retry(operation, maxRetries = MAX_RETRIES) {
+    for (let i = 0; i < maxRetries; i++) {
+      try {
+        return await operation();
+      } catch (error) {
+        if (i === maxRetries - 1) throw error;
+        await new Promise((resolve) =>
+          setTimeout(resolve, RETRY_DELAY * (i + 1))
+        );
+        console.log(`Retry attempt ${i + 1}/${maxRetries}`);
+      }
+    }
+  }
+}
+
+export default LLMProvider;
@@ -0,0 +1,99 @@
+// utils/llmProviders/deterministicProvider.js
+import { ANALYSIS_SCHEMA_VERSION } from "../analysisSchema.js";
+import { LLMProvider } from "./baseProvider.js";
+
+const MAX_JOB_TERMS = 15;
+
+const STOPWORDS = new Set([
+  "about", "above", "after", "again", "also", "and", "any", "are", "been",
+  "being", "both", "but", "can", "could", "did", "does", "doing", "each",
+  "for", "from", "further", "had", "has", "have", "having", "her", "here",
+  "him", "his", "how", "into", "its", "just", "more", "most", "must", "not",
+  "now", "off", "once", "only", "other", "our", "out", "over", "own", "same",
+  "she", "should", "some", "such", "than", "that", "the", "their", "them",
+  "then", "there", "these", "they", "this", "those", "through", "too",
+  "under", "until", "very", "was", "were", "what", "when", "where", "which",
+  "while", "who", "whom", "why", "will", "with", "would", "you", "your",
+  "we", "us", "all", "able", "role", "team", "work", "working", "job",
+  "candidate", "position", "company", "looking", "join", "including",
+  "years", "year", "experience", "strong", "good", "great", "well", "new",
+]);
+
+const tokenize = (text = "") =>
+  text
+    .toLowerCase()
+    .split(/[^a-z0-9+#.]+/)
+    .map((token) => token.replace(/^\.+|\.+$/g, ""))
+    .filter((token) => token.length >= 3 && !STOPWORDS.has(token) && !/^\d+$/.test(token));
+
+// Most frequent terms first; ties broken alphabetically so output is stable
+const topTerms = (text, limit) => {
+  const counts = new Map();
+  tokenize(text).forEach((token) => counts.set(token, (counts.get(token) || 0) + 1));
+
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([term]) => term);
+};
+
+/**
+ * Offline provider for development and tests. It never touches the network
+ * and always returns the same analysis for the same input, scoring the
+ * application by how many of the job description's key terms appear in the
+ * cover letter and resume.
+ */
+export class DeterministicProvider extends LLMProvider {
+  constructor() {
+    super("deterministic");
+  }
+
+  async testConnection() {
+    return true;
+  }
+
+  async analyzeApplication({ coverLetter, resumeText }, jobDescription) {
+    const jobTerms = topTerms(jobDescription, MAX_JOB_TERMS);
+    const candidateTerms = new Set(tokenize(`${coverLetter || ""} ${resumeText || ""}`));
+
+    const matched = jobTerms.filter((term) => candidateTerms.has(term));
+    const missing = jobTerms.filter((term) => !candidateTerms.has(term));
+    const score = jobTerms.length
+      ? Math.round((matched.length / jobTerms.length) * 100)
+      : 50;
+
+    const strengths = matched.length
+      ? matched.slice(0, 3).map((term) => `Mentions "${term}", which the job description emphasises`)
+      : ["Application received and ready for review"];
+    const gaps = missing.slice(0, 3).map((term) => `No evidence of "${term}" in the application`);
+    const recommendations = missing.length
+      ? [`Describe concrete experience with ${missing.slice(0, 3).join(", ")}`]
+      : ["Add measurable results to the strongest examples"];
+
+    return {
+      version: ANALYSIS_SCHEMA_VERSION,
+      score,
+      summary: `The application covers ${matched.length} of ${jobTerms.length} key terms from the job description.`,
+      strengths,
+      gaps,
+      recommendations,
+      candidateEmail: {
+        subject: "Application Status Update",
+        body: `Dear [Candidate Name],
+
+Thank you for applying for the [Position] role. We have reviewed your application.
+
+${strengths.map((item) => `- ${item}`).join("\n")}
+
+${gaps.length ? `To strengthen your application, consider addressing:\n${gaps.map((item) => `- ${item}`).join("\n")}` : "Your application covers the main areas we are looking for."}
+
+Our team will be in touch with next steps.
+
+Best regards,
+Recruitment Team`,
+      },
+    };
+  }
+}
+
+export default DeterministicProvider;
@@ -0,0 +1,40 @@
+// utils/llmProviders/index.js
+import { OpenAIAssistantsProvider } from "./openaiAssistantsProvider.js";
+import { OpenAIChatProvider } from "./openaiChatProvider.js";
+import { LocalHttpProvider } from "./localHttpProvider.js";
+import { DeterministicProvider } from "./deterministicProvider.js";
+
+const PROVIDERS = {
+  "openai-assistants": OpenAIAssistantsProvider,
+  "openai-chat": OpenAIChatProvider,
+  "local-http": LocalHttpProvider,
+  deterministic: DeterministicProvider,
+};
+
+// LLM_PROVIDER wins; otherwise pick the richest provider the environment
+// is configured for. Tests never leave the machine.
+export const resolveProviderName = () => {
+  if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+  if (process.env.NODE_ENV === "test") return "deterministic";
+  if (process.env.OPENAI_API_KEY && process.env.OPENAI_ASSISTANT_ID) return "openai-assistants";
+  if (process.env.OPENAI_API_KEY) return "openai-chat";
+  if (process.env.LLM_BASE_URL) return "local-http";
+  return "deterministic";
+};
+
+export const createProvider = (name = resolveProviderName()) => {
+  const Provider = PROVIDERS[name];
+  if (!Provider) {
+    throw new Error(
+      `Unknown LLM provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}`
+    );
+  }
+  return new Provider();
+};
+
+export {
+  OpenAIAssistantsProvider,
+  OpenAIChatProvider,
+  LocalHttpProvider,
+  DeterministicProvider,
+};
@@ -0,0 +1,43 @@
+// utils/llmProviders/localHttpProvider.js
+import { createCompatibleClient } from "../openaiConfig.js";
+import { OpenAIChatProvider } from "./openaiChatProvider.js";
+
+/**
+ * Any server speaking the OpenAI chat completions API (llama.cpp server,
+ * Ollama, vLLM, LM Studio...). Most of them only understand the plain
+ * "json_object" response format, so that is the default here; set
+ * LLM_RESPONSE_FORMAT=json_schema for servers with structured output.
+ */
+export class LocalHttpProvider extends OpenAIChatProvider {
+  constructor() {
+    super("local-http", {
+      model: process.env.LLM_MODEL || "local-model",
+      responseFormat:
+        process.env.LLM_RESPONSE_FORMAT === "json_schema"
+          ? undefined
+          : { type: "json_object" },
+    });
+    this.baseURL = process.env.LLM_BASE_URL;
+    this.localClient = null;
+  }
+
+  get client() {
+    if (!this.localClient) {
+      this.localClient = createCompatibleClient({
+        baseURL: this.baseURL,
+        apiKey: process.env.LLM_API_KEY,
+      });
+    }
+    return this.localClient;
+  }
+
+  async validateConfig() {
+    const issues = [];
+    if (!this.baseURL) {
+      issues.push("LLM_BASE_URL is missing");
+    }
+    return { isValid: issues.length === 0, issues };
+  }
+}
+
+export default LocalHttpProvider;
@@ -0,0 +1,130 @@
+// utils/llmProviders/openaiAssistantsProvider.js
+import ErrorHandler, { logError } from "../../middlewares/error.js";
+import { getOpenAIClient } from "../openaiConfig.js";
+import { validateOpenAIConfig } from "../openaiServiceValidator.js";
+import { formatAnalysisPrompt } from "../analysisPrompt.js";
+import { LLMProvider } from "./baseProvider.js";
+
+const MAX_ATTEMPTS = 60;
+const POLL_INTERVAL = 1000;
+
+// OpenAI Assistants API (beta Threads/Runs)
+export class OpenAIAssistantsProvider extends LLMProvider {
+  constructor() {
+    super("openai-assistants");
+    this.assistantId = process.env.OPENAI_ASSISTANT_ID;
+  }
+
+  get client() {
+    return getOpenAIClient();
+  }
+
+  async validateConfig() {
+    const { isValid, issues } = await validateOpenAIConfig();
+    if (!this.assistantId) {
+      return { isValid: false, issues: [...issues, "OPENAI_ASSISTANT_ID is missing"] };
+    }
+    return { isValid, issues };
+  }
+
+  async testConnection() {
+    console.log("Testing thread creation...");
+    const thread = await this.retry(() => this.client.beta.threads.create());
+
+    if (!thread?.id) {
+      console.warn("Failed to create test thread");
+      return false;
+    }
+
+    await this.cleanupThread(thread);
+    return true;
+  }
+
+  async analyzeApplication(applicationContent, jobDescription) {
+    let thread = null;
+
+    try {
+      thread = await this.retry(() => this.client.beta.threads.create());
+
+      await this.retry(() =>
+        this.client.beta.threads.messages.create(thread.id, {
+          role: "user",
+          content: formatAnalysisPrompt(jobDescription, applicationContent),
+        })
+      );
+
+      const run = await this.retry(() =>
+        this.client.beta.threads.runs.create(thread.id, {
+          assistant_id: this.assistantId,
+          response_format: { type: "json_object" },
+        })
+      );
+
+      await this.waitForCompletion(thread.id, run.id);
+
+      const messages = await this.retry(() =>
+        this.client.beta.threads.messages.list(thread.id)
+      );
+
+      return messages.data[0].content[0].text.value;
+    } finally {
+      await this.cleanupThread(thread);
+    }
+  }
+
+  async waitForCompletion(threadId, runId, maxAttempts = MAX_ATTEMPTS) {
+    for (let i = 0; i < maxAttempts; i++) {
+      try {
+        const run = await this.retry(() =>
+          this.client.beta.threads.runs.retrieve(threadId, runId)
+        );
+
+        console.log(`Run status check ${i + 1}/${maxAttempts}:`, run.status);
+
+        switch (run.status) {
+          case "completed":
+            return run;
+          case "failed":
+          case "cancelled":
+          case "expired":
+            throw new ErrorHandler(
+              `Assistant run ${run.status}: ${run.last_error?.message || "Unknown error"}`,
+              500
+            );
+          case "queued":
+          case "in_progress":
+            await new Promise((resolve) => setTimeout(resolve, POLL_INTERVAL));
+            break;
+          default:
+            throw new ErrorHandler(`Unknown run status: ${run.status}`, 500);
+        }
+      } catch (error) {
+        logError(error, {
+          context: "Wait For Completion",
+          threadId,
+          runId,
+          attempt: i + 1,
+        });
+        throw error;
+      }
+    }
+
+    throw new ErrorHandler("Assistant analysis timed out", 500);
+  }
+
+  async cleanupThread(thread) {
+    if (!thread?.id) return;
+
+    try {
+      await this.client.beta.threads.del(thread.id);
+      console.log("Thread cleanup completed:", thread.id);
+    } catch (error) {
+      logError(error, {
+        context: "Thread Cleanup",
+        threadId: thread.id,
+      });
+    }
+  }
+}
+
+export default OpenAIAssistantsProvider;
@@ -0,0 +1,61 @@
+// utils/llmProviders/openaiChatProvider.js
+import { getOpenAIClient } from "../openaiConfig.js";
+import { validateOpenAIConfig } from "../openaiServiceValidator.js";
+import { analysisJsonSchema } from "../analysisSchema.js";
+import { ANALYSIS_SYSTEM_PROMPT, formatAnalysisPrompt } from "../analysisPrompt.js";
+import { LLMProvider } from "./baseProvider.js";
+
+// OpenAI chat completions with structured (JSON schema) output
+export class OpenAIChatProvider extends LLMProvider {
+  constructor(name = "openai-chat", options = {}) {
+    super(name);
+    this.model = options.model || process.env.OPENAI_MODEL || "gpt-4o-mini";
+    this.responseFormat = options.responseFormat || {
+      type: "json_schema",
+      json_schema: analysisJsonSchema,
+    };
+  }
+
+  get client() {
+    return getOpenAIClient();
+  }
+
+  async validateConfig() {
+    const { isValid, issues } = await validateOpenAIConfig();
+    return { isValid, issues };
+  }
+
+  async testConnection() {
+    const response = await this.client.chat.completions.create({
+      model: this.model,
+      messages: [{ role: "user", content: "Test connection" }],
+      max_tokens: 5,
+    });
+    return Boolean(response?.choices?.length);
+  }
+
+  async analyzeApplication(applicationContent, jobDescription) {
+    const response = await this.retry(() =>
+      this.client.chat.completions.create({
+        model: this.model,
+        temperature: 0.2,
+        response_format: this.responseFormat,
+        messages: [
+          { role: "system", content: ANALYSIS_SYSTEM_PROMPT },
+          {
+            role: "user",
+            content: formatAnalysisPrompt(jobDescription, applicationContent),
+          },
+        ],
+      })
+    );
+
+    const content = response.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error(`${this.name} returned an empty response`);
+    }
+    return content;
+  }
+}
+
+export default OpenAIChatProvider;
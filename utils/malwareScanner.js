@@ -0,0 +1,80 @@
+// utils/malwareScanner.js
+import net from "net";
+
+/**
+ * Scanners take a file buffer and resolve to { clean, signature? }. The
+ * one in use is MALWARE_SCANNER ("none" by default, or "clamav"); others
+ * can be added with registerScanner.
+ */
+const scanners = {
+  none: async () => ({ clean: true }),
+};
+
+export const registerScanner = (name, scan) => {
+  scanners[name] = scan;
+};
+
+const CLAMAV_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Streams the buffer to clamd with the INSTREAM command, over the unix
+ * socket at CLAMAV_SOCKET or TCP at CLAMAV_HOST:CLAMAV_PORT. clamd replies
+ * "stream: OK" or "stream: <signature> FOUND".
+ */
+export const scanWithClamAV = (buffer) =>
+  new Promise((resolve, reject) => {
+    const timeoutMs = Number(process.env.CLAMAV_TIMEOUT_MS) || 30000;
+    const socket = process.env.CLAMAV_HOST
+      ? net.createConnection({
+          host: process.env.CLAMAV_HOST,
+          port: Number(process.env.CLAMAV_PORT) || 3310,
+        })
+      : net.createConnection({ path: process.env.CLAMAV_SOCKET || "/var/run/clamav/clamd.ctl" });
+
+    let reply = "";
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error("ClamAV scan timed out")));
+    socket.on("error", reject);
+    socket.on("data", (data) => {
+      reply += data.toString();
+    });
+    socket.on("close", () => {
+      const result = reply.replace(/\0/g, "").trim();
+      const found = result.match(/^stream: (.+) FOUND$/);
+      if (found) return resolve({ clean: false, signature: found[1] });
+      if (result === "stream: OK") return resolve({ clean: true });
+      reject(new Error(`Unexpected ClamAV reply: ${result || "(empty)"}`));
+    });
+
+    socket.on("connect", () => {
+      socket.write("zINSTREAM\0");
+      for (let offset = 0; offset < buffer.length; offset += CLAMAV_CHUNK_SIZE) {
+        const chunk = buffer.subarray(offset, offset + CLAMAV_CHUNK_SIZE);
+        const size = Buffer.alloc(4);
+        size.writeUInt32BE(chunk.length);
+        socket.write(size);
+        socket.write(chunk);
+      }
+      socket.end(Buffer.alloc(4)); // zero-length chunk ends the stream
+    });
+  });
+
+registerScanner("clamav", scanWithClamAV);
+
+export const getScanner = (name = process.env.MALWARE_SCANNER || "none") => {
+  const scan = scanners[name];
+  if (!scan) {
+    throw new Error(
+      `Unknown malware scanner "${name}". Use one of: ${Object.keys(scanners).join(", ")}.`
+    );
+  }
+  return scan;
+};
+
+export const scanBuffer = (buffer) => getScanner()(buffer);
+
+export default {
+  registerScanner,
+  scanWithClamAV,
+  getScanner,
+  scanBuffer,
+};
@@ -0,0 +1,184 @@
+// utils/nlp/index.js
+// Local, provider-independent text analysis for applications. Everything in
+// here is pure and synchronous so it can run (and be tested) without any AI
+// provider, network or database.
+import { splitSentences, tokenize } from "./tokenize.js";
+import { analyzeSentiment } from "./sentiment.js";
+import { extractSkills } from "./skillsTaxonomy.js";
+import { parseResume, totalExperienceMonths, highestEducationLevel } from "./resumeParser.js";
+
+const ACTION_VERBS = new Set([
+  "achieved", "built", "created", "delivered", "designed", "developed",
+  "drove", "grew", "implemented", "improved", "increased", "launched", "led",
+  "managed", "mentored", "optimized", "organized", "reduced", "resolved",
+  "saved", "shipped", "streamlined", "trained", "won",
+]);
+
+const INFORMAL_WORDS = new Set([
+  "gonna", "wanna", "gotta", "kinda", "sorta", "hey", "hi", "yeah", "yep",
+  "lol", "awesome", "cool", "stuff", "things", "guys", "super", "totally",
+  "basically", "literally", "ok", "okay",
+]);
+
+const QUANTIFIED = /\b\d+(?:[.,]\d+)?\s*(?:%|percent|x|k|m|million|users|customers|clients|people|hours|days|weeks)(?!\w)|[$€£]\s?\d/i;
+
+const MIN_COVER_LETTER_WORDS = 120;
+
+const round = (value) => Math.round(value * 10) / 10;
+
+const isQuantified = (sentence) => QUANTIFIED.test(sentence);
+const hasActionVerb = (tokens) => tokens.some((token) => ACTION_VERBS.has(token));
+
+// Sentences with concrete evidence (results, action verbs, skills) first
+export const extractKeyPoints = (text = "", limit = 3) =>
+  splitSentences(text)
+    .map((sentence, index) => {
+      const tokens = tokenize(sentence);
+      const score =
+        (isQuantified(sentence) ? 3 : 0) +
+        (hasActionVerb(tokens) ? 2 : 0) +
+        extractSkills(sentence).length +
+        (tokens.length >= 6 && tokens.length <= 40 ? 1 : 0);
+      return { sentence, index, score };
+    })
+    .filter(({ score }) => score >= 2)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ sentence }) => sentence);
+
+/**
+ * 0-100 estimate of how professional the writing reads: sentence length in
+ * a comfortable range, action verbs, no slang, little shouting or
+ * exclamation, and a balanced use of "I".
+ */
+export const calculateProfessionalTone = (text = "") => {
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return 0;
+
+  const sentences = splitSentences(text);
+  const averageLength = tokens.length / Math.max(1, sentences.length);
+  const informalRatio = tokens.filter((token) => INFORMAL_WORDS.has(token)).length / tokens.length;
+  const actionRatio = tokens.filter((token) => ACTION_VERBS.has(token)).length / tokens.length;
+  const firstPersonRatio = tokens.filter((token) => token === "i").length / tokens.length;
+  const exclamations = (text.match(/!/g) || []).length;
+  const shouting = (text.match(/\b[A-Z]{4,}\b/g) || []).length;
+
+  let score = 60;
+  score += averageLength >= 10 && averageLength <= 28 ? 15 : -10;
+  score += Math.min(15, actionRatio * 500);
+  score -= Math.min(30, informalRatio * 600);
+  score -= Math.min(15, exclamations * 3);
+  score -= Math.min(10, shouting * 2);
+  score -= firstPersonRatio > 0.08 ? 10 : 0;
+
+  return round(Math.min(100, Math.max(0, score)));
+};
+
+const buildOverallAnalysis = ({
+  coverLetter,
+  resumeText,
+  skills,
+  experience,
+  education,
+  sentiment,
+  professionalTone,
+  jobSkills,
+}) => {
+  const strengths = [];
+  const improvements = [];
+  const recommendations = [];
+
+  const experienceYears = round(totalExperienceMonths(experience) / 12);
+  const educationLevel = highestEducationLevel(education);
+  const quantified = splitSentences(`${coverLetter}\n${resumeText}`).filter(isQuantified);
+  const coverLetterWords = tokenize(coverLetter).length;
+  const matchedJobSkills = jobSkills.filter((skill) => skills.includes(skill));
+  const missingJobSkills = jobSkills.filter((skill) => !skills.includes(skill));
+
+  if (experienceYears >= 1) {
+    strengths.push(`${experienceYears} years of documented experience across ${experience.length} role(s)`);
+  }
+  if (educationLevel !== "none") {
+    strengths.push(`Education: ${education.find((entry) => entry.level === educationLevel).degree}`);
+  }
+  if (matchedJobSkills.length) {
+    strengths.push(`Matches required skills: ${matchedJobSkills.join(", ")}`);
+  } else if (skills.length >= 3) {
+    strengths.push(`Broad skill set: ${skills.slice(0, 5).join(", ")}`);
+  }
+  if (quantified.length) {
+    strengths.push("Backs up claims with measurable results");
+  }
+  if (sentiment.label === "Positive" && professionalTone >= 60) {
+    strengths.push("Positive, professional cover letter");
+  }
+
+  if (!resumeText) {
+    improvements.push("Resume text could not be read");
+    recommendations.push("Upload a text-based PDF resume so it can be parsed");
+  }
+  if (missingJobSkills.length) {
+    improvements.push(`No evidence of: ${missingJobSkills.join(", ")}`);
+    recommendations.push(`Describe hands-on experience with ${missingJobSkills.slice(0, 3).join(", ")}`);
+  }
+  if (!quantified.length) {
+    improvements.push("No quantified achievements");
+    recommendations.push("Include quantifiable results (percentages, revenue, users, time saved)");
+  }
+  if (coverLetterWords < MIN_COVER_LETTER_WORDS) {
+    improvements.push("Cover letter is short");
+    recommendations.push("Expand the cover letter with specific examples relevant to the role");
+  }
+  if (professionalTone < 50) {
+    improvements.push("Cover letter tone is informal");
+    recommendations.push("Use a more formal tone and avoid slang or exclamation marks");
+  }
+  if (resumeText && experience.length === 0) {
+    improvements.push("Work history could not be identified");
+    recommendations.push("List roles with clear date ranges (e.g. Jan 2020 - Present)");
+  }
+
+  return { strengths, improvements, recommendations };
+};
+
+/**
+ * Builds the Application.textAnalysis block from the cover letter, the
+ * extracted resume text and (optionally) the job description.
+ */
+export const analyzeApplicationText = ({ coverLetter = "", resumeText = "", jobDescription = "" } = {}) => {
+  const sentiment = analyzeSentiment(coverLetter);
+  const professionalTone = calculateProfessionalTone(coverLetter);
+  const { experience, education } = parseResume(resumeText);
+  const skills = extractSkills(`${resumeText}\n${coverLetter}`);
+  const jobSkills = jobDescription ? extractSkills(jobDescription) : [];
+
+  return {
+    coverLetterAnalysis: {
+      sentiment: sentiment.label,
+      sentimentScore: sentiment.score,
+      keyPoints: extractKeyPoints(coverLetter),
+      professionalTone,
+    },
+    resumeAnalysis: {
+      experience,
+      skills,
+      education,
+      totalExperienceMonths: totalExperienceMonths(experience),
+      highestEducationLevel: highestEducationLevel(education),
+    },
+    overallAnalysis: buildOverallAnalysis({
+      coverLetter,
+      resumeText,
+      skills,
+      experience,
+      education,
+      sentiment,
+      professionalTone,
+      jobSkills,
+    }),
+  };
+};
+
+export { analyzeSentiment, extractSkills, parseResume };
+
+export default analyzeApplicationText;
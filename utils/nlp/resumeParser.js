@@ -0,0 +1,230 @@
+// utils/nlp/resumeParser.js
+import { splitLines } from "./tokenize.js";
+import { extractSkills } from "./skillsTaxonomy.js";
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+};
+const MONTH = "(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)";
+const DATE = `(?:${MONTH}\\.?\\s+|(\\d{1,2})\\/)?((?:19|20)\\d{2})`;
+const DATE_RANGE = new RegExp(
+  `${DATE}\\s*(?:-|to|until)\\s*(?:${DATE}|(present|current|now|today))`,
+  "i"
+);
+const YEAR = /\b(?:19|20)\d{2}\b/g;
+
+const SECTION_HEADINGS = [
+  { section: "experience", pattern: /^(?:(?:work|professional|relevant)\s+)?(?:experience|employment(?:\s+history)?|work\s+history|career(?:\s+history)?)$/i },
+  { section: "education", pattern: /^(?:education(?:al background)?|academic(?:\s+background)?|qualifications|academic qualifications)$/i },
+  { section: "other", pattern: /^(?:skills|technical skills|projects|certifications?|languages|summary|profile|objective|interests|references|awards|publications|volunteering|contact)$/i },
+];
+
+const EDUCATION_LEVELS = [
+  { level: "phd", pattern: /\b(?:ph\.?\s?d\.?|doctor(?:ate)?\s+of|d\.phil)(?=\W|$)/i },
+  { level: "master", pattern: /\b(?:master'?s?|m\.sc\.?|msc|mba|m\.s\.|m\.a\.|m\.eng\.?|meng|m\.tech|mtech)(?=\W|$)/i },
+  { level: "bachelor", pattern: /\b(?:bachelor'?s?|b\.sc\.?|bsc|b\.s\.|b\.a\.|b\.eng\.?|beng|b\.tech|btech|b\.com|bcom|undergraduate degree)(?=\W|$)/i },
+  { level: "associate", pattern: /\bassociate(?:'s)?\s+(?:degree|of)\b/i },
+  { level: "diploma", pattern: /\b(?:diploma|hnd|certificate\s+in)\b/i },
+  { level: "high_school", pattern: /\b(?:high\s+school|secondary\s+school|ged|a-levels?)\b/i },
+];
+
+// Ordinal rank of each level, used to compare against job requirements
+export const EDUCATION_LEVEL_RANK = {
+  none: 0,
+  high_school: 1,
+  diploma: 2,
+  associate: 3,
+  bachelor: 4,
+  master: 5,
+  phd: 6,
+};
+
+const INSTITUTION = /((?:[A-Z][\w&.'-]*\s+)*(?:University|College|Institute|School|Academy|Polytechnic)(?:\s+of)?(?:\s+[A-Z][\w&.'-]*)*)/;
+
+const ROLE_SEPARATORS = /\s+(?:at|@)\s+|\s*[|,]\s*|\s+-\s+/i;
+
+const parseDate = (monthName, monthNumber, year) => ({
+  year: parseInt(year),
+  month: monthName
+    ? MONTHS[monthName.slice(0, 3).toLowerCase()]
+    : monthNumber
+      ? Math.min(12, Math.max(1, parseInt(monthNumber)))
+      : 1,
+});
+
+const monthsBetween = (start, end) =>
+  Math.max(1, (end.year - start.year) * 12 + (end.month - start.month));
+
+const detectSection = (line) => {
+  const heading = line.replace(/[:#*_=-]+$/g, "").replace(/^[#*_=-]+/g, "").trim();
+  if (!heading || heading.length > 40) return null;
+  return SECTION_HEADINGS.find(({ pattern }) => pattern.test(heading))?.section || null;
+};
+
+export const detectEducationLevel = (text) =>
+  EDUCATION_LEVELS.find(({ pattern }) => pattern.test(text))?.level || null;
+
+const previousNonEmpty = (lines, index) => {
+  for (let i = index - 1; i >= Math.max(0, index - 2); i--) {
+    if (lines[i] && !detectSection(lines[i])) return lines[i];
+  }
+  return "";
+};
+
+const parseExperienceEntry = (lines, index, match, now) => {
+  const start = parseDate(match[1], match[2], match[3]);
+  const current = Boolean(match[7]);
+  const end = current
+    ? { year: now.getFullYear(), month: now.getMonth() + 1 }
+    : parseDate(match[4], match[5], match[6]);
+
+  // The title is usually on the date line; otherwise on the line above it
+  let header = lines[index].replace(match[0], "").replace(/[()[\]]/g, "").replace(/^[\s|,-]+|[\s|,-]+$/g, "");
+  if (header.length < 3) {
+    header = previousNonEmpty(lines, index);
+  }
+
+  const [role = "", organization = ""] = header
+    .split(ROLE_SEPARATORS)
+    .map((part) => part.trim())
+    .filter(Boolean);
+
+  return {
+    role: role || "Unspecified role",
+    organization,
+    duration: match[0].trim(),
+    startDate: new Date(Date.UTC(start.year, start.month - 1, 1)),
+    endDate: current ? null : new Date(Date.UTC(end.year, end.month - 1, 1)),
+    current,
+    months: monthsBetween(start, end),
+    skills: [],
+  };
+};
+
+const parseEducationEntry = (lines, index) => {
+  const context = [lines[index - 1], lines[index], lines[index + 1]].filter(Boolean);
+  const line = lines[index];
+
+  const institution =
+    line.match(INSTITUTION)?.[1] ||
+    context.map((text) => text.match(INSTITUTION)?.[1]).find(Boolean) ||
+    "";
+  // Prefer a year on the degree line itself over one from a neighbour
+  const years = line.match(YEAR) || context.join(" ").match(YEAR) || [];
+
+  const degree = line
+    .replace(institution, " ")
+    .replace(DATE_RANGE, " ")
+    .replace(YEAR, " ")
+    .replace(/[()[\]]/g, " ")
+    .replace(/\s*[|,]\s*|\s+-\s+/g, " | ")
+    .split(" | ")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .join(", ");
+
+  return {
+    degree: degree || line,
+    institution: institution.trim(),
+    year: years.length ? years[years.length - 1] : "",
+    level: detectEducationLevel(line),
+  };
+};
+
+/**
+ * Pulls experience and education entries out of plain resume text.
+ * Works on section headings when the resume has them and falls back to
+ * line-level cues (date ranges, degree names) when it does not.
+ */
+export const parseResume = (text = "", { now = new Date() } = {}) => {
+  const lines = splitLines(text).filter(Boolean);
+  const experience = [];
+  const education = [];
+  const hasSections = lines.some((line) => detectSection(line));
+
+  let section = hasSections ? "other" : null;
+  let currentEntry = null;
+
+  lines.forEach((line, index) => {
+    const heading = detectSection(line);
+    if (heading) {
+      section = heading;
+      currentEntry = null;
+      return;
+    }
+
+    const level = detectEducationLevel(line);
+    const inEducation = section === "education" || (section !== "experience" && level);
+
+    if (inEducation) {
+      currentEntry = null;
+      if (level || (section === "education" && INSTITUTION.test(line))) {
+        const entry = parseEducationEntry(lines, index);
+        const duplicate = education.some(
+          (existing) => existing.institution && existing.institution === entry.institution && !entry.level
+        );
+        if (!duplicate) education.push(entry);
+      }
+      return;
+    }
+
+    const range = line.match(DATE_RANGE);
+    if (range && (section === "experience" || section === null)) {
+      currentEntry = parseExperienceEntry(lines, index, range, now);
+      experience.push(currentEntry);
+      currentEntry.body = [line];
+      return;
+    }
+
+    if (currentEntry) {
+      currentEntry.body.push(line);
+    }
+  });
+
+  experience.forEach((entry) => {
+    entry.skills = extractSkills(entry.body.join("\n"));
+    delete entry.body;
+  });
+
+  return { experience, education };
+};
+
+// Total months of experience with overlapping roles counted once
+export const totalExperienceMonths = (experience = [], now = new Date()) => {
+  const intervals = experience
+    .filter((entry) => entry.startDate)
+    .map((entry) => [
+      new Date(entry.startDate).getTime(),
+      entry.endDate ? new Date(entry.endDate).getTime() : now.getTime(),
+    ])
+    .sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  intervals.forEach(([start, end]) => {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) {
+      last[1] = Math.max(last[1], end);
+    } else {
+      merged.push([start, end]);
+    }
+  });
+
+  const MONTH_MS = 1000 * 60 * 60 * 24 * 30.44;
+  return Math.round(merged.reduce((sum, [start, end]) => sum + (end - start) / MONTH_MS, 0));
+};
+
+export const highestEducationLevel = (education = []) =>
+  education.reduce(
+    (best, entry) =>
+      (EDUCATION_LEVEL_RANK[entry.level] || 0) > EDUCATION_LEVEL_RANK[best] ? entry.level : best,
+    "none"
+  );
+
+export default {
+  parseResume,
+  totalExperienceMonths,
+  highestEducationLevel,
+  detectEducationLevel,
+  EDUCATION_LEVEL_RANK,
+};
@@ -0,0 +1,77 @@
+// utils/nlp/sentiment.js
+import { tokenize } from "./tokenize.js";
+
+// Compact valence lexicon (-3..3) tuned for cover letters and resumes
+const LEXICON = {
+  // positive
+  accomplished: 2, achieve: 2, achieved: 2, achievement: 2, achievements: 2,
+  ambitious: 1, appreciate: 2, award: 2, awarded: 2, best: 2, confident: 2,
+  committed: 2, creative: 2, dedicated: 2, delighted: 3, eager: 2,
+  effective: 2, efficient: 2, enjoy: 2, enjoyed: 2, enthusiastic: 3,
+  excellent: 3, excited: 3, exceptional: 3, fortunate: 2, glad: 2, good: 1,
+  great: 2, grateful: 2, happy: 2, honored: 2, improve: 1, improved: 2,
+  innovative: 2, inspired: 2, interested: 1, keen: 2, love: 3, motivated: 2,
+  opportunity: 1, outstanding: 3, passion: 2, passionate: 3, pleased: 2,
+  proactive: 2, productive: 2, proficient: 2, proud: 2, recognized: 2,
+  reliable: 2, success: 2, successful: 2, successfully: 2, strong: 1,
+  thank: 2, thanks: 2, thrilled: 3, valuable: 2, win: 2, won: 2,
+  // negative
+  anxious: -2, bad: -2, bored: -2, boring: -2, conflict: -1, desperate: -3,
+  difficult: -1, disappointed: -2, dislike: -2, fail: -2, failed: -2,
+  failure: -2, fired: -3, frustrated: -2, hate: -3, hated: -3, lack: -1,
+  lacking: -2, lazy: -3, lost: -1, mistake: -2, mistakes: -2, poor: -2,
+  problem: -1, problems: -1, quit: -2, regret: -2, sadly: -2, struggle: -2,
+  struggled: -2, terrible: -3, toxic: -3, unfortunately: -2, unhappy: -2,
+  unemployed: -1, weak: -2, worst: -3, worried: -2,
+};
+
+const NEGATORS = new Set(["not", "no", "never", "neither", "nor", "without", "cannot", "can't", "don't", "didn't", "won't", "isn't", "wasn't", "aren't", "hardly"]);
+
+const INTENSIFIERS = {
+  very: 0.3, extremely: 0.5, highly: 0.3, really: 0.2, truly: 0.3,
+  incredibly: 0.5, particularly: 0.2, deeply: 0.3, exceptionally: 0.4,
+};
+
+// Looks back this many tokens for negators and intensifiers
+const WINDOW = 3;
+// VADER-style normalisation constant
+const ALPHA = 15;
+
+/**
+ * Lexicon-based sentiment with negation and intensifier handling.
+ * Returns { label, score } where score is in [-1, 1].
+ */
+export const analyzeSentiment = (text = "") => {
+  const tokens = tokenize(text);
+  let total = 0;
+
+  tokens.forEach((token, index) => {
+    const valence = LEXICON[token];
+    if (!valence) return;
+
+    let value = valence;
+    const window = tokens.slice(Math.max(0, index - WINDOW), index);
+
+    window.forEach((previous) => {
+      if (INTENSIFIERS[previous]) {
+        value += Math.sign(value) * INTENSIFIERS[previous];
+      }
+    });
+    if (window.some((previous) => NEGATORS.has(previous))) {
+      value *= -0.75;
+    }
+
+    total += value;
+  });
+
+  const score = total / Math.sqrt(total * total + ALPHA);
+  const rounded = Math.round(score * 1000) / 1000;
+
+  let label = "Neutral";
+  if (rounded >= 0.05) label = "Positive";
+  if (rounded <= -0.05) label = "Negative";
+
+  return { label, score: rounded };
+};
+
+export default analyzeSentiment;
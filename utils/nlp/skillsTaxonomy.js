@@ -0,0 +1,162 @@
+// utils/nlp/skillsTaxonomy.js
+import fs from "fs";
+import path from "path";
+import { normalize } from "./tokenize.js";
+
+/**
+ * Canonical skill name -> { category, synonyms }. Only the synonyms are
+ * matched, so ambiguous names ("Go", "Express") can list safer aliases.
+ *
+ * Deployments can extend or override entries with a JSON file of the same
+ * shape pointed to by SKILLS_TAXONOMY_PATH. Entries in that file replace the
+ * defaults with the same canonical name; set an entry to null to remove it.
+ */
+export const DEFAULT_TAXONOMY = {
+  // Programming languages
+  JavaScript: { category: "language", synonyms: ["javascript", "js", "ecmascript", "es6"] },
+  TypeScript: { category: "language", synonyms: ["typescript"] },
+  Python: { category: "language", synonyms: ["python", "python3"] },
+  Java: { category: "language", synonyms: ["java", "j2ee", "jvm"] },
+  "C#": { category: "language", synonyms: ["c#", "csharp", "c sharp"] },
+  "C++": { category: "language", synonyms: ["c++", "cpp"] },
+  Go: { category: "language", synonyms: ["golang"] },
+  Ruby: { category: "language", synonyms: ["ruby"] },
+  PHP: { category: "language", synonyms: ["php"] },
+  Kotlin: { category: "language", synonyms: ["kotlin"] },
+  Swift: { category: "language", synonyms: ["swift"] },
+  Rust: { category: "language", synonyms: ["rust"] },
+  SQL: { category: "language", synonyms: ["sql", "t-sql", "pl/sql"] },
+  // Frameworks and libraries
+  React: { category: "framework", synonyms: ["react", "reactjs", "react.js"] },
+  "React Native": { category: "framework", synonyms: ["react native"] },
+  Angular: { category: "framework", synonyms: ["angular", "angularjs"] },
+  "Vue.js": { category: "framework", synonyms: ["vue", "vuejs", "vue.js"] },
+  "Node.js": { category: "framework", synonyms: ["node", "nodejs", "node.js"] },
+  Express: { category: "framework", synonyms: ["expressjs", "express.js"] },
+  "Next.js": { category: "framework", synonyms: ["next.js", "nextjs"] },
+  Django: { category: "framework", synonyms: ["django"] },
+  Flask: { category: "framework", synonyms: ["flask"] },
+  Spring: { category: "framework", synonyms: ["spring boot", "springboot", "spring framework"] },
+  ".NET": { category: "framework", synonyms: [".net", "dotnet", "asp.net"] },
+  "Ruby on Rails": { category: "framework", synonyms: ["rails", "ruby on rails"] },
+  GraphQL: { category: "framework", synonyms: ["graphql"] },
+  "REST APIs": { category: "framework", synonyms: ["restful", "rest api", "rest apis"] },
+  // Data stores
+  MongoDB: { category: "database", synonyms: ["mongodb", "mongo", "mongoose"] },
+  PostgreSQL: { category: "database", synonyms: ["postgresql", "postgres"] },
+  MySQL: { category: "database", synonyms: ["mysql", "mariadb"] },
+  Redis: { category: "database", synonyms: ["redis"] },
+  Elasticsearch: { category: "database", synonyms: ["elasticsearch", "elastic search", "opensearch"] },
+  // Cloud and DevOps
+  AWS: { category: "cloud", synonyms: ["aws", "amazon web services", "ec2", "s3", "lambda"] },
+  Azure: { category: "cloud", synonyms: ["azure", "microsoft azure"] },
+  GCP: { category: "cloud", synonyms: ["gcp", "google cloud", "google cloud platform"] },
+  Docker: { category: "devops", synonyms: ["docker", "containers", "containerization"] },
+  Kubernetes: { category: "devops", synonyms: ["kubernetes", "k8s"] },
+  Terraform: { category: "devops", synonyms: ["terraform", "infrastructure as code"] },
+  "CI/CD": { category: "devops", synonyms: ["ci/cd", "continuous integration", "continuous delivery", "github actions", "jenkins", "gitlab ci"] },
+  Git: { category: "devops", synonyms: ["git", "github", "gitlab", "version control"] },
+  Linux: { category: "devops", synonyms: ["linux", "unix", "bash"] },
+  // Data and AI
+  "Machine Learning": { category: "data", synonyms: ["machine learning", "ml", "deep learning"] },
+  "Data Analysis": { category: "data", synonyms: ["data analysis", "data analytics", "analytics"] },
+  Pandas: { category: "data", synonyms: ["pandas", "numpy"] },
+  TensorFlow: { category: "data", synonyms: ["tensorflow", "keras"] },
+  PyTorch: { category: "data", synonyms: ["pytorch"] },
+  Excel: { category: "data", synonyms: ["microsoft excel", "ms excel", "spreadsheets", "pivot tables", "vlookup"] },
+  Tableau: { category: "data", synonyms: ["tableau", "power bi", "powerbi"] },
+  // Design and quality
+  "UI/UX Design": { category: "design", synonyms: ["ui/ux", "ux", "ui design", "user experience", "figma"] },
+  Testing: { category: "quality", synonyms: ["unit testing", "jest", "mocha", "cypress", "test automation", "tdd"] },
+  // Business and management
+  "Project Management": { category: "management", synonyms: ["project management", "pmp", "prince2"] },
+  Agile: { category: "management", synonyms: ["agile", "scrum", "kanban", "sprint planning"] },
+  "Product Management": { category: "management", synonyms: ["product management", "product owner", "roadmap"] },
+  Sales: { category: "business", synonyms: ["sales", "business development", "account management"] },
+  Marketing: { category: "business", synonyms: ["marketing", "seo", "content marketing", "digital marketing"] },
+  Accounting: { category: "business", synonyms: ["accounting", "bookkeeping", "financial reporting"] },
+  "Customer Service": { category: "business", synonyms: ["customer service", "customer support", "client relations"] },
+  // Soft skills
+  Leadership: { category: "soft", synonyms: ["leadership", "led a team", "team lead", "mentoring", "mentored"] },
+  Communication: { category: "soft", synonyms: ["communication", "presentation", "public speaking", "stakeholder management"] },
+  Teamwork: { category: "soft", synonyms: ["teamwork", "collaboration", "collaborative", "cross-functional"] },
+  "Problem Solving": { category: "soft", synonyms: ["problem solving", "problem-solving", "troubleshooting", "analytical"] },
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+
+const loadTaxonomy = () => {
+  const taxonomy = { ...DEFAULT_TAXONOMY };
+  const overridePath = process.env.SKILLS_TAXONOMY_PATH;
+  if (!overridePath) return taxonomy;
+
+  try {
+    const overrides = JSON.parse(fs.readFileSync(path.resolve(overridePath), "utf-8"));
+    Object.entries(overrides).forEach(([name, entry]) => {
+      if (entry === null) {
+        delete taxonomy[name];
+      } else {
+        taxonomy[name] = { category: entry.category || "other", synonyms: entry.synonyms || [] };
+      }
+    });
+    console.log(`Loaded skills taxonomy overrides from ${overridePath}`);
+  } catch (error) {
+    console.error("Failed to load skills taxonomy overrides:", {
+      path: overridePath,
+      message: error.message,
+    });
+  }
+
+  return taxonomy;
+};
+
+// Skill tokens may contain + # . / so plain \b word boundaries do not work.
+// A leading "." is excluded too so "js" does not match inside "node.js".
+const buildMatcher = (alias) =>
+  new RegExp(`(?<![a-z0-9+#.])${escapeRegExp(alias.toLowerCase())}(?![a-z0-9+#]|\\.[a-z0-9])`, "i");
+
+let compiled = null;
+
+const getCompiledTaxonomy = () => {
+  if (!compiled) {
+    compiled = Object.entries(loadTaxonomy()).map(([name, { category, synonyms }]) => ({
+      name,
+      category,
+      matchers: [...new Set(synonyms.map((synonym) => synonym.toLowerCase()))].map(buildMatcher),
+    }));
+  }
+  return compiled;
+};
+
+export const getTaxonomy = () =>
+  getCompiledTaxonomy().map(({ name, category }) => ({ name, category }));
+
+// Returns canonical skill names found in the text, in taxonomy order
+export const extractSkills = (text = "") => {
+  const haystack = normalize(text);
+  return getCompiledTaxonomy()
+    .filter(({ matchers }) => matchers.some((matcher) => matcher.test(haystack)))
+    .map(({ name }) => name);
+};
+
+// Maps free-form skill names (e.g. from a job form) onto canonical names
+export const canonicalizeSkill = (skill = "") => {
+  const trimmed = skill.trim();
+  const exact = getCompiledTaxonomy().find(
+    ({ name }) => name.toLowerCase() === trimmed.toLowerCase()
+  );
+  if (exact) return exact.name;
+
+  const [match] = extractSkills(trimmed);
+  return match || trimmed;
+};
+
+export const getSkillCategory = (skill) =>
+  getCompiledTaxonomy().find(({ name }) => name === skill)?.category;
+
+// Drops the compiled cache, e.g. after SKILLS_TAXONOMY_PATH changes
+export const resetTaxonomy = () => {
+  compiled = null;
+};
+
+export default { extractSkills, canonicalizeSkill, getTaxonomy, getSkillCategory, resetTaxonomy };
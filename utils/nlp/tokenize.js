@@ -0,0 +1,38 @@
+// utils/nlp/tokenize.js
+
+// Abbreviations that end in a period but do not end a sentence
+const ABBREVIATIONS = ["e.g", "i.e", "etc", "mr", "mrs", "ms", "dr", "jr", "sr", "inc", "ltd", "co", "vs", "approx"];
+
+export const normalize = (text = "") =>
+  text
+    .replace(/\r\n?/g, "\n")
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, "-")
+    .replace(/ /g, " ");
+
+export const splitSentences = (text = "") => {
+  const protectedText = ABBREVIATIONS.reduce(
+    (acc, abbr) =>
+      acc.replace(new RegExp(`\\b${abbr.replace(".", "\\.")}\\.`, "gi"), (match) => match.replace(/\./g, "\u0000")),
+    normalize(text)
+  );
+
+  return protectedText
+    .split(/(?<=[.!?])\s+|\n{2,}|\n(?=\s*[-*•])/)
+    .map((sentence) => sentence.replace(/\u0000/g, ".").replace(/^\s*[-*•]\s*/, "").trim())
+    .filter((sentence) => sentence.length > 0);
+};
+
+// Lowercase word tokens; keeps "c++", "c#", "node.js" and contractions intact
+export const tokenize = (text = "") =>
+  (normalize(text).toLowerCase().match(/[a-z0-9][a-z0-9+#.'-]*/g) || []).map((token) =>
+    token.replace(/[.'-]+$/, "")
+  );
+
+export const splitLines = (text = "") =>
+  normalize(text)
+    .split("\n")
+    .map((line) => line.replace(/\s+/g, " ").trim());
+
+export default { normalize, splitSentences, tokenize, splitLines };
@@ -6,7 +6,7 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-dotenv.config({ 
+dotenv.config({
  path: path.join(__dirname, `../config/${process.env.NODE_ENV}.env`)
 });
 
@@ -16,36 +16,56 @@ function formatApiKey(key) {
  }
 
  key = key.trim().replace(/["']/g, '');
- 
- if (!key.startsWith('sk-')) {
-   throw new Error('Invalid API key format - must start with sk-');
+
+ if (!key.startsWith('sk-') && !key.startsWith('proj-')) {
+   throw new Error('Invalid API key format - must start with sk- or proj-');
  }
 
  return key;
 }
 
-const openai = new OpenAI({
- apiKey: formatApiKey(process.env.OPENAI_API_KEY),
- organization: process.env.OPENAI_ORGANIZATION_ID?.trim(),
- defaultHeaders: {
-   'OpenAI-Beta': 'assistants=v1'
+let client = null;
+
+// The client is created on first use so that importing this module never
+// throws when OpenAI is not configured (local/offline providers, tests).
+export const getOpenAIClient = () => {
+ if (!client) {
+   client = new OpenAI({
+     apiKey: formatApiKey(process.env.OPENAI_API_KEY),
+     organization: process.env.OPENAI_ORGANIZATION_ID?.trim()
+   });
  }
-});
+ return client;
+};
+
+// Client for any OpenAI-compatible HTTP endpoint (llama.cpp, Ollama, vLLM...)
+export const createCompatibleClient = ({ baseURL, apiKey }) => {
+ if (!baseURL) {
+   throw new Error('LLM_BASE_URL is not configured');
+ }
+
+ return new OpenAI({
+   baseURL,
+   // Most local servers ignore the key but the SDK requires one
+   apiKey: apiKey || 'not-needed'
+ });
+};
 
 export const testOpenAIConnection = async () => {
  try {
+   const openai = getOpenAIClient();
    const apiKey = openai.apiKey;
    const maskedKey = `${apiKey.slice(0, 5)}...${apiKey.slice(-4)}`;
    console.log(`Testing OpenAI connection in ${process.env.NODE_ENV} mode`);
    console.log('API key format:', maskedKey);
    console.log('Organization ID:', openai.organization);
-   
+
    const response = await openai.chat.completions.create({
      model: "gpt-3.5-turbo",
      messages: [{ role: "user", content: "Test connection" }],
      max_tokens: 5
    });
-   
+
    console.log('OpenAI connection test successful');
    return true;
  } catch (error) {
@@ -59,4 +79,4 @@ export const testOpenAIConnection = async () => {
  }
 };
 
-export default openai;
\ No newline at end of file
+export default getOpenAIClient;
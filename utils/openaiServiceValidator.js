@@ -10,8 +10,9 @@ export const validateOpenAIConfig = async () => {
   let apiKey = process.env.OPENAI_API_KEY;
   let orgId = process.env.OPENAI_ORGANIZATION_ID;
   
-  // No need to check config file if we have environment variables
-  if (apiKey && orgId) {
+  // No need to check config file if we have environment variables; the
+  // organization ID is optional, as it is for the OpenAI client
+  if (apiKey) {
     const issues = [];
     
     // Validate API key
@@ -20,7 +21,7 @@ export const validateOpenAIConfig = async () => {
     }
     
     // Validate Organization ID
-    if (!orgId.startsWith('org-')) {
+    if (orgId && !orgId.startsWith('org-')) {
       issues.push('Organization ID should start with "org-"');
     }
     
@@ -51,7 +52,7 @@ export const validateOpenAIConfig = async () => {
     }
   } catch (error) {
     // If we can't read config file and have no env vars, return appropriate message
-    if (!apiKey || !orgId) {
+    if (!apiKey) {
       return {
         isValid: false,
         issues: ['No configuration found in environment variables'],
@@ -68,9 +69,7 @@ export const validateOpenAIConfig = async () => {
     issues.push('API key should start with either "sk-" or "proj-"');
   }
   
-  if (!orgId) {
-    issues.push('OPENAI_ORGANIZATION_ID is missing');
-  } else if (!orgId.startsWith('org-')) {
+  if (orgId && !orgId.startsWith('org-')) {
     issues.push('Organization ID should start with "org-"');
   }
   
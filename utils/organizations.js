@@ -0,0 +1,77 @@
+// utils/organizations.js
+import crypto from "crypto";
+import { Organization } from "../models/organizationSchema.js";
+
+const sameId = (a, b) => Boolean(a && b && a.toString() === b.toString());
+
+// Roles allowed to run the organization and to work on its jobs
+export const ORG_ADMIN_ROLES = ["owner", "admin"];
+export const ORG_RECRUITING_ROLES = ["owner", "admin", "recruiter"];
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Returns { organization, role } for the user's organization, or null
+export const getMembership = async (userId) => {
+  const organization = await Organization.findOne({ "members.user": userId });
+  if (!organization) return null;
+  const member = organization.members.find(({ user }) => sameId(user, userId));
+  return { organization, role: member.role };
+};
+
+// Memoized per request so several checks share one lookup
+export const loadMembership = async (req) => {
+  if (req.membership === undefined) {
+    req.membership = await getMembership(req.user._id);
+  }
+  return req.membership;
+};
+
+/**
+ * Pipelines and email templates belong either to an organization or, for
+ * employers without one, to the employer user. A scope names which.
+ */
+export const scopeOfUser = (user, membership) =>
+  membership
+    ? { organization: membership.organization._id }
+    : { employer: user._id };
+
+export const scopeOfJob = (job) =>
+  job.organization
+    ? { organization: job.organization }
+    : { employer: job.postedBy };
+
+export const scopeOfApplication = (application) =>
+  application.organization
+    ? { organization: application.organization }
+    : { employer: application.employerID.user };
+
+// Query for a document (pipeline, template) owned by the scope; also used
+// as the upsert key, so it only ever sets one of the two fields
+export const scopeQuery = (scope) =>
+  scope.organization
+    ? { organization: scope.organization }
+    : { employer: scope.employer };
+
+// Applications visible to a scope
+export const applicationScopeFilter = (scope) =>
+  scope.organization
+    ? { organization: scope.organization }
+    : { "employerID.user": scope.employer, organization: null };
+
+// Jobs visible to a scope
+export const jobScopeFilter = (scope) =>
+  scope.organization
+    ? { organization: scope.organization }
+    : { postedBy: scope.employer, organization: null };
+
+export default {
+  getMembership,
+  loadMembership,
+  scopeOfUser,
+  scopeOfJob,
+  scopeOfApplication,
+  scopeQuery,
+  applicationScopeFilter,
+  jobScopeFilter,
+};
@@ -0,0 +1,136 @@
+// utils/pipeline.js
+import ErrorHandler from "../middlewares/error.js";
+import { Pipeline } from "../models/pipelineSchema.js";
+import { scopeQuery } from "./organizations.js";
+
+// The first stage is where every new application starts. `email` names the
+// email template (utils/emailTemplates.js) drafted for candidates in a stage.
+export const DEFAULT_PIPELINE_STAGES = [
+  { key: "applied", label: "Applied", next: ["screening", "rejected"], email: "received" },
+  { key: "screening", label: "Screening", next: ["interview", "rejected"] },
+  { key: "interview", label: "Interview", next: ["offer", "screening", "rejected"], email: "interview_invite" },
+  { key: "offer", label: "Offer", next: ["hired", "rejected"], email: "offer" },
+  { key: "hired", label: "Hired", next: [], terminal: true, outcome: "hired" },
+  { key: "rejected", label: "Rejected", next: [], terminal: true, outcome: "rejected", email: "rejected" },
+];
+
+const STAGE_EMAILS = ["received", "rejected", "interview_invite", "offer"];
+
+const STAGE_KEY = /^[a-z][a-z0-9_]{0,31}$/;
+const MAX_STAGES = 20;
+
+const toStage = ({ key, label, next = [], terminal = false, outcome = null, email = null }) => ({
+  key,
+  label,
+  next: terminal ? [] : next,
+  terminal: Boolean(terminal),
+  outcome: terminal ? outcome || null : null,
+  email: email || null,
+});
+
+/**
+ * Validates an employer-supplied list of stages and returns it normalized.
+ * Keys must be unique slugs, transitions must point at known stages and at
+ * least one terminal stage has to be reachable from the first stage.
+ */
+export const normalizePipelineStages = (stages) => {
+  if (!Array.isArray(stages) || stages.length < 2 || stages.length > MAX_STAGES) {
+    throw new ErrorHandler(`A pipeline needs between 2 and ${MAX_STAGES} stages.`, 400);
+  }
+
+  const normalized = stages.map((stage) => {
+    const key = typeof stage?.key === "string" ? stage.key.trim() : "";
+    if (!STAGE_KEY.test(key)) {
+      throw new ErrorHandler(
+        `Invalid stage key "${key}". Use lowercase letters, digits and underscores.`,
+        400
+      );
+    }
+    if (!Array.isArray(stage.next ?? [])) {
+      throw new ErrorHandler(`Transitions for stage "${key}" must be a list of stage keys.`, 400);
+    }
+    if (stage.outcome && !["hired", "rejected"].includes(stage.outcome)) {
+      throw new ErrorHandler(`Outcome for stage "${key}" must be "hired" or "rejected".`, 400);
+    }
+    if (stage.email && !STAGE_EMAILS.includes(stage.email)) {
+      throw new ErrorHandler(
+        `Email for stage "${key}" must be one of: ${STAGE_EMAILS.join(", ")}.`,
+        400
+      );
+    }
+    return toStage({
+      ...stage,
+      key,
+      label: String(stage.label || key).trim().slice(0, 50),
+      next: [...new Set(stage.next || [])],
+    });
+  });
+
+  const keys = new Set();
+  normalized.forEach(({ key }) => {
+    if (keys.has(key)) {
+      throw new ErrorHandler(`Duplicate stage key "${key}".`, 400);
+    }
+    keys.add(key);
+  });
+
+  normalized.forEach(({ key, next, terminal }) => {
+    const unknown = next.filter((target) => !keys.has(target));
+    if (unknown.length) {
+      throw new ErrorHandler(`Stage "${key}" moves to unknown stage(s): ${unknown.join(", ")}.`, 400);
+    }
+    if (next.includes(key)) {
+      throw new ErrorHandler(`Stage "${key}" cannot transition to itself.`, 400);
+    }
+    if (!terminal && next.length === 0) {
+      throw new ErrorHandler(`Stage "${key}" needs at least one transition or must be terminal.`, 400);
+    }
+  });
+
+  if (normalized[0].terminal) {
+    throw new ErrorHandler("The first stage cannot be terminal.", 400);
+  }
+
+  // Every candidate must be able to reach an end state
+  const reachable = new Set([normalized[0].key]);
+  const queue = [normalized[0]];
+  while (queue.length) {
+    const stage = queue.shift();
+    stage.next.forEach((target) => {
+      if (!reachable.has(target)) {
+        reachable.add(target);
+        queue.push(normalized.find(({ key }) => key === target));
+      }
+    });
+  }
+  if (!normalized.some(({ key, terminal }) => terminal && reachable.has(key))) {
+    throw new ErrorHandler("At least one terminal stage must be reachable from the first stage.", 400);
+  }
+
+  return normalized;
+};
+
+// Returns the stored pipeline stages for a scope (see utils/organizations.js),
+// or the default ones
+export const getPipelineStages = async (scope) => {
+  const pipeline = await Pipeline.findOne(scopeQuery(scope)).lean();
+  return pipeline ? pipeline.stages : DEFAULT_PIPELINE_STAGES.map(toStage);
+};
+
+export const findStage = (stages, key) => stages.find((stage) => stage.key === key);
+
+// Applications created before pipelines existed have no stage yet
+export const currentStageKey = (application, stages) =>
+  application.stage || stages[0].key;
+
+export const canTransition = (stages, from, to) =>
+  Boolean(findStage(stages, from)?.next.includes(to));
+
+export default {
+  DEFAULT_PIPELINE_STAGES,
+  normalizePipelineStages,
+  getPipelineStages,
+  findStage,
+  currentStageKey,
+  canTransition,
+};
@@ -0,0 +1,126 @@
+// utils/resumePreview.js
+import sharp from "sharp";
+import ErrorHandler from "../middlewares/error.js";
+import { findFileByName, storePreview } from "./gridfsStorage.js";
+import { statStoredFile, readStoredFile } from "./storage/index.js";
+import { extractTextFromPDF } from "./textExtract.js";
+
+// Preview widths in pixels; a fixed set keeps the cache small
+export const PREVIEW_SIZES = { small: 200, medium: 480, large: 960 };
+export const PREVIEW_CONTENT_TYPE = "image/webp";
+
+// A4 in points, the page size text-only PDF previews are laid out on
+const PAGE = { width: 595, height: 842, margin: 48, fontSize: 10, lineHeight: 14 };
+const PAGE_COLUMNS = 90;
+
+export const getPreviewWidth = (size = "medium") => {
+  const width = PREVIEW_SIZES[size];
+  if (!width) {
+    throw new ErrorHandler(`size must be one of: ${Object.keys(PREVIEW_SIZES).join(", ")}.`, 400);
+  }
+  return width;
+};
+
+const escapeXml = (text) =>
+  text.replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+const wrapLines = (text, columns, maxLines) => {
+  const lines = [];
+  for (const paragraph of text.split(/\r?\n/)) {
+    let line = "";
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      if (line && line.length + word.length + 1 > columns) {
+        lines.push(line);
+        line = "";
+      }
+      line = line ? `${line} ${word}` : word.slice(0, columns);
+    }
+    lines.push(line);
+    if (lines.length >= maxLines) break;
+  }
+  return lines.slice(0, maxLines);
+};
+
+// Lays the first page's text out on a blank page
+const renderTextPage = (text, width) => {
+  const { height, margin, fontSize, lineHeight } = PAGE;
+  const maxLines = Math.floor((height - 2 * margin) / lineHeight);
+  const lines = wrapLines(text, PAGE_COLUMNS, maxLines)
+    .map((line, index) =>
+      `<text x="${margin}" y="${margin + (index + 1) * lineHeight}">${escapeXml(line)}</text>`
+    )
+    .join("");
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${PAGE.width}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="#fff"/>` +
+    `<g font-family="sans-serif" font-size="${fontSize}" fill="#222">${lines}</g>` +
+    "</svg>";
+  return sharp(Buffer.from(svg), { density: (72 * width) / PAGE.width });
+};
+
+/**
+ * First page of a PDF. sharp rasterizes it when built with PDF support;
+ * otherwise the page's text is drawn instead, which is enough to
+ * recognize a resume at thumbnail size.
+ */
+const renderPdfPage = async (buffer, width) => {
+  try {
+    return await sharp(buffer, { page: 0, density: 150 })
+      .flatten({ background: "#fff" })
+      .resize({ width })
+      .webp({ quality: 80 })
+      .toBuffer();
+  } catch (error) {
+    const text = await extractTextFromPDF(buffer, { maxPages: 1 }).catch(() => "");
+    return renderTextPage(text, width)
+      .resize({ width })
+      .webp({ quality: 80 })
+      .toBuffer();
+  }
+};
+
+const renderImage = (buffer, width) =>
+  sharp(buffer)
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer();
+
+/**
+ * Returns the stored preview of a resume (e.g. application.resume) at the
+ * given size, rendering and caching it in the GridFS previews bucket on
+ * first request, whichever driver holds the resume. Previews are deleted
+ * along with their source file.
+ */
+export const getResumePreview = async (resume, size) => {
+  const width = getPreviewWidth(size);
+  const source = await statStoredFile(resume);
+  const filename = `${source._id}-${width}.webp`;
+
+  const cached = await findFileByName(filename, "previews");
+  if (cached) return cached;
+
+  const contentType = source.metadata?.contentType || source.contentType;
+  if (contentType !== "application/pdf" && !contentType?.startsWith("image/")) {
+    throw new ErrorHandler("No preview is available for this file type.", 415);
+  }
+
+  const buffer = await readStoredFile(resume);
+  const image =
+    contentType === "application/pdf"
+      ? await renderPdfPage(buffer, width)
+      : await renderImage(buffer, width);
+
+  return storePreview(filename, image, {
+    source: source._id.toString(),
+    width,
+    contentType: PREVIEW_CONTENT_TYPE,
+  });
+};
+
+export default {
+  PREVIEW_SIZES,
+  PREVIEW_CONTENT_TYPE,
+  getPreviewWidth,
+  getResumePreview,
+};
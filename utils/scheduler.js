@@ -0,0 +1,65 @@
+// utils/scheduler.js
+import mongoose from "mongoose";
+import { logError } from "../middlewares/error.js";
+import { publishScheduledJobs, closeExpiredJobs } from "./jobLifecycle.js";
+import { sweepOrphanedFiles } from "./storageSweeper.js";
+
+/**
+ * In-process periodic tasks. Each task runs on its own timer, never
+ * overlaps itself and is skipped while the database is disconnected.
+ * Tasks must be safe to run from several processes at once.
+ */
+export class Scheduler {
+  constructor(tasks) {
+    this.tasks = tasks;
+    this.timers = [];
+    this.runs = new Set();
+    this.running = false;
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    this.timers = this.tasks.map((task) => {
+      let busy = false;
+      return setInterval(() => {
+        if (busy || mongoose.connection.readyState !== 1) return;
+        busy = true;
+        const run = task
+          .run()
+          .catch((error) => logError(error, { context: `scheduler ${task.name}` }))
+          .finally(() => {
+            busy = false;
+            this.runs.delete(run);
+          });
+        this.runs.add(run);
+      }, task.interval);
+    });
+
+    console.log(`Scheduler started with ${this.tasks.length} task(s)`);
+  }
+
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+    this.timers.forEach(clearInterval);
+    this.timers = [];
+    await Promise.all(this.runs);
+    console.log("Scheduler stopped");
+  }
+}
+
+const interval = parseInt(process.env.JOB_SCHEDULER_INTERVAL_MS) || 60 * 1000;
+// Off unless set; `npm run sweep:storage` does the same on demand
+const sweepInterval = parseInt(process.env.STORAGE_SWEEP_INTERVAL_MS) || 0;
+
+const scheduler = new Scheduler([
+  { name: "publish scheduled jobs", interval, run: () => publishScheduledJobs() },
+  { name: "close expired jobs", interval, run: () => closeExpiredJobs() },
+  ...(sweepInterval
+    ? [{ name: "sweep orphaned files", interval: sweepInterval, run: () => sweepOrphanedFiles() }]
+    : []),
+]);
+
+export default scheduler;
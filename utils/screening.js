@@ -0,0 +1,209 @@
+// utils/screening.js
+import mongoose from "mongoose";
+import ErrorHandler from "../middlewares/error.js";
+
+export const QUESTION_TYPES = ["yes_no", "multiple_choice", "numeric", "text"];
+export const KNOCKOUT_ACTIONS = ["flag", "reject"];
+
+const MAX_QUESTIONS = 20;
+const MAX_TEXT_ANSWER = 2000;
+
+const fail = (message) => {
+  throw new ErrorHandler(message, 400);
+};
+
+const toNumber = (value) =>
+  value === undefined || value === null || value === "" ? undefined : Number(value);
+
+const normalizeKnockout = (knockout, question, label) => {
+  if (!knockout) return undefined;
+  const action = knockout.action || "flag";
+  if (!KNOCKOUT_ACTIONS.includes(action)) {
+    fail(`${label}: knockout action must be one of: ${KNOCKOUT_ACTIONS.join(", ")}.`);
+  }
+
+  switch (question.type) {
+    case "yes_no":
+      if (typeof knockout.answer !== "boolean") {
+        fail(`${label}: a yes/no knockout needs answer true or false.`);
+      }
+      return { action, answer: knockout.answer };
+    case "multiple_choice": {
+      const options = Array.isArray(knockout.options) ? knockout.options : [];
+      if (!options.length || options.some((option) => !question.options.includes(option))) {
+        fail(`${label}: knockout options must be among the question's options.`);
+      }
+      return { action, options };
+    }
+    case "numeric": {
+      const min = toNumber(knockout.min);
+      const max = toNumber(knockout.max);
+      if ((min === undefined && max === undefined) || [min, max].some((n) => Number.isNaN(n))) {
+        fail(`${label}: a numeric knockout needs a min and/or max.`);
+      }
+      return { action, min, max };
+    }
+    default:
+      fail(`${label}: free-text questions cannot have knockout rules.`);
+  }
+};
+
+/**
+ * Validates the screening questions from a job create or update request.
+ * Questions keep their _id across edits so stored answers still point at
+ * them; new questions get one here.
+ */
+export const normalizeScreeningQuestions = (input) => {
+  if (input === null) return [];
+  if (!Array.isArray(input)) fail("screeningQuestions must be an array.");
+  if (input.length > MAX_QUESTIONS) fail(`A job can have at most ${MAX_QUESTIONS} screening questions.`);
+
+  return input.map((raw, index) => {
+    const label = `Question ${index + 1}`;
+    const prompt = typeof raw?.prompt === "string" ? raw.prompt.trim() : "";
+    if (!prompt || prompt.length > 300) fail(`${label}: prompt is required (max 300 characters).`);
+    if (!QUESTION_TYPES.includes(raw.type)) {
+      fail(`${label}: type must be one of: ${QUESTION_TYPES.join(", ")}.`);
+    }
+
+    const question = {
+      _id: mongoose.isValidObjectId(raw._id)
+        ? new mongoose.Types.ObjectId(raw._id)
+        : new mongoose.Types.ObjectId(),
+      prompt,
+      type: raw.type,
+      required: raw.required !== false,
+    };
+
+    if (raw.type === "multiple_choice") {
+      const options = [...new Set((raw.options || []).map((option) => String(option).trim()).filter(Boolean))];
+      if (options.length < 2) fail(`${label}: multiple choice needs at least 2 options.`);
+      question.options = options;
+    }
+    if (raw.type === "numeric") {
+      question.min = toNumber(raw.min);
+      question.max = toNumber(raw.max);
+      if ([question.min, question.max].some((n) => Number.isNaN(n))) {
+        fail(`${label}: min and max must be numbers.`);
+      }
+    }
+
+    question.knockout = normalizeKnockout(raw.knockout, question, label);
+    return question;
+  });
+};
+
+// Answers arrive as { [questionId]: value } or [{ question, value }], and
+// as a JSON string from multipart forms
+const answersById = (input) => {
+  let answers = input;
+  if (typeof answers === "string") {
+    try {
+      answers = JSON.parse(answers);
+    } catch (error) {
+      fail("screeningAnswers must be valid JSON.");
+    }
+  }
+  if (!answers) return {};
+  if (Array.isArray(answers)) {
+    return Object.fromEntries(answers.map(({ question, value }) => [String(question), value]));
+  }
+  if (typeof answers === "object") return answers;
+  fail("screeningAnswers must be an object or an array.");
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === "string" && !value.trim());
+
+const parseAnswer = (question, value) => {
+  switch (question.type) {
+    case "yes_no":
+      if (value === true || value === "true" || value === "yes") return true;
+      if (value === false || value === "false" || value === "no") return false;
+      return fail(`"${question.prompt}" must be answered yes or no.`);
+    case "multiple_choice":
+      if (!question.options.includes(String(value))) {
+        fail(`"${question.prompt}" must be one of: ${question.options.join(", ")}.`);
+      }
+      return String(value);
+    case "numeric": {
+      const number = Number(value);
+      if (!Number.isFinite(number)) fail(`"${question.prompt}" must be a number.`);
+      if ((question.min !== undefined && question.min !== null && number < question.min) ||
+          (question.max !== undefined && question.max !== null && number > question.max)) {
+        fail(`"${question.prompt}" must be between ${question.min ?? "-∞"} and ${question.max ?? "∞"}.`);
+      }
+      return number;
+    }
+    default: {
+      const text = String(value).trim();
+      if (text.length > MAX_TEXT_ANSWER) {
+        fail(`"${question.prompt}" cannot exceed ${MAX_TEXT_ANSWER} characters.`);
+      }
+      return text;
+    }
+  }
+};
+
+const isKnockedOut = ({ type, knockout }, value) => {
+  switch (type) {
+    case "yes_no":
+      return value === knockout.answer;
+    case "multiple_choice":
+      return knockout.options.includes(value);
+    case "numeric":
+      return (
+        (knockout.min !== undefined && knockout.min !== null && value < knockout.min) ||
+        (knockout.max !== undefined && knockout.max !== null && value > knockout.max)
+      );
+    default:
+      return false;
+  }
+};
+
+/**
+ * Checks the answers against the job's questions. Returns the answers to
+ * store (prompt and type copied so later edits to the job don't change
+ * their meaning) and the screening result: "rejected" if any reject
+ * knockout fired, "flagged" for flag knockouts, otherwise "passed".
+ */
+export const evaluateScreening = (questions = [], input) => {
+  const given = answersById(input);
+  const answers = [];
+  const knockouts = [];
+
+  for (const question of questions) {
+    const value = given[question._id.toString()];
+    if (isBlank(value)) {
+      if (question.required) fail(`Please answer: "${question.prompt}"`);
+      continue;
+    }
+    const parsed = parseAnswer(question, value);
+    answers.push({ question: question._id, prompt: question.prompt, type: question.type, value: parsed });
+
+    if (question.knockout && isKnockedOut(question, parsed)) {
+      knockouts.push({ question: question._id, prompt: question.prompt, action: question.knockout.action });
+    }
+  }
+
+  const status = knockouts.some(({ action }) => action === "reject")
+    ? "rejected"
+    : knockouts.length ? "flagged" : "passed";
+  return { answers, screening: { status, knockouts } };
+};
+
+// Plain-text answers for the analysis prompt
+export const formatScreeningAnswers = (answers = []) =>
+  answers
+    .map(({ prompt, type, value }) =>
+      `- ${prompt}: ${type === "yes_no" ? (value ? "Yes" : "No") : value}`
+    )
+    .join("\n");
+
+export default {
+  QUESTION_TYPES,
+  KNOCKOUT_ACTIONS,
+  normalizeScreeningQuestions,
+  evaluateScreening,
+  formatScreeningAnswers,
+};
@@ -0,0 +1,115 @@
+// utils/sessions.js
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Session } from "../models/sessionSchema.js";
+import ErrorHandler from "../middlewares/error.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Sessions last COOKIE_EXPIRE days from their last refresh
+export const sessionLifetimeMs = () =>
+  (parseFloat(process.env.COOKIE_EXPIRE) || 7) * DAY_MS;
+
+// Refresh tokens are "<sessionId>.<secret>" so a stale token still leads
+// back to its session, which is how reuse is detected
+const issueRefreshToken = (sessionId) => {
+  const secret = crypto.randomBytes(48).toString("base64url");
+  return { refreshToken: `${sessionId}.${secret}`, refreshTokenHash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secretHash: hashToken(secret) };
+};
+
+export const isActive = (session) =>
+  Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+
+export const createSession = async (user, req) => {
+  const _id = new mongoose.Types.ObjectId();
+  const { refreshToken, refreshTokenHash } = issueRefreshToken(_id);
+  const session = await Session.create({
+    _id,
+    user: user._id,
+    refreshTokenHash,
+    userAgent: req.get("user-agent")?.slice(0, 300),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + sessionLifetimeMs()),
+  });
+  return { session, refreshToken };
+};
+
+/**
+ * Exchanges a refresh token for a new one. Presenting a token that has
+ * already been rotated means it leaked (or two clients share it), so the
+ * whole session is revoked.
+ */
+export const rotateSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    throw new ErrorHandler("Invalid refresh token.", 401);
+  }
+  const session = await Session.findById(parsed.sessionId).select("+refreshTokenHash");
+  if (!isActive(session)) {
+    throw new ErrorHandler("Session expired. Please login again.", 401);
+  }
+
+  const next = issueRefreshToken(session._id);
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: parsed.secretHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: next.refreshTokenHash,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + sessionLifetimeMs()),
+      },
+      $inc: { rotations: 1 },
+    },
+    { new: true }
+  );
+  if (!rotated) {
+    await revokeSessions({ _id: session._id }, "reuse_detected");
+    console.warn("Refresh token reuse detected:", {
+      sessionId: session._id,
+      userId: session.user,
+    });
+    throw new ErrorHandler("Refresh token reuse detected. Please login again.", 401);
+  }
+  return { session: rotated, refreshToken: next.refreshToken };
+};
+
+// The session a refresh token currently belongs to; rotated (stale) tokens
+// and revoked sessions give null
+export const findSessionByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const session = await Session.findOne({
+    _id: parsed.sessionId,
+    refreshTokenHash: parsed.secretHash,
+  });
+  return isActive(session) ? session : null;
+};
+
+export const revokeSessions = (filter, reason) =>
+  Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+export const listActiveSessions = (userId) =>
+  Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 });
+
+export default {
+  sessionLifetimeMs,
+  isActive,
+  createSession,
+  rotateSession,
+  findSessionByRefreshToken,
+  revokeSessions,
+  listActiveSessions,
+};
@@ -0,0 +1,90 @@
+// utils/shortlist.js
+import mongoose from "mongoose";
+import ErrorHandler from "../middlewares/error.js";
+
+// Share of the rank given to requirement coverage; the rest is matchScore
+const coverageWeight = () => {
+  const weight = parseFloat(process.env.SHORTLIST_COVERAGE_WEIGHT);
+  return Number.isFinite(weight) ? Math.min(1, Math.max(0, weight)) : 0.4;
+};
+
+/**
+ * Blends the AI matchScore with the structured requirement coverage into a
+ * single 0-100 rank. Applications without coverage (a job with no
+ * requirements) are ranked on matchScore alone.
+ */
+export const computeRankScore = (matchScore = 0, coverage = null) => {
+  const score = Number(matchScore) || 0;
+  if (coverage === null || coverage === undefined) return score;
+  const weight = coverageWeight();
+  return Math.round((score * (1 - weight) + coverage * weight) * 10) / 10;
+};
+
+// Secondary orderings for applications with the same rankScore
+export const TIE_BREAKS = {
+  earliest: { field: "createdAt", direction: 1 },
+  latest: { field: "createdAt", direction: -1 },
+  matchScore: { field: "matchScore", direction: -1 },
+};
+
+export const getTieBreak = (name = "earliest") => {
+  const tieBreak = TIE_BREAKS[name];
+  if (!tieBreak) {
+    throw new ErrorHandler(
+      `tieBreak must be one of: ${Object.keys(TIE_BREAKS).join(", ")}.`,
+      400
+    );
+  }
+  return tieBreak;
+};
+
+export const shortlistSort = ({ field, direction }) => ({
+  rankScore: -1,
+  [field]: direction,
+  _id: 1,
+});
+
+// The cursor is the sort key of the last row returned, base64url-encoded
+export const encodeCursor = (application, { field }) =>
+  Buffer.from(
+    JSON.stringify([application.rankScore, application[field], application._id])
+  ).toString("base64url");
+
+export const decodeCursor = (cursor, { field }) => {
+  try {
+    const [rankScore, tieValue, id] = JSON.parse(
+      Buffer.from(cursor, "base64url").toString("utf-8")
+    );
+    if (typeof rankScore !== "number" || !mongoose.isValidObjectId(id)) {
+      throw new Error("Malformed cursor");
+    }
+    return {
+      rankScore,
+      tieValue: field === "createdAt" ? new Date(tieValue) : tieValue,
+      id: new mongoose.Types.ObjectId(id),
+    };
+  } catch (error) {
+    throw new ErrorHandler("Invalid cursor.", 400);
+  }
+};
+
+// Keyset condition matching every row that sorts after the cursor
+export const afterCursor = ({ rankScore, tieValue, id }, { field, direction }) => {
+  const tieAfter = direction === 1 ? "$gt" : "$lt";
+  return {
+    $or: [
+      { rankScore: { $lt: rankScore } },
+      { rankScore, [field]: { [tieAfter]: tieValue } },
+      { rankScore, [field]: tieValue, _id: { $gt: id } },
+    ],
+  };
+};
+
+export default {
+  computeRankScore,
+  getTieBreak,
+  shortlistSort,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+};
@@ -0,0 +1,21 @@
+// utils/storage/gridfsDriver.js
+import {
+  findFile,
+  openDownloadStream,
+  getFileFromGridFS,
+  storeInGridFS,
+  deleteFromGridFS,
+} from "../gridfsStorage.js";
+
+// The "resumes" GridFS bucket; the default, and where older files live
+export const gridfsDriver = {
+  name: "gridfs",
+  put: (fileId, buffer, { filename, metadata }) =>
+    storeInGridFS(fileId, filename, buffer, metadata),
+  stat: (fileId) => findFile(fileId),
+  createReadStream: (file, range) => openDownloadStream(file, range),
+  read: async (fileId) => (await getFileFromGridFS(fileId)).buffer,
+  delete: (fileId) => deleteFromGridFS(fileId),
+};
+
+export default gridfsDriver;
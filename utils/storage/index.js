@@ -0,0 +1,218 @@
+// utils/storage/index.js
+import mongoose from "mongoose";
+import sharp from "sharp";
+import ErrorHandler from "../../middlewares/error.js";
+import { StoredFile } from "../../models/storedFileSchema.js";
+import { deletePreviews } from "../gridfsStorage.js";
+import { inspectUpload, sha256 } from "../uploadValidation.js";
+import { gridfsDriver } from "./gridfsDriver.js";
+import { s3Driver } from "./s3Driver.js";
+import { localDriver } from "./localDriver.js";
+
+/**
+ * Storage drivers share one interface, keyed by ObjectId-string file ids:
+ *   put(fileId, buffer, { filename, metadata })
+ *   stat(fileId) -> { _id, filename, length, uploadDate, metadata }
+ *   createReadStream(file, range?) -> Readable (or a promise of one)
+ *   read(fileId) -> Buffer
+ *   delete(fileId) -> whether the file existed
+ *   getSignedUrl(fileId, { filename, contentType }) -> { url, expiresAt }, optional
+ * New files go to STORAGE_DRIVER. Documents record the driver of each file
+ * in resume.storage; files from before drivers existed are in GridFS.
+ *
+ * Identical uploads share one file: a StoredFile record per file holds its
+ * checksum and a count of the documents using it. Documents take a
+ * reference with storeUpload / shareStoredFile and give it back with
+ * releaseStoredFile, which deletes the file with its last reference.
+ */
+export const STORAGE_DRIVERS = {
+  gridfs: gridfsDriver,
+  s3: s3Driver,
+  local: localDriver,
+};
+
+export const getStorageDriver = (name = process.env.STORAGE_DRIVER || "gridfs") => {
+  const driver = STORAGE_DRIVERS[name];
+  if (!driver) {
+    throw new Error(
+      `Unknown storage driver "${name}". Use one of: ${Object.keys(STORAGE_DRIVERS).join(", ")}.`
+    );
+  }
+  return driver;
+};
+
+// `ref` is a stored file reference such as application.resume
+export const driverFor = (ref) => getStorageDriver(ref?.storage || "gridfs");
+
+// Images are downscaled and re-encoded as JPEG, which also drops anything
+// embedded in them; other files are kept as-is
+const processFile = async (buffer, contentType) => {
+  if (contentType.startsWith("image/")) {
+    return {
+      buffer: await sharp(buffer)
+        .rotate()
+        .resize(1200, null, { // Max width 1200px, maintain aspect ratio
+          withoutEnlargement: true,
+          fit: "inside",
+        })
+        .jpeg({ quality: 80 }) // Convert to JPEG with 80% quality
+        .toBuffer(),
+      contentType: "image/jpeg",
+    };
+  }
+  return { buffer, contentType };
+};
+
+// Takes a reference to a file with the same bytes, or writes a new one
+const storeBuffer = async (buffer, metadata) => {
+  const driver = getStorageDriver();
+  const existing = await StoredFile.findOneAndUpdate(
+    { checksum: metadata.checksum, storage: driver.name, refCount: { $gt: 0 } },
+    { $inc: { refCount: 1 } },
+    { new: true }
+  );
+  if (existing) {
+    return { fileId: existing.fileId, storage: driver.name, ...metadata };
+  }
+
+  const fileId = new mongoose.Types.ObjectId().toString();
+  await driver.put(fileId, buffer, {
+    filename: `${Date.now()}-${metadata.originalName}`,
+    metadata,
+  });
+  await StoredFile.create({
+    fileId,
+    storage: driver.name,
+    checksum: metadata.checksum,
+    contentType: metadata.contentType,
+    size: metadata.size,
+    refCount: 1,
+  });
+  return { fileId, storage: driver.name, ...metadata };
+};
+
+/**
+ * Stores an uploaded file (express-fileupload) with the configured driver
+ * and returns its id, driver and metadata. The file is inspected first
+ * unless the caller already did (utils/uploadValidation.js); metadata
+ * records the type and SHA-256 of what was actually stored.
+ */
+export const storeUpload = async (file, inspected) => {
+  const upload = inspected || (await inspectUpload(file));
+  try {
+    const { buffer, contentType } = await processFile(upload.buffer, upload.contentType);
+    return await storeBuffer(buffer, {
+      originalName: file.name,
+      contentType,
+      size: buffer.length,
+      checksum: sha256(buffer),
+      uploadDate: new Date(),
+    });
+  } catch (error) {
+    console.error("Error storing upload:", { message: error.message });
+    throw new ErrorHandler("Failed to store file", 500);
+  }
+};
+
+/**
+ * Takes another reference to a stored file, e.g. when a profile resume is
+ * attached to an application; each owner releases theirs independently.
+ * Files from before deduplication are copied and tracked from then on.
+ */
+export const shareStoredFile = async (ref) => {
+  const shared = await StoredFile.findOneAndUpdate(
+    { fileId: ref.public_id, refCount: { $gt: 0 } },
+    { $inc: { refCount: 1 } },
+    { new: true }
+  );
+  if (shared) {
+    return { fileId: shared.fileId, storage: shared.storage, checksum: shared.checksum };
+  }
+
+  const source = driverFor(ref);
+  const file = await source.stat(ref.public_id);
+  const buffer = await source.read(ref.public_id);
+  return storeBuffer(buffer, {
+    ...file.metadata,
+    originalName: file.metadata?.originalName || ref.originalName || file.filename,
+    size: buffer.length,
+    checksum: sha256(buffer),
+    uploadDate: new Date(),
+  });
+};
+
+export const statStoredFile = (ref) => driverFor(ref).stat(ref.public_id);
+
+export const readStoredFile = (ref) => driverFor(ref).read(ref.public_id);
+
+export const openStoredFile = (ref, file, range) => driverFor(ref).createReadStream(file, range);
+
+// A short-lived direct download link, or null when the driver serves files itself
+export const getSignedDownloadUrl = async (ref, options) => {
+  const driver = driverFor(ref);
+  if (!driver.getSignedUrl || process.env.STORAGE_SIGNED_URLS === "false") {
+    return null;
+  }
+  return driver.getSignedUrl(ref.public_id, options);
+};
+
+// Removes a stored file and its cached previews whatever references it;
+// a missing file is not an error. Documents use releaseStoredFile.
+export const deleteStoredFile = async (ref) => {
+  const deleted = await driverFor(ref).delete(ref.public_id);
+  await deletePreviews(ref.public_id);
+  return deleted;
+};
+
+/**
+ * Gives back a document's reference to a file and deletes the file when it
+ * was the last one (or an untracked file from before deduplication).
+ * Returns whether the file was deleted.
+ */
+export const releaseStoredFile = async (ref) => {
+  const record = await StoredFile.findOneAndUpdate(
+    { fileId: ref.public_id, refCount: { $gt: 0 } },
+    { $inc: { refCount: -1 } },
+    { new: true }
+  );
+  if (record?.refCount > 0) return false;
+
+  // Another upload may take a new reference before this runs; the file
+  // then stays
+  const { deletedCount } = await StoredFile.deleteOne({ fileId: ref.public_id, refCount: 0 });
+  if (!deletedCount && (await StoredFile.exists({ fileId: ref.public_id }))) {
+    return false;
+  }
+  return deleteStoredFile(ref);
+};
+
+/**
+ * Copies a file to another driver under the same id, so URLs and
+ * references stay valid; the caller then points the document at the new
+ * driver. Used by migrateStorage.js.
+ */
+export const transferStoredFile = async (ref, target) => {
+  const source = driverFor(ref);
+  const file = await source.stat(ref.public_id);
+  const buffer = await source.read(ref.public_id);
+  await target.put(ref.public_id, buffer, {
+    filename: file.filename,
+    metadata: { ...file.metadata, uploadDate: file.metadata?.uploadDate || file.uploadDate },
+  });
+  return file;
+};
+
+export default {
+  STORAGE_DRIVERS,
+  getStorageDriver,
+  driverFor,
+  storeUpload,
+  shareStoredFile,
+  statStoredFile,
+  readStoredFile,
+  openStoredFile,
+  getSignedDownloadUrl,
+  deleteStoredFile,
+  releaseStoredFile,
+  transferStoredFile,
+};
@@ -0,0 +1,75 @@
+// utils/storage/localDriver.js
+import fs from "fs";
+import { mkdir, readFile, writeFile, stat, rm } from "fs/promises";
+import path from "path";
+import ErrorHandler from "../../middlewares/error.js";
+
+// Each file is stored as <dir>/<fileId> with its metadata in <fileId>.json
+const rootDir = () => path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+
+// File ids are ObjectId strings; anything else never reaches the disk
+const filePath = (fileId) => {
+  if (!/^[a-f\d]{24}$/i.test(String(fileId))) {
+    throw new ErrorHandler("File not found", 404);
+  }
+  return path.join(rootDir(), String(fileId));
+};
+
+const notFound = (error) => {
+  if (error.code === "ENOENT") {
+    throw new ErrorHandler("File not found", 404);
+  }
+  throw error;
+};
+
+export const localDriver = {
+  name: "local",
+
+  put: async (fileId, buffer, { filename, metadata }) => {
+    const target = filePath(fileId);
+    await mkdir(rootDir(), { recursive: true });
+    await writeFile(target, buffer);
+    await writeFile(`${target}.json`, JSON.stringify({ filename, metadata }));
+  },
+
+  stat: async (fileId) => {
+    const target = filePath(fileId);
+    try {
+      const [info, sidecar] = await Promise.all([
+        stat(target),
+        readFile(`${target}.json`, "utf-8"),
+      ]);
+      const { filename, metadata = {} } = JSON.parse(sidecar);
+      return {
+        _id: String(fileId),
+        filename,
+        length: info.size,
+        uploadDate: metadata.uploadDate ? new Date(metadata.uploadDate) : info.mtime,
+        metadata,
+      };
+    } catch (error) {
+      return notFound(error);
+    }
+  },
+
+  // fs ranges are inclusive at both ends, like HTTP ones
+  createReadStream: (file, range) =>
+    fs.createReadStream(filePath(file._id), range ? { start: range.start, end: range.end } : undefined),
+
+  read: (fileId) => readFile(filePath(fileId)).catch(notFound),
+
+  delete: async (fileId) => {
+    const target = filePath(fileId);
+    try {
+      await stat(target);
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+    await rm(target, { force: true });
+    await rm(`${target}.json`, { force: true });
+    return true;
+  },
+};
+
+export default localDriver;
@@ -0,0 +1,150 @@
+// utils/storage/s3Driver.js
+import {
+  S3Client,
+  PutObjectCommand,
+  HeadObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import ErrorHandler from "../../middlewares/error.js";
+
+/**
+ * Any S3-compatible service. S3_ENDPOINT points at MinIO, R2 and the like
+ * (usually with S3_FORCE_PATH_STYLE=true); credentials fall back to the
+ * AWS default chain when S3_ACCESS_KEY_ID is not set.
+ */
+let client;
+const getClient = () => {
+  if (!client) {
+    client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? {
+            accessKeyId: process.env.S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+          }
+        : undefined,
+    });
+  }
+  return client;
+};
+
+const getBucket = () => {
+  if (!process.env.S3_BUCKET) {
+    throw new Error("S3_BUCKET must be set to use the s3 storage driver");
+  }
+  return process.env.S3_BUCKET;
+};
+
+const objectKey = (fileId) => `${process.env.S3_PREFIX ?? "resumes/"}${fileId}`;
+
+const isNotFound = (error) =>
+  error.name === "NotFound" ||
+  error.name === "NoSuchKey" ||
+  error.$metadata?.httpStatusCode === 404;
+
+const notFound = (error) => {
+  if (isNotFound(error)) {
+    throw new ErrorHandler("File not found", 404);
+  }
+  throw error;
+};
+
+// User metadata travels as HTTP headers, so it has to stay ASCII
+const encodeMeta = (value) => encodeURIComponent(String(value ?? ""));
+const decodeMeta = (value) => (value ? decodeURIComponent(value) : undefined);
+
+// Signed URLs live for STORAGE_SIGNED_URL_TTL seconds (default 5 minutes)
+const signedUrlTtl = () => Number(process.env.STORAGE_SIGNED_URL_TTL) || 300;
+
+export const s3Driver = {
+  name: "s3",
+
+  put: async (fileId, buffer, { filename, metadata }) => {
+    await getClient().send(
+      new PutObjectCommand({
+        Bucket: getBucket(),
+        Key: objectKey(fileId),
+        Body: buffer,
+        ContentType: metadata.contentType,
+        Metadata: {
+          filename: encodeMeta(filename),
+          "original-name": encodeMeta(metadata.originalName),
+          "upload-date": new Date(metadata.uploadDate || Date.now()).toISOString(),
+          ...(metadata.checksum ? { checksum: metadata.checksum } : {}),
+        },
+      })
+    );
+  },
+
+  stat: async (fileId) => {
+    const head = await getClient()
+      .send(new HeadObjectCommand({ Bucket: getBucket(), Key: objectKey(fileId) }))
+      .catch(notFound);
+    const uploadDate = head.Metadata?.["upload-date"]
+      ? new Date(head.Metadata["upload-date"])
+      : head.LastModified;
+    return {
+      _id: String(fileId),
+      filename: decodeMeta(head.Metadata?.filename) || String(fileId),
+      length: head.ContentLength,
+      uploadDate,
+      metadata: {
+        originalName: decodeMeta(head.Metadata?.["original-name"]),
+        contentType: head.ContentType,
+        size: head.ContentLength,
+        checksum: head.Metadata?.checksum,
+        uploadDate,
+      },
+    };
+  },
+
+  createReadStream: async (file, range) => {
+    const { Body } = await getClient()
+      .send(
+        new GetObjectCommand({
+          Bucket: getBucket(),
+          Key: objectKey(file._id),
+          Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+        })
+      )
+      .catch(notFound);
+    return Body;
+  },
+
+  read: async (fileId) => {
+    const { Body } = await getClient()
+      .send(new GetObjectCommand({ Bucket: getBucket(), Key: objectKey(fileId) }))
+      .catch(notFound);
+    return Buffer.from(await Body.transformToByteArray());
+  },
+
+  // S3 deletes are idempotent and do not say whether the object existed
+  delete: async (fileId) => {
+    await getClient().send(
+      new DeleteObjectCommand({ Bucket: getBucket(), Key: objectKey(fileId) })
+    );
+    return true;
+  },
+
+  getSignedUrl: async (fileId, { filename, contentType, disposition = "inline" }) => {
+    const expiresIn = signedUrlTtl();
+    const url = await getSignedUrl(
+      getClient(),
+      new GetObjectCommand({
+        Bucket: getBucket(),
+        Key: objectKey(fileId),
+        ResponseContentType: contentType,
+        ResponseContentDisposition:
+          `${disposition}; filename*=UTF-8''${encodeURIComponent(filename)}`,
+      }),
+      { expiresIn }
+    );
+    return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+  },
+};
+
+export default s3Driver;
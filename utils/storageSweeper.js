@@ -0,0 +1,185 @@
+// utils/storageSweeper.js
+import { Application } from "../models/applicationSchema.js";
+import { CandidateProfile } from "../models/candidateProfileSchema.js";
+import { StoredFile } from "../models/storedFileSchema.js";
+import {
+  listFiles,
+  findOrphanedChunks,
+  deleteChunks,
+  deletePreviews,
+} from "./gridfsStorage.js";
+import { deleteStoredFile } from "./storage/index.js";
+
+const BATCH_SIZE = 500;
+
+// Files younger than this may belong to an upload still in progress
+const graceMs = () =>
+  parseInt(process.env.STORAGE_SWEEP_GRACE_MS) || 60 * 60 * 1000;
+
+// How many resumes and attachments of applications and profiles point at
+// each of the file ids
+const countReferences = async (fileIds) => {
+  const counts = new Map(fileIds.map((id) => [id, 0]));
+  const resumes = [
+    { $match: { "resume.public_id": { $in: fileIds } } },
+    { $group: { _id: "$resume.public_id", count: { $sum: 1 } } },
+  ];
+  const attachments = [
+    { $match: { "attachments.public_id": { $in: fileIds } } },
+    { $unwind: "$attachments" },
+    { $match: { "attachments.public_id": { $in: fileIds } } },
+    { $group: { _id: "$attachments.public_id", count: { $sum: 1 } } },
+  ];
+  const results = await Promise.all([
+    Application.aggregate(resumes),
+    Application.aggregate(attachments),
+    CandidateProfile.aggregate(resumes),
+  ]);
+  for (const { _id, count } of results.flat()) {
+    counts.set(_id, counts.get(_id) + count);
+  }
+  return counts;
+};
+
+async function* batches(cursor) {
+  let batch = [];
+  for await (const item of cursor) {
+    batch.push(item);
+    if (batch.length === BATCH_SIZE) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length) yield batch;
+}
+
+/**
+ * Finds stored files nothing points at any more and removes them:
+ * - StoredFile records whose documents are all gone (their reference
+ *   counts are corrected on the way),
+ * - GridFS files no application, profile or StoredFile knows,
+ * - GridFS chunks without a files document,
+ * - cached previews of resumes that no longer exist.
+ * With dryRun nothing is changed and the report lists what would go.
+ */
+export const sweepOrphanedFiles = async ({ dryRun = false, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - graceMs());
+  const report = {
+    dryRun,
+    storedFiles: { orphaned: 0, repaired: 0 },
+    files: { orphaned: 0, bytes: 0 },
+    chunks: { orphaned: 0 },
+    previews: { orphaned: 0 },
+    items: [],
+  };
+
+  // Tracked files: recount references and drop the unused ones
+  const records = StoredFile.find({ updatedAt: { $lt: cutoff } }).lean().cursor();
+  for await (const batch of batches(records)) {
+    const counts = await countReferences(batch.map(({ fileId }) => fileId));
+    for (const record of batch) {
+      const references = counts.get(record.fileId);
+      if (references > 0) {
+        if (references !== record.refCount) {
+          report.storedFiles.repaired += 1;
+          if (!dryRun) {
+            await StoredFile.updateOne(
+              { _id: record._id, refCount: record.refCount },
+              { $set: { refCount: references } }
+            );
+          }
+        }
+        continue;
+      }
+
+      report.storedFiles.orphaned += 1;
+      report.files.bytes += record.size || 0;
+      report.items.push({
+        kind: "file",
+        fileId: record.fileId,
+        storage: record.storage,
+        size: record.size,
+        reason: "no references",
+      });
+      if (!dryRun) {
+        // Only if no upload took a reference since it was counted
+        const { deletedCount } = await StoredFile.deleteOne({
+          _id: record._id,
+          refCount: record.refCount,
+        });
+        if (deletedCount) {
+          await deleteStoredFile({ public_id: record.fileId, storage: record.storage });
+        }
+      }
+    }
+  }
+
+  // Untracked GridFS files, from before deduplication or failed requests
+  const files = listFiles({ uploadDate: { $lt: cutoff } });
+  for await (const batch of batches(files)) {
+    const fileIds = batch.map(({ _id }) => _id.toString());
+    const [counts, tracked] = await Promise.all([
+      countReferences(fileIds),
+      StoredFile.distinct("fileId", { fileId: { $in: fileIds } }),
+    ]);
+    const trackedIds = new Set(tracked);
+    for (const file of batch) {
+      const fileId = file._id.toString();
+      if (counts.get(fileId) > 0 || trackedIds.has(fileId)) continue;
+
+      report.files.orphaned += 1;
+      report.files.bytes += file.length;
+      report.items.push({
+        kind: "file",
+        fileId,
+        storage: "gridfs",
+        size: file.length,
+        filename: file.filename,
+        reason: "untracked and unreferenced",
+      });
+      if (!dryRun) {
+        await deleteStoredFile({ public_id: fileId, storage: "gridfs" });
+      }
+    }
+  }
+
+  // Chunks of uploads that never finished; ObjectIds carry their age
+  for (const bucketName of ["resumes", "previews"]) {
+    const orphans = (await findOrphanedChunks(bucketName)).filter(
+      ({ _id }) => typeof _id?.getTimestamp !== "function" || _id.getTimestamp() < cutoff
+    );
+    for (const { _id, chunks } of orphans) {
+      report.chunks.orphaned += chunks;
+      report.items.push({ kind: "chunks", fileId: String(_id), bucket: bucketName, chunks });
+    }
+    if (orphans.length && !dryRun) {
+      await deleteChunks(orphans.map(({ _id }) => _id), bucketName);
+    }
+  }
+
+  // Previews whose resume is gone
+  const previews = listFiles({ uploadDate: { $lt: cutoff } }, "previews");
+  for await (const batch of batches(previews)) {
+    const sources = [...new Set(batch.map(({ metadata }) => metadata?.source).filter(Boolean))];
+    const [counts, tracked] = await Promise.all([
+      countReferences(sources),
+      StoredFile.distinct("fileId", { fileId: { $in: sources } }),
+    ]);
+    const trackedIds = new Set(tracked);
+    for (const source of sources) {
+      if (counts.get(source) > 0 || trackedIds.has(source)) continue;
+      const count = batch.filter(({ metadata }) => metadata?.source === source).length;
+      report.previews.orphaned += count;
+      report.items.push({ kind: "previews", fileId: source, count });
+      if (!dryRun) {
+        await deletePreviews(source);
+      }
+    }
+  }
+
+  const { items, ...summary } = report;
+  console.log(`Storage sweep${dryRun ? " (dry run)" : ""}:`, summary);
+  return report;
+};
+
+export default { sweepOrphanedFiles };
@@ -1,14 +1,22 @@
 import axios from 'axios';
 import pdf from 'pdf-parse';
 import Tesseract from 'tesseract.js';
+import { statStoredFile, readStoredFile } from './storage/index.js';
 
-export const extractTextFromPDF = async (pdfUrl) => {
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+// Accepts either a Buffer or a URL to download the PDF from; maxPages
+// stops parsing early
+export const extractTextFromPDF = async (source, { maxPages } = {}) => {
   try {
-    const response = await axios.get(pdfUrl, {
-      responseType: 'arraybuffer',
-    });
-    const data = response.data;
-    const text = await pdf(data);
+    let data = source;
+    if (!Buffer.isBuffer(source)) {
+      const response = await axios.get(source, {
+        responseType: 'arraybuffer',
+      });
+      data = response.data;
+    }
+    const text = await pdf(data, maxPages ? { max: maxPages } : undefined);
     return text.text;
   } catch (error) {
     console.error('Error extracting text from PDF:', error);
@@ -16,12 +24,41 @@ export const extractTextFromPDF = async (pdfUrl) => {
   }
 };
 
-export const extractTextFromImage = async (imagePath) => {
+// Accepts a file path, URL or Buffer
+export const extractTextFromImage = async (image) => {
   try {
-    const result = await Tesseract.recognize(imagePath, 'eng');
+    const result = await Tesseract.recognize(image, 'eng');
     return result.data.text;
   } catch (error) {
     console.error('Error extracting text from image:', error);
     throw error;
   }
 };
+
+export const extractTextFromBuffer = async (buffer, contentType) => {
+  if (contentType === 'application/pdf') {
+    return extractTextFromPDF(buffer);
+  }
+
+  if (IMAGE_TYPES.includes(contentType)) {
+    return extractTextFromImage(buffer);
+  }
+
+  throw new Error(`Text extraction not supported for ${contentType}`);
+};
+
+// Reads a stored resume (e.g. application.resume) back and extracts its
+// text locally
+export const extractResumeText = async (resume) => {
+  const [file, buffer] = await Promise.all([statStoredFile(resume), readStoredFile(resume)]);
+  const contentType =
+    file.metadata?.contentType || resume.contentType || 'application/pdf';
+
+  const text = await extractTextFromBuffer(buffer, contentType);
+
+  // Collapse the whitespace noise left behind by pdf-parse and OCR
+  return (text || '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
@@ -0,0 +1,135 @@
+// utils/uploadValidation.js
+import crypto from "crypto";
+import zlib from "zlib";
+import { readFile } from "fs/promises";
+import pdf from "pdf-parse";
+import ErrorHandler from "../middlewares/error.js";
+import { RESUME_CONTENT_TYPES } from "./gridfsStorage.js";
+import { scanBuffer } from "./malwareScanner.js";
+
+const INVALID_TYPE_MESSAGE = "Invalid file type. Please upload a PDF, PNG, JPEG, or WEBP file.";
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+// The content type the file's own bytes say it is, whatever the client sent
+export const sniffContentType = (buffer) => {
+  // PDF readers accept the header anywhere in the first 1KB
+  if (buffer.subarray(0, 1024).includes("%PDF-")) return "application/pdf";
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(buffer, [0x52, 0x49, 0x46, 0x46]) && startsWith(buffer, [0x57, 0x45, 0x42, 0x50], 8)) {
+    return "image/webp";
+  }
+  return null;
+};
+
+export const sha256 = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+// PDF features that make a document encrypted or let it run code
+const BLOCKED_PDF_NAMES = {
+  Encrypt: "Encrypted or password-protected PDFs are not accepted.",
+  JavaScript: "PDFs containing JavaScript are not accepted.",
+  JS: "PDFs containing JavaScript are not accepted.",
+  Launch: "PDFs with launch actions are not accepted.",
+};
+const BLOCKED_NAME_PATTERN = new RegExp(
+  `/(${Object.keys(BLOCKED_PDF_NAMES).join("|")})(?![A-Za-z0-9#])`
+);
+const MAX_OBJECT_STREAMS = 200;
+
+// Names may hide behind #xx escapes (/J#61vaScript)
+const decodeNames = (text) =>
+  text.replace(/#([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+/**
+ * Object streams (/Type /ObjStm) can hold dictionaries the raw bytes do
+ * not show, so the compressed ones are inflated and scanned too.
+ */
+const objectStreamTexts = (buffer, text) => {
+  const texts = [];
+  const streamPattern = /stream\r?\n/g;
+  let match;
+  while ((match = streamPattern.exec(text)) && texts.length < MAX_OBJECT_STREAMS) {
+    const dictionary = text.slice(text.lastIndexOf("obj", match.index), match.index);
+    if (!/\/Type\s*\/ObjStm/.test(dictionary)) continue;
+
+    const start = match.index + match[0].length;
+    const end = text.indexOf("endstream", start);
+    if (end === -1) break;
+    try {
+      texts.push(zlib.inflateSync(buffer.subarray(start, end)).toString("latin1"));
+    } catch (error) {
+      // Unsupported filters are left to the raw scan
+    }
+    streamPattern.lastIndex = end;
+  }
+  return texts;
+};
+
+export const checkPdf = async (buffer) => {
+  const text = buffer.toString("latin1");
+  if (!text.slice(-2048).includes("%%EOF")) {
+    throw new ErrorHandler("The PDF appears to be truncated or damaged.", 400);
+  }
+
+  for (const content of [text, ...objectStreamTexts(buffer, text)]) {
+    const blocked = decodeNames(content).match(BLOCKED_NAME_PATTERN);
+    if (blocked) {
+      throw new ErrorHandler(BLOCKED_PDF_NAMES[blocked[1]], 400);
+    }
+  }
+
+  try {
+    // pdf.js misreads some Node Buffers ("bad XRef entry" on valid files),
+    // so it gets the bytes as a plain Uint8Array
+    await pdf(new Uint8Array(buffer), { max: 1 });
+  } catch (error) {
+    throw new ErrorHandler("The PDF could not be read. Please upload a valid PDF.", 400);
+  }
+};
+
+/**
+ * Validates an uploaded file (express-fileupload) before anything stores
+ * it: the type is sniffed from its bytes, PDFs must be well-formed and
+ * free of encryption, JavaScript and launch actions, and the configured
+ * malware scanner must pass it. Returns the file's bytes and real type.
+ */
+export const inspectUpload = async (file, { allowedTypes = RESUME_CONTENT_TYPES } = {}) => {
+  const buffer = file.tempFilePath && !file.data?.length
+    ? await readFile(file.tempFilePath)
+    : file.data;
+
+  const contentType = sniffContentType(buffer);
+  if (!contentType || !allowedTypes.includes(contentType)) {
+    throw new ErrorHandler(INVALID_TYPE_MESSAGE, 400);
+  }
+  if (contentType === "application/pdf") {
+    await checkPdf(buffer);
+  }
+
+  let result;
+  try {
+    result = await scanBuffer(buffer);
+  } catch (error) {
+    console.error("Malware scan failed:", { name: file.name, message: error.message });
+    if (process.env.MALWARE_SCAN_FAIL_OPEN !== "true") {
+      throw new ErrorHandler("File scanning is unavailable. Please try again later.", 503);
+    }
+    result = { clean: true };
+  }
+  if (!result.clean) {
+    console.warn("Upload rejected by malware scanner:", { name: file.name, signature: result.signature });
+    throw new ErrorHandler("This file was flagged as unsafe and cannot be uploaded.", 400);
+  }
+
+  return { buffer, contentType };
+};
+
+export default {
+  sniffContentType,
+  sha256,
+  checkPdf,
+  inspectUpload,
+};
@@ -0,0 +1,189 @@
+// utils/workQueue.js
+import mongoose from "mongoose";
+import os from "os";
+import { logError } from "../middlewares/error.js";
+
+const DEFAULTS = {
+  concurrency: 1,
+  pollInterval: 2000,
+  lockTimeout: 5 * 60 * 1000,
+  baseDelay: 5000,
+  maxDelay: 10 * 60 * 1000,
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * MongoDB-backed work queue.
+ *
+ * The model is expected to carry the queue bookkeeping fields: status
+ * ("queued" | "processing" | "completed" | "dead"), attempts, maxAttempts,
+ * runAt, lockedAt, lockedBy, lastError and failures. Jobs are claimed with an
+ * atomic findOneAndUpdate so several workers (and several processes) can
+ * share one collection. Jobs whose lock is older than lockTimeout are assumed
+ * to belong to a crashed worker and are claimed again, or dead-lettered if
+ * they have used up their attempts.
+ */
+export class WorkQueue {
+  constructor({ name, model, handler, onDeadLetter, ...options }) {
+    this.name = name;
+    this.model = model;
+    this.handler = handler;
+    this.onDeadLetter = onDeadLetter;
+    this.options = { ...DEFAULTS, ...options };
+    this.running = false;
+    this.loops = [];
+  }
+
+  start() {
+    if (this.running) return;
+    this.running = true;
+
+    for (let i = 0; i < this.options.concurrency; i++) {
+      const workerId = `${os.hostname()}:${process.pid}:${this.name}-${i}`;
+      this.loops.push(this.runWorker(workerId));
+    }
+
+    console.log(`${this.name} queue started with ${this.options.concurrency} worker(s)`);
+  }
+
+  async stop() {
+    if (!this.running) return;
+    this.running = false;
+    await Promise.all(this.loops);
+    this.loops = [];
+    console.log(`${this.name} queue stopped`);
+  }
+
+  backoff(attempts) {
+    const { baseDelay, maxDelay } = this.options;
+    return Math.min(maxDelay, baseDelay * 2 ** (attempts - 1));
+  }
+
+  async runWorker(workerId) {
+    while (this.running) {
+      let job = null;
+      try {
+        // Wait for the database connection before touching the collection
+        if (mongoose.connection.readyState === 1) {
+          job = await this.claim(workerId);
+        }
+      } catch (error) {
+        logError(error, { context: `${this.name} queue claim`, workerId });
+      }
+
+      if (!job) {
+        await sleep(this.options.pollInterval);
+        continue;
+      }
+
+      await this.process(job);
+    }
+  }
+
+  async claim(workerId) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - this.options.lockTimeout);
+    await this.reapStale(staleBefore);
+
+    return this.model.findOneAndUpdate(
+      {
+        $or: [
+          { status: "queued", runAt: { $lte: now } },
+          {
+            status: "processing",
+            lockedAt: { $lte: staleBefore },
+            $expr: { $lt: ["$attempts", "$maxAttempts"] },
+          },
+        ],
+      },
+      {
+        $set: { status: "processing", lockedAt: now, lockedBy: workerId },
+        $inc: { attempts: 1 },
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // A job whose worker crashed on its last attempt is not claimed again;
+  // it is dead-lettered like any other job that ran out of attempts
+  async reapStale(staleBefore) {
+    const stale = await this.model.find({
+      status: "processing",
+      lockedAt: { $lte: staleBefore },
+      $expr: { $gte: ["$attempts", "$maxAttempts"] },
+    });
+    for (const job of stale) {
+      await this.fail(job, new Error("Worker lock expired before the job finished"));
+    }
+  }
+
+  // Only the worker still holding the lock may settle a job; a stale
+  // lock may have been reclaimed by another worker in the meantime
+  lockFilter(job) {
+    return { _id: job._id, status: "processing", lockedBy: job.lockedBy, lockedAt: job.lockedAt };
+  }
+
+  async process(job) {
+    try {
+      await this.handler(job);
+      const { matchedCount } = await this.model.updateOne(
+        this.lockFilter(job),
+        {
+          $set: { status: "completed", completedAt: new Date(), lastError: null },
+          $unset: { lockedAt: "", lockedBy: "" },
+        }
+      );
+      if (!matchedCount) {
+        console.warn(`${this.name} queue job ${job._id} was reclaimed before it completed`);
+      }
+    } catch (error) {
+      await this.fail(job, error);
+    }
+  }
+
+  async fail(job, error) {
+    const failure = {
+      attempt: job.attempts,
+      message: error.message,
+      at: new Date(),
+    };
+    const isDead = job.attempts >= job.maxAttempts;
+
+    logError(error, {
+      context: `${this.name} queue job`,
+      jobId: job._id,
+      attempt: job.attempts,
+      deadLettered: isDead,
+    });
+
+    const update = {
+      $set: { lastError: error.message },
+      $push: { failures: failure },
+      $unset: { lockedAt: "", lockedBy: "" },
+    };
+
+    if (isDead) {
+      update.$set.status = "dead";
+      update.$set.deadAt = new Date();
+    } else {
+      update.$set.status = "queued";
+      update.$set.runAt = new Date(Date.now() + this.backoff(job.attempts));
+    }
+
+    try {
+      const { matchedCount } = await this.model.updateOne(this.lockFilter(job), update);
+      if (!matchedCount) {
+        console.warn(`${this.name} queue job ${job._id} was reclaimed before it failed`);
+        return;
+      }
+      if (isDead && this.onDeadLetter) {
+        await this.onDeadLetter(job, error);
+      }
+    } catch (updateError) {
+      logError(updateError, { context: `${this.name} queue fail`, jobId: job._id });
+    }
+  }
+}
+
+export default WorkQueue;